@@ -0,0 +1,185 @@
+/**
+ * accessibility.js - Screen reader support
+ *
+ * This module describes cells, pieces and moves in words and keeps a visually
+ * hidden ARIA grid inside the board in sync with the game state, so screen
+ * readers can read the board cell by cell. Tiles themselves are positioned
+ * freely and have no accessible content. Announcements go to a live region
+ * through createAnnouncer().
+ */
+
+import { normalizeCoords } from './moves.js';
+
+// ============================================================================
+// DESCRIPTIONS
+// ============================================================================
+
+const LARGE_PIECE_PARTS = [['top-left', 'top-right'], ['bottom-left', 'bottom-right']];
+
+/**
+ * Format a cell position for announcements (1-based rows and columns)
+ * @param {number} x - Cell X coordinate
+ * @param {number} y - Cell Y coordinate
+ * @returns {string} E.g. 'row 3, column 5'
+ */
+function formatPosition(x, y) {
+  return `row ${y + 1}, column ${x + 1}`;
+}
+
+/**
+ * Capitalize the first letter of a description
+ * @param {string} text - Text
+ * @returns {string} Text starting with an uppercase letter
+ */
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Describe a piece or gap by size and home position
+ * Gaps are numbered in the order Space cycles through them.
+ * @param {Object} state - Game state object
+ * @param {Object} piece - Piece object
+ * @returns {string} E.g. 'small tile from row 2, column 3' or 'large gap 1'
+ */
+export function describePiece(state, piece) {
+  const size = piece.isLarge ? 'large' : 'small';
+  if (piece.isGap) {
+    const gapPieces = state.pieces.filter(p => p.isGap);
+    const number = gapPieces.length > 1 ? ` ${gapPieces.indexOf(piece) + 1}` : '';
+    return `${size} gap${number}`;
+  }
+  return `${size} tile from ${formatPosition(piece.homeX, piece.homeY)}`;
+}
+
+/**
+ * Describe the content of a cell
+ * @param {Object} state - Game state object
+ * @param {number} x - Cell X coordinate
+ * @param {number} y - Cell Y coordinate
+ * @returns {string} E.g. 'Row 1, column 2: large tile from row 1, column 1, top-right part, in place'
+ */
+export function describeCell(state, x, y) {
+  const position = `Row ${y + 1}, column ${x + 1}`;
+  const cell = state.grid[y]?.[x];
+  const piece = cell && state.pieceById.get(cell.id);
+  if (!piece) return `${position}: empty`;
+
+  const parts = [describePiece(state, piece)];
+  if (piece.isLarge) parts.push(`${LARGE_PIECE_PARTS[cell.oy][cell.ox]} part`);
+  if (piece.isGap && piece.selected) parts.push('selected');
+  if (!piece.isGap && piece.x === piece.homeX && piece.y === piece.homeY) parts.push('in place');
+  if (state.placedPieceIds?.has(piece.id)) parts.push('marked as placed');
+  return `${position}: ${parts.join(', ')}`;
+}
+
+/**
+ * Describe a move
+ * @param {Object} state - Game state object
+ * @param {Object} move - Move descriptor (see tryMove())
+ * @returns {string} E.g. 'Small tile from row 2, column 3 moved left to row 4, column 5.'
+ */
+export function describeMove(state, move) {
+  const moved = move.moved.map(m => ({ ...m, piece: state.pieceById.get(m.id) }));
+  if (move.type === 'gapSwap') {
+    return `${capitalize(describePiece(state, moved[0].piece))} and ${describePiece(state, moved[1].piece)} swapped.`;
+  }
+
+  const tiles = moved.filter(m => !m.piece.isGap);
+  const subjects = tiles.length > 0 ? tiles : moved.filter(m => m.id === move.gapId);
+  const names = subjects.map(m => describePiece(state, m.piece)).join(' and ');
+  let text = `${capitalize(names)} moved ${move.dir}`;
+  if (subjects.length === 1) {
+    const to = normalizeCoords(state, subjects[0].toX, subjects[0].toY);
+    text += ` to ${formatPosition(to.x, to.y)}`;
+  }
+  return `${text}.`;
+}
+
+// ============================================================================
+// CELL GRID
+// ============================================================================
+
+/**
+ * Get the element ID of a cell of the accessible grid
+ * @param {number} x - Cell X coordinate
+ * @param {number} y - Cell Y coordinate
+ * @returns {string} Element ID
+ */
+export function getCellElementId(x, y) {
+  return `board-cell-${x}-${y}`;
+}
+
+/**
+ * Update the accessible grid: one row element per board row and one
+ * gridcell per cell, labelled with describeCell(). The cell under the
+ * keyboard cursor becomes the board's active descendant.
+ * @param {Object} state - Game state object
+ * @param {HTMLElement} gridEl - Container of the row elements (inside the board)
+ * @param {Object|null} cursor - Keyboard cursor cell {x, y}, or null
+ */
+export function renderCellGrid(state, gridEl, cursor) {
+  const { width, height } = state.boardConfig;
+
+  // Rebuild the rows when the board size changed
+  if (gridEl.children.length !== height || gridEl.firstElementChild?.children.length !== width) {
+    gridEl.innerHTML = '';
+    for (let y = 0; y < height; y++) {
+      const row = document.createElement('div');
+      row.setAttribute('role', 'row');
+      for (let x = 0; x < width; x++) {
+        const cellEl = document.createElement('div');
+        cellEl.setAttribute('role', 'gridcell');
+        cellEl.id = getCellElementId(x, y);
+        row.appendChild(cellEl);
+      }
+      gridEl.appendChild(row);
+    }
+  }
+
+  for (let y = 0; y < height; y++) {
+    const row = gridEl.children[y];
+    for (let x = 0; x < width; x++) {
+      const cellEl = row.children[x];
+      const text = describeCell(state, x, y);
+      if (cellEl.textContent !== text) cellEl.textContent = text;
+      cellEl.setAttribute('aria-selected', cursor && cursor.x === x && cursor.y === y ? 'true' : 'false');
+    }
+  }
+
+  if (cursor) {
+    state.boardEl.setAttribute('aria-activedescendant', getCellElementId(cursor.x, cursor.y));
+  } else {
+    state.boardEl.removeAttribute('aria-activedescendant');
+  }
+}
+
+// ============================================================================
+// ANNOUNCEMENTS
+// ============================================================================
+
+/**
+ * Create an announcer for an ARIA live region
+ * Messages announced during the same task are joined into one announcement,
+ * so a move and the gap selection it causes are read together.
+ * @param {HTMLElement} regionEl - Live region element (aria-live="polite")
+ * @returns {Function} announce(message)
+ */
+export function createAnnouncer(regionEl) {
+  let pending = [];
+
+  return function announce(message) {
+    if (pending.length === 0) {
+      queueMicrotask(() => {
+        let text = pending.join(' ');
+        pending = [];
+        // Screen readers skip a live region whose text didn't change
+        if (text === regionEl.textContent) {
+          text += '\u00a0';
+        }
+        regionEl.textContent = text;
+      });
+    }
+    if (pending[pending.length - 1] !== message) pending.push(message);
+  };
+}
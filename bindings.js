@@ -0,0 +1,275 @@
+/**
+ * bindings.js - Keyboard bindings
+ *
+ * This module defines the keyboard actions, their default keys and the layout
+ * presets of the Key Bindings dialog, and stores the player's bindings in
+ * localStorage. Keys are written as combos such as 'ArrowUp', 'w', 'Space',
+ * 'Numpad8' or 'Ctrl+Shift+z'; input.js looks up the action of a key event
+ * with getActionForEvent().
+ */
+
+const BINDINGS_KEY = 'keyBindings';
+
+// ============================================================================
+// ACTIONS AND DEFAULTS
+// ============================================================================
+
+// Gaps that have their own slide keys (dual-gap control) and gaps that can be selected by key
+const DRIVEN_GAP_COUNT = 2;
+const SELECTABLE_GAP_COUNT = 4;
+const DIRECTIONS = ['up', 'down', 'left', 'right'];
+
+// Keyboard actions in the order they are listed in the Help and Key Bindings dialogs.
+// Slide actions have a `dir`; with a `gapIndex` they drive that gap (in the order
+// Space cycles through the gaps) instead of the selected one. Actions with a
+// `selectGapIndex` select that gap.
+export const KEY_ACTIONS = [
+  ...DIRECTIONS.map(dir => ({ id: dir, label: `Slide a piece ${dir} into the selected gap`, dir })),
+  { id: 'cycleGap', label: 'Switch selected gap' },
+  ...Array.from({ length: SELECTABLE_GAP_COUNT }, (_, i) =>
+    ({ id: `selectGap${i + 1}`, label: `Select gap ${i + 1}`, selectGapIndex: i })),
+  ...Array.from({ length: DRIVEN_GAP_COUNT }, (_, i) => DIRECTIONS.map(dir =>
+    ({ id: `gap${i + 1}${dir[0].toUpperCase()}${dir.slice(1)}`, label: `Slide a piece ${dir} into gap ${i + 1}`, dir, gapIndex: i }))).flat(),
+  { id: 'undo', label: 'Undo' },
+  { id: 'redo', label: 'Redo' },
+  { id: 'cursorMode', label: 'Cell cursor on/off (slide keys move the cursor, Escape leaves)' },
+  { id: 'activateCell', label: 'Move the piece under the cell cursor, or select the gap' },
+  { id: 'debugMoves', label: 'Print valid moves to the console (debug)' }
+];
+
+// Keys of every action; actions missing here have no keys by default
+export const DEFAULT_BINDINGS = {
+  ...Object.fromEntries(KEY_ACTIONS.map(action => [action.id, []])),
+  up: ['ArrowUp', 'w'],
+  down: ['ArrowDown', 's'],
+  left: ['ArrowLeft', 'a'],
+  right: ['ArrowRight', 'd'],
+  cycleGap: ['Space'],
+  undo: ['Ctrl+z'],
+  redo: ['Ctrl+y', 'Ctrl+Shift+z'],
+  cursorMode: ['c'],
+  activateCell: ['Enter'],
+  debugMoves: ['m']
+};
+
+// Layout presets replace the keys of the slide and gap selection actions
+export const LAYOUT_PRESETS = {
+  wasd: {
+    label: 'Arrows + WASD',
+    bindings: { up: ['ArrowUp', 'w'], down: ['ArrowDown', 's'], left: ['ArrowLeft', 'a'], right: ['ArrowRight', 'd'] }
+  },
+  ijkl: {
+    label: 'Arrows + IJKL',
+    bindings: { up: ['ArrowUp', 'i'], down: ['ArrowDown', 'k'], left: ['ArrowLeft', 'j'], right: ['ArrowRight', 'l'] }
+  },
+  numpad: {
+    label: 'Arrows + Numpad 8/2/4/6',
+    bindings: { up: ['ArrowUp', 'Numpad8'], down: ['ArrowDown', 'Numpad2'], left: ['ArrowLeft', 'Numpad4'], right: ['ArrowRight', 'Numpad6'] }
+  },
+  arrows: {
+    label: 'Arrows only',
+    bindings: { up: ['ArrowUp'], down: ['ArrowDown'], left: ['ArrowLeft'], right: ['ArrowRight'] }
+  },
+  dualGap: {
+    label: 'Dual gap: WASD gap 1, arrows gap 2',
+    bindings: {
+      gap1Up: ['w'], gap1Down: ['s'], gap1Left: ['a'], gap1Right: ['d'],
+      gap2Up: ['ArrowUp'], gap2Down: ['ArrowDown'], gap2Left: ['ArrowLeft'], gap2Right: ['ArrowRight'],
+      // More gaps: pick one with the number keys and slide with IJKL
+      up: ['i'], down: ['k'], left: ['j'], right: ['l'],
+      selectGap1: ['1'], selectGap2: ['2'], selectGap3: ['3'], selectGap4: ['4']
+    }
+  }
+};
+
+// Actions whose keys a layout preset replaces
+const LAYOUT_ACTION_IDS = KEY_ACTIONS
+  .filter(action => action.dir || action.selectGapIndex !== undefined)
+  .map(action => action.id);
+
+// ============================================================================
+// KEY COMBOS
+// ============================================================================
+
+const MODIFIER_KEYS = ['Shift', 'Control', 'Alt', 'Meta', 'AltGraph', 'CapsLock'];
+
+const KEY_NAMES = {
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  Space: 'Space',
+  Enter: 'Enter',
+  Backspace: 'Backspace',
+  Tab: 'Tab'
+};
+
+/**
+ * Get the combo of a key event
+ * Numpad keys are identified by e.code so they differ from the digit row;
+ * Cmd counts as Ctrl so shortcuts work the same on Mac.
+ * @param {KeyboardEvent} e - Key event
+ * @returns {string|null} Combo (e.g. 'Ctrl+Shift+z'), or null for a lone modifier key
+ */
+export function eventToCombo(e) {
+  if (MODIFIER_KEYS.includes(e.key)) return null;
+
+  let key;
+  if (e.code && e.code.startsWith('Numpad')) {
+    key = e.code;
+  } else if (e.key === ' ' || e.code === 'Space') {
+    key = 'Space';
+  } else if (e.key.length === 1) {
+    key = e.key.toLowerCase();
+  } else {
+    key = e.key;
+  }
+
+  return (e.ctrlKey || e.metaKey ? 'Ctrl+' : '') +
+    (e.altKey ? 'Alt+' : '') +
+    (e.shiftKey ? 'Shift+' : '') +
+    key;
+}
+
+/**
+ * Format a combo for display
+ * @param {string} combo - Combo (e.g. 'Ctrl+Shift+z')
+ * @returns {string} Display text (e.g. 'Ctrl+Shift+Z')
+ */
+export function formatCombo(combo) {
+  const parts = combo.split('+');
+  // A '+' key ends in an empty part
+  const key = parts.pop() || '+';
+  let name = KEY_NAMES[key] || key;
+  if (key.startsWith('Numpad')) {
+    name = `Num ${key.slice('Numpad'.length)}`;
+  } else if (key.length === 1) {
+    name = key.toUpperCase();
+  }
+  return [...parts.filter(Boolean), name].join('+');
+}
+
+// ============================================================================
+// BINDINGS API
+// ============================================================================
+
+/**
+ * Copy a set of bindings
+ * @param {Object} bindings - Action ID -> array of combos
+ * @returns {Object} Independent copy
+ */
+export function copyBindings(bindings) {
+  return Object.fromEntries(Object.entries(bindings).map(([action, combos]) => [action, combos.slice()]));
+}
+
+/**
+ * Load the player's bindings (defaults for actions without saved bindings)
+ * @returns {Object} Action ID -> array of combos
+ */
+export function loadKeyBindings() {
+  const bindings = copyBindings(DEFAULT_BINDINGS);
+  try {
+    const saved = JSON.parse(localStorage.getItem(BINDINGS_KEY));
+    if (saved && typeof saved === 'object') {
+      for (const { id } of KEY_ACTIONS) {
+        if (Array.isArray(saved[id]) && saved[id].every(c => typeof c === 'string')) {
+          bindings[id] = saved[id].slice();
+        }
+      }
+    }
+  } catch (err) {
+    // Unreadable bindings - use the defaults
+  }
+  return bindings;
+}
+
+/**
+ * Save the player's bindings
+ * @param {Object} bindings - Action ID -> array of combos
+ */
+export function saveKeyBindings(bindings) {
+  try {
+    localStorage.setItem(BINDINGS_KEY, JSON.stringify(bindings));
+  } catch (err) {
+    console.warn('Could not save key bindings:', err);
+  }
+}
+
+/**
+ * Bind a combo to an action, removing it from any other action
+ * @param {Object} bindings - Action ID -> array of combos (modified in place)
+ * @param {string} action - Action ID
+ * @param {string} combo - Combo
+ * @returns {string|null} ID of the action the combo was taken from, if any
+ */
+export function bindKey(bindings, action, combo) {
+  let previousAction = null;
+  for (const [id, combos] of Object.entries(bindings)) {
+    const index = combos.indexOf(combo);
+    if (index !== -1 && id !== action) {
+      combos.splice(index, 1);
+      previousAction = id;
+    }
+  }
+  if (!bindings[action].includes(combo)) {
+    bindings[action].push(combo);
+  }
+  return previousAction;
+}
+
+/**
+ * Apply a layout preset to the slide and gap selection actions
+ * Keys of the preset that were bound to other actions are moved to the slide actions.
+ * @param {Object} bindings - Action ID -> array of combos (modified in place)
+ * @param {string} presetId - Key into LAYOUT_PRESETS
+ */
+export function applyLayoutPreset(bindings, presetId) {
+  const preset = LAYOUT_PRESETS[presetId];
+  if (!preset) return;
+  for (const action of LAYOUT_ACTION_IDS) {
+    bindings[action] = [];
+  }
+  for (const [action, combos] of Object.entries(preset.bindings)) {
+    combos.forEach(combo => bindKey(bindings, action, combo));
+  }
+}
+
+/**
+ * Find the layout preset the current keys match
+ * @param {Object} bindings - Action ID -> array of combos
+ * @returns {string|null} Key into LAYOUT_PRESETS, or null for custom keys
+ */
+export function getMatchingLayoutPreset(bindings) {
+  const match = Object.entries(LAYOUT_PRESETS).find(([, preset]) =>
+    LAYOUT_ACTION_IDS.every(action => {
+      const combos = preset.bindings[action] || [];
+      return combos.length === bindings[action].length && combos.every(c => bindings[action].includes(c));
+    }));
+  return match ? match[0] : null;
+}
+
+/**
+ * Check whether any action that refers to a gap by number has keys
+ * (the board then shows the gap numbers)
+ * @param {Object} bindings - Action ID -> array of combos
+ * @returns {boolean} True if a gap is driven or selected by number
+ */
+export function usesGapNumbers(bindings) {
+  return KEY_ACTIONS.some(action =>
+    (action.gapIndex !== undefined || action.selectGapIndex !== undefined) && bindings[action.id].length > 0);
+}
+
+/**
+ * Get the action bound to a key event
+ * @param {Object} bindings - Action ID -> array of combos
+ * @param {KeyboardEvent} e - Key event
+ * @returns {string|null} Action ID, or null if the key is not bound
+ */
+export function getActionForEvent(bindings, e) {
+  const combo = eventToCombo(e);
+  if (!combo) return null;
+  for (const [action, combos] of Object.entries(bindings)) {
+    if (combos.includes(combo)) return action;
+  }
+  return null;
+}
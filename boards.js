@@ -0,0 +1,449 @@
+/**
+ * boards.js - Board configurations
+ *
+ * This module contains the built-in board layouts and the registry used to
+ * look them up by slug. It has no DOM dependencies so it can be loaded by the
+ * headless engine as well as by the browser UI.
+ */
+
+// ============================================================================
+// BOARD CONFIGURATIONS
+// ============================================================================
+
+// Board configuration object - defines the puzzle layout
+// This structure allows for easy board switching in the future
+
+// Image mode determines how background images are applied:
+// - 'single': One image for entire board
+// - 'horizontal': Two images side by side (left/right halves)
+// - 'vertical': Two images stacked (top/bottom halves)
+// - 'grid': A matrix of images in images.grid (rows of images, left to right),
+//   each covering an equal share of the board, e.g. 2×2 quadrants
+
+// Gap Configuration System:
+//
+// Each board has a `gapConfigurations` array containing one or more gap placement options.
+// Each configuration has:
+// - name: Descriptive name shown in UI (e.g., "2 small gaps (bottom right)")
+// - gaps: Array of {x, y} positions where gaps should be placed
+//
+// Gap size is determined automatically:
+// - If a gap position matches a large piece position, it becomes a large gap (2×2)
+// - Otherwise, it becomes a small gap (1×1)
+//
+// During gameplay:
+// - Gaps can move to different positions (gaps[i].x, gaps[i].y)
+// - But they remember their identity (gaps[i].homeX, gaps[i].homeY)
+// - The background crop is based on identity, not current position
+// - Win condition: all gaps must return to their identity positions
+//
+// When randomizing gaps:
+// - New cells become gaps and adopt NEW identities based on their position
+// - Old gap cells become tiles with identities matching their position
+// - This effectively "redefines" which cells are gap cells
+
+const defaultBoard = {
+  width: 8,           // Board width in tiles
+  height: 8,          // Board height in tiles
+  imageMode: 'single', // 'single', 'horizontal', 'vertical' or 'grid'
+  images: {
+    primary: 'lightworld.png'  // Single image for entire board
+  },
+  largePieces: [      // Large piece top-left corners (array of {x, y})
+    {x: 0, y: 0}, {x: 3, y: 0}, {x: 5, y: 0},
+    {x: 0, y: 3}, {x: 3, y: 3}, {x: 6, y: 3},
+    {x: 0, y: 6}, {x: 5, y: 6}
+  ],
+  defaultGapConfig: '2s',  // Default gap configuration key
+  gapConfigurations: {    // Available gap configurations for this board (key -> config)
+    '2s': {
+      name: "2 small gaps (bottom right)",
+      gaps: [
+        {x: 7, y: 6},
+        {x: 7, y: 7}
+      ]
+    },
+    '1s': {
+      name: "1 small gap (bottom right)",
+      gaps: [
+        {x: 7, y: 7}
+      ]
+    },
+    '2l': {
+      name: "2 large gaps (bottom left)",
+      gaps: [
+        {x: 0, y: 3}, {x: 0, y: 6}
+      ]
+    },
+    '1l': {
+      name: "1 large gap (bottom left)",
+      gaps: [
+        {x: 0, y: 6}  // This position matches a large piece, so it becomes a large gap
+      ]
+    }
+  }
+};
+
+const horizontalBoard = {
+  width: 16,          // Double width: 16 tiles
+  height: 8,          // Same height: 8 tiles
+  imageMode: 'horizontal',
+  images: {
+    primary: 'lightworld.png',   // Left half (x: 0-7)
+    secondary: 'darkworld.png'   // Right half (x: 8-15)
+  },
+  largePieces: [      // Left half: same as default
+    {x: 0, y: 0}, {x: 3, y: 0}, {x: 5, y: 0},
+    {x: 0, y: 3}, {x: 3, y: 3}, {x: 6, y: 3},
+    {x: 0, y: 6}, {x: 5, y: 6},
+    // Right half: mirror of left half, shifted 8 tiles right
+    {x: 8, y: 0}, {x: 11, y: 0}, {x: 13, y: 0},
+    {x: 8, y: 3}, {x: 11, y: 3}, {x: 14, y: 3},
+    {x: 8, y: 6}, {x: 13, y: 6}
+  ],
+  defaultGapConfig: '2s',  // Default gap configuration key
+  gapConfigurations: {    // Available gap configurations for this board (key -> config)
+    '2s': {
+      name: "2 small gaps (bottom right)",
+      gaps: [
+        {x: 15, y: 6},
+        {x: 15, y: 7}
+      ]
+    },
+    '1s': {
+      name: "1 small gap (bottom right)",
+      gaps: [
+        {x: 15, y: 7}
+      ]
+    },
+    '2l': {
+      name: "2 large gaps (bottom left)",
+      gaps: [
+        {x: 0, y: 3}, {x: 0, y: 6}
+      ]
+    },
+    '1l': {
+      name: "1 large gap (bottom left)",
+      gaps: [
+        {x: 0, y: 6}  // This position matches a large piece, so it becomes a large gap
+      ]
+    }
+  }
+};
+
+const verticalBoard = {
+  width: 8,           // Same width: 8 tiles
+  height: 16,         // Double height: 16 tiles
+  imageMode: 'vertical',
+  images: {
+    primary: 'lightworld.png',   // Top half (y: 0-7)
+    secondary: 'darkworld.png'   // Bottom half (y: 8-15)
+  },
+  largePieces: [      // Top half: same as default
+    {x: 0, y: 0}, {x: 3, y: 0}, {x: 5, y: 0},
+    {x: 0, y: 3}, {x: 3, y: 3}, {x: 6, y: 3},
+    {x: 0, y: 6}, {x: 5, y: 6},
+    // Bottom half: mirror of top half, shifted 8 tiles down
+    {x: 0, y: 8}, {x: 3, y: 8}, {x: 5, y: 8},
+    {x: 0, y: 11}, {x: 3, y: 11}, {x: 6, y: 11},
+    {x: 0, y: 14}, {x: 5, y: 14}
+  ],
+  defaultGapConfig: '2s',  // Default gap configuration key
+  gapConfigurations: {    // Available gap configurations for this board (key -> config)
+    '2s': {
+      name: "2 small gaps (bottom right)",
+      gaps: [
+        {x: 7, y: 14},
+        {x: 7, y: 15}
+      ]
+    },
+    '1s': {
+      name: "1 small gap (bottom right)",
+      gaps: [
+        {x: 7, y: 15}
+      ]
+    },
+    '2l': {
+      name: "2 large gaps (bottom left)",
+      gaps: [
+        {x: 0, y: 3}, {x: 0, y: 6}
+      ]
+    },
+    '1l': {
+      name: "1 large gap (bottom left)",
+      gaps: [
+        {x: 0, y: 14}  // This position matches a large piece, so it becomes a large gap
+      ]
+    }
+  }
+};
+
+const nineLargePiecesBoard = {
+  width: 8,           // Board width in tiles
+  height: 8,          // Board height in tiles
+  imageMode: 'single', // 'single', 'horizontal', 'vertical' or 'grid'
+  images: {
+    primary: 'lightworld.png'  // Single image for entire board
+  },
+  largePieces: [      // Large piece top-left corners (array of {x, y})
+    {x: 0, y: 0}, {x: 3, y: 0}, {x: 5, y: 0},
+    {x: 0, y: 3}, {x: 3, y: 3}, {x: 6, y: 3},
+    {x: 0, y: 6}, {x: 3, y: 6}, {x: 5, y: 6}
+  ],
+  defaultGapConfig: '2s',  // Default gap configuration key
+  gapConfigurations: {    // Available gap configurations for this board (key -> config)
+    '2s': {
+      name: "2 small gaps (bottom right)",
+      gaps: [
+        {x: 7, y: 6},
+        {x: 7, y: 7}
+      ]
+    },
+    '1s': {
+      name: "1 small gap (bottom right)",
+      gaps: [
+        {x: 7, y: 7}
+      ]
+    },
+    '2l': {
+      name: "2 large gaps (bottom left)",
+      gaps: [
+        {x: 0, y: 3}, {x: 0, y: 6}
+      ]
+    },
+    '1l': {
+      name: "1 large gap (bottom left)",
+      gaps: [
+        {x: 0, y: 6}  // This position matches a large piece, so it becomes a large gap
+      ]
+    }
+  }
+};
+
+const tenLargePiecesBoard = {
+  width: 8,           // Board width in tiles
+  height: 8,          // Board height in tiles
+  imageMode: 'single', // 'single', 'horizontal', 'vertical' or 'grid'
+  images: {
+    primary: 'lightworld.png'  // Single image for entire board
+  },
+  largePieces: [      // Large piece top-left corners (array of {x, y})
+    {x: 0, y: 0}, {x: 3, y: 0}, {x: 5, y: 0},
+    {x: 0, y: 3}, {x: 3, y: 2}, {x: 3, y: 4}, {x: 6, y: 3},
+    {x: 0, y: 6}, {x: 3, y: 6}, {x: 5, y: 6}
+  ],
+  defaultGapConfig: '2s',  // Default gap configuration key
+  gapConfigurations: {    // Available gap configurations for this board (key -> config)
+    '2s': {
+      name: "2 small gaps (bottom right)",
+      gaps: [
+        {x: 7, y: 6},
+        {x: 7, y: 7}
+      ]
+    },
+    '1s': {
+      name: "1 small gap (bottom right)",
+      gaps: [
+        {x: 7, y: 7}
+      ]
+    },
+    '2l': {
+      name: "2 large gaps (bottom left)",
+      gaps: [
+        {x: 0, y: 3}, {x: 0, y: 6}
+      ]
+    },
+    '1l': {
+      name: "1 large gap (bottom left)",
+      gaps: [
+        {x: 0, y: 6}  // This position matches a large piece, so it becomes a large gap
+      ]
+    }
+  }
+};
+
+const singleLargePieceBoard = {
+  width: 8,           // Board width in tiles
+  height: 8,          // Board height in tiles
+  imageMode: 'single', // 'single', 'horizontal', 'vertical' or 'grid'
+  images: {
+    primary: 'lightworld.png'  // Single image for entire board
+  },
+  largePieces: [      // Large piece top-left corners (array of {x, y})
+    {x: 3, y: 3}
+  ],
+  defaultGapConfig: '2s',  // Default gap configuration key
+  gapConfigurations: {    // Available gap configurations for this board (key -> config)
+    '2s': {
+      name: "2 small gaps (bottom right)",
+      gaps: [
+        {x: 7, y: 6},
+        {x: 7, y: 7}
+      ]
+    },
+    '1s': {
+      name: "1 small gap (bottom right)",
+      gaps: [
+        {x: 7, y: 7}
+      ]
+    },
+    '1l': {
+      name: "1 large gap (center)",
+      gaps: [
+        {x: 3, y: 3}  // This position matches a large piece, so it becomes a large gap
+      ]
+    }
+  }
+};
+
+const smallPiecesFourBoard = {
+  width: 4,           // Board width in tiles
+  height: 4,          // Board height in tiles
+  imageMode: 'single', // 'single', 'horizontal', 'vertical' or 'grid'
+  images: {
+    primary: 'lightworld.png'  // Single image for entire board
+  },
+  largePieces: [],    // No large pieces - all tiles are 1×1
+  defaultGapConfig: '1s',  // Default gap configuration key
+  gapConfigurations: {    // Available gap configurations for this board (key -> config)
+    '1s': {
+      name: "1 small gap (bottom right)",
+      gaps: [
+        {x: 3, y: 3}  // Single small gap in bottom right corner
+      ]
+    },
+    '2s': {
+      name: "2 small gaps (bottom right)",
+      gaps: [
+        {x: 3, y: 2},
+        {x: 3, y: 3}
+      ]
+    }
+  }
+};
+
+const smallPiecesEightBoard = {
+  width: 8,           // Board width in tiles
+  height: 8,          // Board height in tiles
+  imageMode: 'single', // 'single', 'horizontal', 'vertical' or 'grid'
+  images: {
+    primary: 'lightworld.png'  // Single image for entire board
+  },
+  largePieces: [],    // No large pieces - all tiles are 1×1
+  defaultGapConfig: '1s',  // Default gap configuration key
+  gapConfigurations: {    // Available gap configurations for this board (key -> config)
+    '1s': {
+      name: "1 small gap (bottom right)",
+      gaps: [
+        {x: 7, y: 7}  // Single small gap in bottom right corner
+      ]
+    },
+    '2s': {
+      name: "2 small gaps (bottom right)",
+      gaps: [
+        {x: 7, y: 6},
+        {x: 7, y: 7}
+      ]
+    }
+  }
+};
+
+const fourMapsBoard = {
+  width: 16,          // Double width: 16 tiles
+  height: 16,         // Double height: 16 tiles
+  imageMode: 'grid',
+  images: {
+    grid: [
+      ['lightworld.png', 'darkworld.png'],  // Top quadrants (y: 0-7)
+      ['darkworld.png', 'lightworld.png']   // Bottom quadrants (y: 8-15)
+    ]
+  },
+  largePieces: [      // Every quadrant: same as default, shifted by 8 tiles
+    {x: 0, y: 0}, {x: 3, y: 0}, {x: 5, y: 0},
+    {x: 0, y: 3}, {x: 3, y: 3}, {x: 6, y: 3},
+    {x: 0, y: 6}, {x: 5, y: 6},
+    {x: 8, y: 0}, {x: 11, y: 0}, {x: 13, y: 0},
+    {x: 8, y: 3}, {x: 11, y: 3}, {x: 14, y: 3},
+    {x: 8, y: 6}, {x: 13, y: 6},
+    {x: 0, y: 8}, {x: 3, y: 8}, {x: 5, y: 8},
+    {x: 0, y: 11}, {x: 3, y: 11}, {x: 6, y: 11},
+    {x: 0, y: 14}, {x: 5, y: 14},
+    {x: 8, y: 8}, {x: 11, y: 8}, {x: 13, y: 8},
+    {x: 8, y: 11}, {x: 11, y: 11}, {x: 14, y: 11},
+    {x: 8, y: 14}, {x: 13, y: 14}
+  ],
+  defaultGapConfig: '2s',  // Default gap configuration key
+  gapConfigurations: {    // Available gap configurations for this board (key -> config)
+    '2s': {
+      name: "2 small gaps (bottom right)",
+      gaps: [
+        {x: 15, y: 14},
+        {x: 15, y: 15}
+      ]
+    },
+    '4s': {
+      name: "4 small gaps (one per map)",
+      gaps: [
+        {x: 7, y: 7}, {x: 15, y: 7},
+        {x: 7, y: 15}, {x: 15, y: 15}
+      ]
+    },
+    '2l': {
+      name: "2 large gaps (bottom left)",
+      gaps: [
+        {x: 0, y: 11}, {x: 0, y: 14}
+      ]
+    }
+  }
+};
+
+// Board registry for easy lookup
+export const boardRegistry = {
+  'default': defaultBoard,
+  'horizontal': horizontalBoard,
+  'vertical': verticalBoard,
+  'fourmaps': fourMapsBoard,
+  'ninelargepieces': nineLargePiecesBoard,
+  'tenlargepieces': tenLargePiecesBoard,
+  'singlelargepiece': singleLargePieceBoard,
+  'classicsmall': smallPiecesFourBoard,
+  'classic': smallPiecesEightBoard
+};
+
+// ============================================================================
+// IMAGE LAYOUT
+// ============================================================================
+
+/**
+ * Get the images of a board as a matrix
+ * 'single' is a 1×1 matrix, 'horizontal' 2 columns and 'vertical' 2 rows;
+ * 'grid' boards list their matrix in images.grid.
+ * @param {Object} board - Board configuration
+ * @param {Object} [images] - Images to use instead of board.images; uploaded
+ *   images prepared for the board (see customimage.js) are always a grid
+ * @returns {Array<Array<string>>} Rows of images, top to bottom, each left to right
+ */
+export function getImageMatrix(board, images = board.images) {
+  if (images.grid) return images.grid;
+  if (board.imageMode === 'horizontal') return [[images.primary, images.secondary]];
+  if (board.imageMode === 'vertical') return [[images.primary], [images.secondary]];
+  return [[images.primary]];
+}
+
+/**
+ * Find the image a cell's background is cut from
+ * @param {Object} board - Board configuration
+ * @param {Object} images - Images (board.images or uploaded images, see getImageMatrix())
+ * @param {number} homeX - Home X coordinate
+ * @param {number} homeY - Home Y coordinate
+ * @returns {Object} {image, x, y, width, height} - the image, the cell's
+ *   position within it and the size of the board area it covers, in tiles
+ */
+export function getImageCell(board, images, homeX, homeY) {
+  const matrix = getImageMatrix(board, images);
+  const width = board.width / matrix[0].length;
+  const height = board.height / matrix.length;
+  const column = Math.floor(homeX / width);
+  const row = Math.floor(homeY / height);
+  return { image: matrix[row][column], x: homeX - column * width, y: homeY - row * height, width, height };
+}
@@ -0,0 +1,281 @@
+/**
+ * customboards.js - Imported board layouts
+ *
+ * This module turns board definitions written as JSON (from a file or the
+ * `boardDef` URL parameter) into board configurations, checks them with
+ * validateBoardConfig(), registers them in boardRegistry next to the built-in
+ * boards and keeps them in localStorage.
+ * An imported board's slug is derived from its definition, so the same
+ * definition gets the same slug in every browser and challenge links,
+ * records and saved progress refer to it like to a built-in board.
+ */
+
+import { boardRegistry } from './boards.js';
+import { validateBoardConfig } from './validator.js';
+
+const CUSTOM_BOARDS_KEY = 'customBoards';
+const CUSTOM_SLUG_PREFIX = 'custom-';
+const IMAGE_MODES = ['single', 'horizontal', 'vertical', 'grid'];
+const MAX_BOARD_SIZE = 32;
+const MAX_NAME_LENGTH = 60;
+const DEFAULT_IMAGE = 'lightworld.png';
+
+// Relative path of an image file served with the game, e.g. 'darkworld.png' or
+// 'maps/castle.jpg'. Schemes, absolute paths and '..' are ruled out, so a
+// shared boardDef link can't load images from other sites; the characters
+// allowed are also safe inside CSS url().
+const IMAGE_PATH_PATTERN = /^([A-Za-z0-9_-][A-Za-z0-9._-]*\/)*[A-Za-z0-9_-][A-Za-z0-9._-]*\.(png|jpe?g|gif|webp)$/i;
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * Parse a list of cell positions
+ * @param {*} value - Value from the definition
+ * @param {string} what - Name used in error messages
+ * @returns {Array} Array of {x, y}
+ */
+function parsePositions(value, what) {
+  if (!Array.isArray(value)) {
+    throw new Error(`${what} must be a list of {"x": ..., "y": ...} positions.`);
+  }
+  return value.map((pos, i) => {
+    if (!pos || !Number.isInteger(pos.x) || !Number.isInteger(pos.y)) {
+      throw new Error(`${what}: entry ${i + 1} needs whole-number "x" and "y".`);
+    }
+    return { x: pos.x, y: pos.y };
+  });
+}
+
+/**
+ * Parse an image reference
+ * Only image files next to the game are allowed (see IMAGE_PATH_PATTERN).
+ * @param {*} value - Value from the definition
+ * @param {string} what - Name used in error messages
+ * @returns {string} Relative image URL
+ */
+function parseImage(value, what) {
+  if (typeof value !== 'string' || !IMAGE_PATH_PATTERN.test(value)) {
+    throw new Error(`${what} must be the file name of an image that comes with the game, e.g. "${DEFAULT_IMAGE}" (no web addresses).`);
+  }
+  return value;
+}
+
+/**
+ * Parse the image matrix of a 'grid' board
+ * Its shape is checked against the board size by validateBoardConfig().
+ * @param {*} value - Value from the definition
+ * @returns {Array<Array<string>>} Rows of image URLs
+ */
+function parseImageGrid(value) {
+  if (!Array.isArray(value) || value.length === 0 || value.length > MAX_BOARD_SIZE ||
+      !value.every(row => Array.isArray(row) && row.length > 0 && row.length <= MAX_BOARD_SIZE)) {
+    throw new Error('"imageMode" "grid" needs "images.grid": a list of rows, each a list of images.');
+  }
+  return value.map((row, r) => row.map((image, c) => parseImage(image, `"images.grid" row ${r + 1}, image ${c + 1}`)));
+}
+
+/**
+ * Parse and validate a board definition
+ * The format is checked here; the layout is checked by validateBoardConfig().
+ * @param {string|Object} input - JSON text or parsed definition:
+ *   name              - Name shown in the board dropdowns (optional)
+ *   width, height     - Board size in tiles
+ *   imageMode         - 'single', 'horizontal', 'vertical' or 'grid' (default 'single')
+ *   images            - {primary, secondary} (default: the Light World map),
+ *                       or {grid: rows of images} for 'grid'
+ *   largePieces       - Large piece top-left corners (array of {x, y})
+ *   defaultGapConfig  - Key into gapConfigurations (default: the first key)
+ *   gapConfigurations - Key -> {name, gaps: array of {x, y}}
+ * @returns {Object} Board configuration (like the built-in boards, plus name)
+ * @throws {Error} With a message for the player if the definition is malformed;
+ *   `problems` lists the problems of a well-formed but invalid layout
+ */
+export function parseBoardDefinition(input) {
+  let def = input;
+  if (typeof input === 'string') {
+    try {
+      def = JSON.parse(input);
+    } catch (err) {
+      throw new Error(`The board definition is not valid JSON (${err.message}).`);
+    }
+  }
+  if (!def || typeof def !== 'object' || Array.isArray(def)) {
+    throw new Error('The board definition must be a JSON object.');
+  }
+
+  const name = def.name === undefined ? '' : def.name;
+  if (typeof name !== 'string' || name.length > MAX_NAME_LENGTH) {
+    throw new Error(`"name" must be text of at most ${MAX_NAME_LENGTH} characters.`);
+  }
+
+  for (const key of ['width', 'height']) {
+    if (!Number.isInteger(def[key]) || def[key] < 2 || def[key] > MAX_BOARD_SIZE) {
+      throw new Error(`"${key}" must be a whole number from 2 to ${MAX_BOARD_SIZE}.`);
+    }
+  }
+
+  const imageMode = def.imageMode === undefined ? 'single' : def.imageMode;
+  if (!IMAGE_MODES.includes(imageMode)) {
+    throw new Error(`"imageMode" must be one of ${IMAGE_MODES.map(m => `"${m}"`).join(', ')}.`);
+  }
+
+  let images = { primary: DEFAULT_IMAGE };
+  if (imageMode === 'grid') {
+    images = { grid: parseImageGrid(def.images && def.images.grid) };
+  } else if (def.images !== undefined) {
+    if (!def.images || typeof def.images !== 'object') {
+      throw new Error('"images" must be an object with "primary" (and "secondary") image.');
+    }
+    images.primary = parseImage(def.images.primary, '"images.primary"');
+    if (def.images.secondary !== undefined) {
+      images.secondary = parseImage(def.images.secondary, '"images.secondary"');
+    }
+  }
+  if ((imageMode === 'horizontal' || imageMode === 'vertical') && !images.secondary) {
+    throw new Error(`"imageMode" "${imageMode}" needs two images ("images.primary" and "images.secondary").`);
+  }
+
+  const largePieces = parsePositions(def.largePieces === undefined ? [] : def.largePieces, '"largePieces"');
+
+  const configs = def.gapConfigurations;
+  if (!configs || typeof configs !== 'object' || Array.isArray(configs) || Object.keys(configs).length === 0) {
+    throw new Error('"gapConfigurations" must be an object with at least one gap configuration.');
+  }
+  const gapConfigurations = {};
+  for (const [key, config] of Object.entries(configs)) {
+    if (key === '__proto__') {
+      throw new Error('"__proto__" can\'t be used as a gap configuration key.');
+    }
+    if (!config || typeof config !== 'object') {
+      throw new Error(`Gap configuration "${key}" must be an object with "name" and "gaps".`);
+    }
+    gapConfigurations[key] = {
+      name: typeof config.name === 'string' && config.name !== '' ? config.name : key,
+      gaps: parsePositions(config.gaps, `Gap configuration "${key}": "gaps"`)
+    };
+  }
+
+  const defaultGapConfig = def.defaultGapConfig === undefined ? Object.keys(gapConfigurations)[0] : def.defaultGapConfig;
+  // Own keys only: inherited names like "constructor" are not gap configurations
+  if (typeof defaultGapConfig !== 'string' || !Object.hasOwn(gapConfigurations, defaultGapConfig)) {
+    throw new Error(`"defaultGapConfig" must be one of the keys of "gapConfigurations".`);
+  }
+
+  const board = {
+    name: name.trim(),
+    width: def.width,
+    height: def.height,
+    imageMode,
+    images,
+    largePieces,
+    defaultGapConfig,
+    gapConfigurations
+  };
+
+  const problems = validateBoardConfig(board);
+  if (problems.length > 0) {
+    throw Object.assign(new Error(problems.join(' ')), { problems });
+  }
+  return board;
+}
+
+/**
+ * Write a board configuration as a board definition
+ * @param {Object} board - Board configuration
+ * @returns {string} JSON text accepted by parseBoardDefinition()
+ */
+export function stringifyBoardDefinition(board) {
+  const { name, width, height, imageMode, images, largePieces, defaultGapConfig, gapConfigurations } = board;
+  return JSON.stringify({ name, width, height, imageMode, images, largePieces, defaultGapConfig, gapConfigurations });
+}
+
+/**
+ * Get the slug of an imported board (a hash of its definition)
+ * @param {Object} board - Board configuration from parseBoardDefinition()
+ * @returns {string} Slug, e.g. 'custom-1x2ab3c'
+ */
+export function getCustomBoardSlug(board) {
+  // FNV-1a over the definition without the name, so renaming keeps records
+  const text = stringifyBoardDefinition({ ...board, name: undefined });
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return CUSTOM_SLUG_PREFIX + hash.toString(36);
+}
+
+/**
+ * Check whether a slug belongs to an imported board
+ * @param {string} slug - Board slug
+ * @returns {boolean} True for imported boards
+ */
+export function isCustomBoard(slug) {
+  return slug.startsWith(CUSTOM_SLUG_PREFIX);
+}
+
+// ============================================================================
+// REGISTRY AND STORAGE
+// ============================================================================
+
+/**
+ * Read the saved board definitions
+ * @returns {Array<Object>} Saved definitions (parsed JSON objects)
+ */
+function readSavedDefinitions() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(CUSTOM_BOARDS_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+/**
+ * Register an imported board and save it for later visits
+ * A board with the same layout replaces the earlier import (e.g. to rename it).
+ * @param {Object} board - Board configuration from parseBoardDefinition()
+ * @returns {string} Slug of the board in boardRegistry
+ */
+export function registerCustomBoard(board) {
+  const slug = getCustomBoardSlug(board);
+  boardRegistry[slug] = board;
+
+  const definitions = readSavedDefinitions().filter(def => {
+    try {
+      return getCustomBoardSlug(parseBoardDefinition(def)) !== slug;
+    } catch (err) {
+      return false;
+    }
+  });
+  definitions.push(JSON.parse(stringifyBoardDefinition(board)));
+  try {
+    localStorage.setItem(CUSTOM_BOARDS_KEY, JSON.stringify(definitions));
+  } catch (err) {
+    // Storage full or unavailable - the board is only available until reload
+    console.warn('Could not save imported board:', err);
+  }
+  return slug;
+}
+
+/**
+ * Register the saved imported boards (call before looking up boards by slug)
+ * Definitions that no longer parse are skipped.
+ * @returns {Array<string>} Slugs of the registered boards, in import order
+ */
+export function loadCustomBoards() {
+  const slugs = [];
+  for (const def of readSavedDefinitions()) {
+    try {
+      const board = parseBoardDefinition(def);
+      const slug = getCustomBoardSlug(board);
+      boardRegistry[slug] = board;
+      slugs.push(slug);
+    } catch (err) {
+      console.warn('Skipping saved board:', err.message);
+    }
+  }
+  return slugs;
+}
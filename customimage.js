@@ -0,0 +1,251 @@
+/**
+ * customimage.js - Player-supplied board images
+ *
+ * Players can replace the map images with a picture of their own, or two
+ * pictures for boards that show two images side by side or on top of each
+ * other. The original files are kept in IndexedDB so they survive reloads.
+ * For each board layout they are read with a FileReader and drawn onto a
+ * canvas with the aspect ratio of the board (or of one image area), either
+ * cropped (the middle of the picture fills the area) or letterboxed (the
+ * whole picture, with bars), and cut into the board's image matrix. The
+ * prepared canvases are handed out as object URLs, which puzzle.js uses in
+ * place of boardConfig.images.
+ */
+
+import { getImageMatrix } from './boards.js';
+
+const DB_NAME = 'alttpSlidePuzzle';
+const DB_VERSION = 1;
+const STORE_NAME = 'customImages';
+const RECORD_KEY = 'current';
+const MAX_IMAGE_SIZE = 2048; // Longest side of a prepared image in pixels
+const LETTERBOX_COLOR = '#000';
+
+export const FIT_MODES = ['crop', 'letterbox'];
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+/**
+ * Open the image database
+ * @returns {Promise<IDBDatabase>} Database
+ */
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available in this browser.'));
+      return;
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run one request on the image store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} action - Called with the object store, returns an IDBRequest
+ * @returns {Promise<*>} Result of the request once the transaction completes
+ */
+async function runRequest(mode, action) {
+  const db = await openDatabase();
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = action(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Load the saved custom image
+ * @returns {Promise<Object|null>} {primary, secondary, fit} - primary and
+ *   secondary are the uploaded files (secondary may be null), fit is one of
+ *   FIT_MODES; null if none is saved or storage is unavailable
+ */
+export async function loadCustomImage() {
+  try {
+    const record = await runRequest('readonly', store => store.get(RECORD_KEY));
+    return record && record.primary ? record : null;
+  } catch (err) {
+    console.warn('Could not load custom image:', err);
+    return null;
+  }
+}
+
+/**
+ * Save the custom image
+ * @param {Object} record - {primary, secondary, fit} (see loadCustomImage())
+ * @returns {Promise} Resolves once saved
+ * @throws {Error} If storage is unavailable or full
+ */
+export function saveCustomImage(record) {
+  return runRequest('readwrite', store => store.put(record, RECORD_KEY));
+}
+
+/**
+ * Remove the saved custom image
+ * @returns {Promise} Resolves once removed
+ */
+export function clearCustomImage() {
+  return runRequest('readwrite', store => store.delete(RECORD_KEY));
+}
+
+// ============================================================================
+// PREPARING IMAGES
+// ============================================================================
+
+/**
+ * Get the key of a board's image layout; boards with the same key can share
+ * prepared images
+ * @param {Object} board - Board configuration
+ * @returns {string} Image columns × rows and board size, e.g. '2x1/16x8'
+ */
+export function getImageLayoutKey(board) {
+  const matrix = getImageMatrix(board);
+  return `${matrix[0].length}x${matrix.length}/${board.width}x${board.height}`;
+}
+
+/**
+ * Decode an uploaded image file
+ * @param {Blob} file - Image file
+ * @returns {Promise<HTMLImageElement>} Loaded image
+ */
+function readImageFile(file) {
+  return new Promise((resolve, reject) => {
+    const unreadable = () => reject(new Error(`${file.name || 'The file'} is not an image this browser can show.`));
+    const reader = new FileReader();
+    reader.onload = () => {
+      const image = new Image();
+      image.onload = () => resolve(image);
+      image.onerror = unreadable;
+      image.src = reader.result;
+    };
+    reader.onerror = unreadable;
+    reader.readAsDataURL(file);
+  });
+}
+
+/**
+ * Draw an image onto a new canvas with a given aspect ratio
+ * @param {CanvasImageSource} source - Image (or canvas)
+ * @param {number} sourceWidth - Source width in pixels
+ * @param {number} sourceHeight - Source height in pixels
+ * @param {number} aspect - Width / height of the canvas
+ * @param {string} fit - 'crop' fills the canvas, 'letterbox' shows the whole image
+ * @returns {HTMLCanvasElement} Canvas
+ */
+function fitImage(source, sourceWidth, sourceHeight, aspect, fit) {
+  const longSide = Math.min(MAX_IMAGE_SIZE, Math.max(sourceWidth, sourceHeight));
+  const canvas = document.createElement('canvas');
+  canvas.width = aspect >= 1 ? longSide : Math.max(1, Math.round(longSide * aspect));
+  canvas.height = aspect >= 1 ? Math.max(1, Math.round(longSide / aspect)) : longSide;
+
+  const widthScale = canvas.width / sourceWidth;
+  const heightScale = canvas.height / sourceHeight;
+  const scale = fit === 'crop' ? Math.max(widthScale, heightScale) : Math.min(widthScale, heightScale);
+  const drawWidth = sourceWidth * scale;
+  const drawHeight = sourceHeight * scale;
+
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = LETTERBOX_COLOR;
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(source, (canvas.width - drawWidth) / 2, (canvas.height - drawHeight) / 2, drawWidth, drawHeight);
+  return canvas;
+}
+
+/**
+ * Cut one image area out of a canvas
+ * @param {HTMLCanvasElement} canvas - Canvas showing the whole board
+ * @param {number} columns - Image columns of the board
+ * @param {number} rows - Image rows of the board
+ * @param {number} column - Column of the area
+ * @param {number} row - Row of the area
+ * @returns {HTMLCanvasElement} Canvas with the area
+ */
+function cutArea(canvas, columns, rows, column, row) {
+  const width = Math.floor(canvas.width / columns);
+  const height = Math.floor(canvas.height / rows);
+  const result = document.createElement('canvas');
+  result.width = width;
+  result.height = height;
+  result.getContext('2d').drawImage(canvas, column * width, row * height, width, height, 0, 0, width, height);
+  return result;
+}
+
+/**
+ * Turn a canvas into an object URL
+ * @param {HTMLCanvasElement} canvas - Canvas
+ * @returns {Promise<string>} blob: URL (release with releaseCustomImages())
+ */
+function canvasToUrl(canvas) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => {
+      if (blob) {
+        resolve(URL.createObjectURL(blob));
+      } else {
+        reject(new Error('The image could not be prepared.'));
+      }
+    }, 'image/png');
+  });
+}
+
+/**
+ * Prepare the custom image for a board
+ * On boards with two images, each uploaded picture fills one of them;
+ * otherwise the first picture is fitted to the whole board and cut into the
+ * board's image matrix (see getImageMatrix() in boards.js).
+ * @param {Object} record - {primary, secondary, fit} (see loadCustomImage())
+ * @param {Object} board - Board configuration
+ * @returns {Promise<Object>} {grid, layoutKey} - rows of object URLs to use
+ *   instead of board.images, and the image layout they were made for
+ * @throws {Error} If a file can't be read as an image
+ */
+export async function prepareCustomImages(record, board) {
+  const matrix = getImageMatrix(board);
+  const columns = matrix[0].length;
+  const rows = matrix.length;
+  const primary = await readImageFile(record.primary);
+  const fitTo = (image, width, height) =>
+    fitImage(image, image.naturalWidth, image.naturalHeight, width / height, record.fit);
+
+  let areas;
+  if (record.secondary && columns * rows === 2) {
+    const secondary = await readImageFile(record.secondary);
+    const width = board.width / columns;
+    const height = board.height / rows;
+    areas = [fitTo(primary, width, height), fitTo(secondary, width, height)];
+  } else if (columns * rows === 1) {
+    areas = [fitTo(primary, board.width, board.height)];
+  } else {
+    const whole = fitTo(primary, board.width, board.height);
+    areas = [];
+    for (let row = 0; row < rows; row++) {
+      for (let column = 0; column < columns; column++) {
+        areas.push(cutArea(whole, columns, rows, column, row));
+      }
+    }
+  }
+
+  const urls = await Promise.all(areas.map(canvasToUrl));
+  return {
+    grid: matrix.map((_, row) => urls.slice(row * columns, (row + 1) * columns)),
+    layoutKey: getImageLayoutKey(board)
+  };
+}
+
+/**
+ * Release the object URLs of prepared images
+ * @param {Object} images - Return value of prepareCustomImages()
+ */
+export function releaseCustomImages(images) {
+  images.grid.flat().forEach(url => URL.revokeObjectURL(url));
+}
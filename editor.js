@@ -0,0 +1,254 @@
+/**
+ * editor.js - Board editor model
+ *
+ * This module holds the layout edited in the Board Editor dialog: board size,
+ * images, large pieces and named gap configurations. Edits keep the layout
+ * consistent - large pieces stay on the board and never overlap, and a gap
+ * inside a large piece is always the whole piece (a large gap). The layout
+ * converts to the board configuration structure that createPieces() and
+ * initTiles() consume. It has no DOM dependencies; puzzle.js draws the editor.
+ */
+
+import { createEngineState, shuffleSync } from './engine.js';
+
+const MIN_SIZE = 2;
+const MAX_SIZE = 32;
+
+// Images of new layouts (the second image is only used by two-image modes)
+const EDITOR_IMAGES = { primary: 'lightworld.png', secondary: 'darkworld.png' };
+
+// ============================================================================
+// LAYOUT
+// ============================================================================
+
+/**
+ * Create an editable layout
+ * @param {Object} [board] - Board configuration to start from (copied); an
+ *   empty 8×8 board with one small gap if omitted
+ * @returns {Object} Layout {name, width, height, imageMode, images,
+ *   largePieces, gapConfigurations, defaultGapConfig}
+ */
+export function createEditorLayout(board) {
+  if (!board) {
+    return {
+      name: '',
+      width: 8,
+      height: 8,
+      imageMode: 'single',
+      images: { ...EDITOR_IMAGES },
+      largePieces: [],
+      gapConfigurations: { '1s': { name: '1 small gap (bottom right)', gaps: [{ x: 7, y: 7 }] } },
+      defaultGapConfig: '1s'
+    };
+  }
+  return {
+    name: board.name || '',
+    width: board.width,
+    height: board.height,
+    imageMode: board.imageMode,
+    images: board.images.grid
+      ? { ...EDITOR_IMAGES, grid: board.images.grid.map(row => row.slice()) }
+      : { ...EDITOR_IMAGES, ...board.images },
+    largePieces: board.largePieces.map(({ x, y }) => ({ x, y })),
+    gapConfigurations: Object.fromEntries(Object.entries(board.gapConfigurations).map(([key, config]) =>
+      [key, { name: config.name, gaps: config.gaps.map(({ x, y }) => ({ x, y })) }])),
+    defaultGapConfig: board.defaultGapConfig
+  };
+}
+
+/**
+ * Find the large piece covering a cell
+ * @param {Object} layout - Layout
+ * @param {number} x - Cell X coordinate
+ * @param {number} y - Cell Y coordinate
+ * @returns {Object|null} Top-left corner {x, y} of the large piece, or null
+ */
+export function findLargePieceAt(layout, x, y) {
+  return layout.largePieces.find(p => x >= p.x && x < p.x + 2 && y >= p.y && y < p.y + 2) || null;
+}
+
+/**
+ * Change the board size; large pieces and gaps that no longer fit are removed
+ * @param {Object} layout - Layout (modified in place)
+ * @param {number} width - New width in tiles (clamped to 2-32)
+ * @param {number} height - New height in tiles (clamped to 2-32)
+ */
+export function resizeLayout(layout, width, height) {
+  layout.width = Math.min(MAX_SIZE, Math.max(MIN_SIZE, width));
+  layout.height = Math.min(MAX_SIZE, Math.max(MIN_SIZE, height));
+  layout.largePieces = layout.largePieces.filter(p => p.x + 2 <= layout.width && p.y + 2 <= layout.height);
+  for (const config of Object.values(layout.gapConfigurations)) {
+    config.gaps = config.gaps.filter(g => g.x < layout.width && g.y < layout.height &&
+      !(findLargePieceAt(layout, g.x, g.y) && !isLargePieceCorner(layout, g.x, g.y)));
+  }
+}
+
+/**
+ * Check whether a cell is the top-left corner of a large piece
+ * @param {Object} layout - Layout
+ * @param {number} x - Cell X coordinate
+ * @param {number} y - Cell Y coordinate
+ * @returns {boolean} True for large piece corners
+ */
+function isLargePieceCorner(layout, x, y) {
+  return layout.largePieces.some(p => p.x === x && p.y === y);
+}
+
+/**
+ * Place a large piece with its top-left corner on a cell, or remove the
+ * large piece covering the cell
+ * Gaps on the other three cells of a new large piece are removed; a gap on
+ * its corner becomes a large gap.
+ * @param {Object} layout - Layout (modified in place)
+ * @param {number} x - Cell X coordinate
+ * @param {number} y - Cell Y coordinate
+ * @returns {string|null} Why the piece can't be placed, or null on success
+ */
+export function toggleLargePiece(layout, x, y) {
+  const existing = findLargePieceAt(layout, x, y);
+  if (existing) {
+    layout.largePieces.splice(layout.largePieces.indexOf(existing), 1);
+    return null;
+  }
+
+  if (x + 2 > layout.width || y + 2 > layout.height) {
+    return 'A large piece covers 2×2 cells and would stick out of the board here.';
+  }
+  for (let dy = 0; dy < 2; dy++) {
+    for (let dx = 0; dx < 2; dx++) {
+      if (findLargePieceAt(layout, x + dx, y + dy)) {
+        return 'A large piece would overlap another large piece here.';
+      }
+    }
+  }
+
+  layout.largePieces.push({ x, y });
+  layout.largePieces.sort((a, b) => a.y - b.y || a.x - b.x);
+  for (const config of Object.values(layout.gapConfigurations)) {
+    config.gaps = config.gaps.filter(g =>
+      !(g.x >= x && g.x < x + 2 && g.y >= y && g.y < y + 2) || (g.x === x && g.y === y));
+  }
+  return null;
+}
+
+/**
+ * Mark or unmark a gap in a gap configuration
+ * A cell of a large piece marks the whole piece as a large gap.
+ * @param {Object} layout - Layout (modified in place)
+ * @param {string} configKey - Gap configuration key
+ * @param {number} x - Cell X coordinate
+ * @param {number} y - Cell Y coordinate
+ */
+export function toggleGap(layout, configKey, x, y) {
+  const config = layout.gapConfigurations[configKey];
+  const largePiece = findLargePieceAt(layout, x, y);
+  const pos = largePiece ? { x: largePiece.x, y: largePiece.y } : { x, y };
+  const index = config.gaps.findIndex(g => g.x === pos.x && g.y === pos.y);
+  if (index !== -1) {
+    config.gaps.splice(index, 1);
+  } else {
+    config.gaps.push(pos);
+    config.gaps.sort((a, b) => a.y - b.y || a.x - b.x);
+  }
+}
+
+/**
+ * Add an empty gap configuration
+ * @param {Object} layout - Layout (modified in place)
+ * @param {string} name - Name shown in the gap configuration dropdowns
+ * @returns {string} Key of the new configuration
+ */
+export function addGapConfiguration(layout, name) {
+  let n = Object.keys(layout.gapConfigurations).length + 1;
+  while (layout.gapConfigurations[`c${n}`]) n++;
+  const key = `c${n}`;
+  layout.gapConfigurations[key] = { name, gaps: [] };
+  return key;
+}
+
+/**
+ * Remove a gap configuration (the last one is kept)
+ * @param {Object} layout - Layout (modified in place)
+ * @param {string} configKey - Gap configuration key
+ * @returns {boolean} True if the configuration was removed
+ */
+export function removeGapConfiguration(layout, configKey) {
+  const keys = Object.keys(layout.gapConfigurations);
+  if (keys.length <= 1) return false;
+  delete layout.gapConfigurations[configKey];
+  if (layout.defaultGapConfig === configKey) {
+    layout.defaultGapConfig = keys.find(key => key !== configKey);
+  }
+  return true;
+}
+
+/**
+ * Set the size of the image matrix of a 'grid' layout
+ * Images already in the matrix keep their place; new cells alternate
+ * between the two editor images like a checkerboard.
+ * @param {Object} layout - Layout (modified in place)
+ * @param {number} columns - Images per row (clamped to 1 and the board width)
+ * @param {number} rows - Rows of images (clamped to 1 and the board height)
+ */
+export function setImageGrid(layout, columns, rows) {
+  const old = layout.images.grid || [];
+  const clampedColumns = Math.min(layout.width, Math.max(1, columns));
+  const clampedRows = Math.min(layout.height, Math.max(1, rows));
+  layout.images.grid = [...Array(clampedRows)].map((_, r) => [...Array(clampedColumns)].map((_, c) =>
+    (old[r] && old[r][c]) || ((r + c) % 2 === 0 ? EDITOR_IMAGES.primary : EDITOR_IMAGES.secondary)));
+}
+
+// ============================================================================
+// EXPORT AND TEST SHUFFLE
+// ============================================================================
+
+/**
+ * Get the images a layout's image mode uses
+ * @param {Object} layout - Layout
+ * @returns {Object} Images of the board configuration
+ */
+function getLayoutImages(layout) {
+  if (layout.imageMode === 'grid') {
+    return { grid: layout.images.grid.map(row => row.slice()) };
+  }
+  if (layout.imageMode === 'single') {
+    return { primary: layout.images.primary };
+  }
+  return { primary: layout.images.primary, secondary: layout.images.secondary };
+}
+
+/**
+ * Convert a layout to a board configuration
+ * @param {Object} layout - Layout
+ * @returns {Object} Board configuration (see boards.js), with name
+ */
+export function layoutToBoardConfig(layout) {
+  return {
+    name: layout.name.trim(),
+    width: layout.width,
+    height: layout.height,
+    imageMode: layout.imageMode,
+    images: getLayoutImages(layout),
+    largePieces: layout.largePieces.map(({ x, y }) => ({ x, y })),
+    defaultGapConfig: layout.defaultGapConfig,
+    gapConfigurations: Object.fromEntries(Object.entries(layout.gapConfigurations).map(([key, config]) =>
+      [key, { name: config.name, gaps: config.gaps.map(({ x, y }) => ({ x, y })) }]))
+  };
+}
+
+/**
+ * Shuffle a layout with the headless engine, like a challenge would
+ * @param {Object} layout - Layout
+ * @param {string} configKey - Gap configuration key
+ * @param {number} steps - Number of shuffle steps
+ * @returns {Object} Shuffled game state (pieces with positions and home positions)
+ * @throws {Error} If the gap configuration has no gaps
+ */
+export function testShuffle(layout, configKey, steps) {
+  if (layout.gapConfigurations[configKey].gaps.length === 0) {
+    throw new Error('Mark at least one gap to shuffle this gap configuration.');
+  }
+  const state = createEngineState({ boardConfig: layoutToBoardConfig(layout), gapConfigKey: configKey });
+  shuffleSync(state, steps);
+  return state;
+}
@@ -0,0 +1,323 @@
+/**
+ * engine.js - Headless puzzle engine
+ *
+ * This module builds game state objects that contain only data (no DOM
+ * elements), so the movement and shuffle logic can run outside the browser.
+ * The browser UI uses the same helpers to create its pieces and grid, which
+ * keeps both environments in sync.
+ *
+ * Example (Node):
+ *   import { createChallengeState, tryMove, isSolved } from './engine.js';
+ *   const state = createChallengeState({ seed: 12345, steps: 50 });
+ *   tryMove(state, 'left');
+ *   console.log(isSolved(state));
+ */
+
+import { normalizeCoords, tryMove, enumerateValidMoves, invertMove, applyMoveDescriptor } from './moves.js';
+import { shuffleSync } from './shuffle.js';
+import { boardRegistry } from './boards.js';
+
+export { normalizeCoords, tryMove, enumerateValidMoves, invertMove, applyMoveDescriptor, shuffleSync, boardRegistry };
+
+// ============================================================================
+// PIECE AND GRID CONSTRUCTION
+// ============================================================================
+
+/**
+ * Create the pieces of a board in their solved positions.
+ * Pieces are created in a fixed order (large pieces, large gaps, then small
+ * pieces and small gaps in reading order) so that IDs are stable.
+ * @param {Object} boardConfig - Board configuration
+ * @param {string} gapConfigKey - Key into boardConfig.gapConfigurations
+ * @returns {Array} Array of {id, isGap, isLarge, x, y, homeX, homeY, selected}
+ */
+export function createPieces(boardConfig, gapConfigKey) {
+  const pieces = [];
+  const gapConfig = boardConfig.gapConfigurations[gapConfigKey];
+
+  const makePiece = (isGap, isLarge, id, x, y) => ({
+    id,
+    isGap,
+    isLarge,
+    x,
+    y,
+    homeX: x,
+    homeY: y,
+    selected: false
+  });
+
+  // Build coverage mask for large pieces AND large gaps
+  const covered = [...Array(boardConfig.height)].map(()=>Array(boardConfig.width).fill(false));
+
+  // Mark all large piece positions as covered (including those that will become large gaps)
+  boardConfig.largePieces.forEach(({x,y})=>{
+    for(let dy=0; dy<2; dy++){
+      for(let dx=0; dx<2; dx++){
+        covered[y+dy][x+dx] = true;
+      }
+    }
+  });
+
+  // Create large pieces (excluding those that are gaps)
+  let bigPieceIdx = 0;
+  boardConfig.largePieces.forEach((home) => {
+    const isGap = gapConfig.gaps.some(g => g.x === home.x && g.y === home.y);
+    if (!isGap) {
+      pieces.push(makePiece(false, true, `B${bigPieceIdx++}`, home.x, home.y));
+    }
+  });
+
+  // Create large gaps
+  let bigGapIdx = 0;
+  gapConfig.gaps.forEach((gapPos) => {
+    const isLargePiecePosition = boardConfig.largePieces.some(
+      lp => lp.x === gapPos.x && lp.y === gapPos.y
+    );
+
+    if (isLargePiecePosition) {
+      pieces.push(makePiece(true, true, `BG${bigGapIdx++}`, gapPos.x, gapPos.y));
+    }
+  });
+
+  // Create small pieces and small gaps
+  const isSmallGapIdentity = (x,y) => {
+    return gapConfig.gaps.some(g => {
+      if (g.x !== x || g.y !== y) return false;
+      // Only count as small gap if not a large piece position
+      return !boardConfig.largePieces.some(lp => lp.x === x && lp.y === y);
+    });
+  };
+
+  let sIdx = 0;
+  let gIdx = 0;
+  for(let y=0; y<boardConfig.height; y++){
+    for(let x=0; x<boardConfig.width; x++){
+      if(covered[y][x]) continue;
+
+      const isGap = isSmallGapIdentity(x,y);
+      const id = isGap ? `G${gIdx++}` : `S${sIdx++}`;
+      pieces.push(makePiece(isGap, false, id, x, y));
+    }
+  }
+
+  // Set first gap as selected
+  const firstGap = pieces.find(p => p.isGap);
+  if (firstGap) firstGap.selected = true;
+
+  return pieces;
+}
+
+/**
+ * Rebuild the occupancy grid from piece positions.
+ * The existing state.grid array is cleared in-place when its dimensions match,
+ * so references to it held elsewhere remain valid.
+ * @param {Object} state - Game state object
+ * @returns {Array} 2D array: null=empty; or {isGap, isLarge, id, ox, oy}
+ */
+export function buildGrid(state) {
+  const { boardConfig } = state;
+  let grid = state.grid;
+
+  if (!grid || grid.length !== boardConfig.height || grid[0].length !== boardConfig.width) {
+    // Initialize grid if it doesn't exist or has wrong dimensions
+    grid = [...Array(boardConfig.height)].map(()=>Array(boardConfig.width).fill(null));
+  } else {
+    // Clear existing grid in-place
+    for (let y = 0; y < boardConfig.height; y++) {
+      for (let x = 0; x < boardConfig.width; x++) {
+        grid[y][x] = null;
+      }
+    }
+  }
+
+  for (const piece of state.pieces) {
+    if (piece.isLarge) {
+      // Large piece or large gap occupies 2×2 cells (with wrapping support)
+      for(let dy=0; dy<2; dy++) {
+        for(let dx=0; dx<2; dx++) {
+          const cellPos = normalizeCoords(state, piece.x + dx, piece.y + dy);
+          grid[cellPos.y][cellPos.x] = {
+            isGap: piece.isGap,
+            isLarge: piece.isLarge,
+            id: piece.id,
+            ox: dx,
+            oy: dy
+          };
+        }
+      }
+    } else {
+      // Small piece or small gap occupies 1 cell
+      grid[piece.y][piece.x] = {
+        isGap: piece.isGap,
+        isLarge: piece.isLarge,
+        id: piece.id
+      };
+    }
+  }
+
+  state.grid = grid;
+  return grid;
+}
+
+// ============================================================================
+// STATE FACTORIES
+// ============================================================================
+
+/**
+ * Create a headless game state in the solved position
+ * @param {Object} options - State options
+ * @param {string} options.boardSlug - Board slug (defaults to 'default')
+ * @param {Object} options.boardConfig - Board configuration (overrides boardSlug lookup)
+ * @param {string} options.gapConfigKey - Gap configuration key (defaults to the board's default)
+ * @param {boolean} options.wrapHorizontal - Enable horizontal wrapping
+ * @param {boolean} options.wrapVertical - Enable vertical wrapping
+ * @returns {Object} Game state object usable with tryMove, enumerateValidMoves and shuffleSync
+ */
+export function createEngineState(options = {}) {
+  const boardSlug = options.boardSlug || 'default';
+  const boardConfig = options.boardConfig || boardRegistry[boardSlug];
+  if (!boardConfig) {
+    throw new Error(`Unknown board: ${boardSlug}`);
+  }
+
+  const gapConfigKey = options.gapConfigKey && boardConfig.gapConfigurations[options.gapConfigKey]
+    ? options.gapConfigKey
+    : boardConfig.defaultGapConfig;
+
+  const pieces = createPieces(boardConfig, gapConfigKey);
+
+  const state = {
+    // Configuration
+    boardConfig,
+    currentBoardSlug: boardSlug,
+    selectedGapConfigKey: gapConfigKey,
+
+    // Data structures
+    pieces,
+    pieceById: new Map(pieces.map(p => [p.id, p])),
+    grid: null,
+
+    // Flags
+    wrapHorizontal: !!options.wrapHorizontal,
+    wrapVertical: !!options.wrapVertical,
+    gameMode: 'freeplay',
+    challengeSolved: false,
+    timerPaused: false,
+    isShuffling: false,
+
+    // Functions
+    buildGridFromState: () => buildGrid(state)
+  };
+
+  buildGrid(state);
+  return state;
+}
+
+/**
+ * Create a headless game state for a challenge, shuffled exactly like the
+ * browser does for the same parameters
+ * @param {Object} options - Challenge options
+ * @param {number} options.seed - Challenge seed
+ * @param {number} options.steps - Number of shuffle steps
+ * @param {string} options.boardSlug - Board slug (defaults to 'default')
+ * @param {string} options.gapConfigKey - Gap configuration key
+ * @param {boolean} options.randomizeGaps - Randomize gap identities before shuffling
+ * @param {boolean} options.wrapHorizontal - Enable horizontal wrapping
+ * @param {boolean} options.wrapVertical - Enable vertical wrapping
+ * @returns {Object} Shuffled game state object
+ */
+export function createChallengeState(options) {
+  const state = createEngineState(options);
+  state.gameMode = 'challenge';
+  shuffleSync(state, options.steps, options.seed, !!options.randomizeGaps);
+  return state;
+}
+
+/**
+ * Create an independent copy of a game state (pieces and grid are cloned)
+ * @param {Object} state - Game state object
+ * @returns {Object} New game state object
+ */
+export function cloneEngineState(state) {
+  const pieces = state.pieces.map(p => ({
+    id: p.id,
+    isGap: p.isGap,
+    isLarge: p.isLarge,
+    x: p.x,
+    y: p.y,
+    homeX: p.homeX,
+    homeY: p.homeY,
+    selected: p.selected
+  }));
+
+  const clone = {
+    boardConfig: state.boardConfig,
+    currentBoardSlug: state.currentBoardSlug,
+    selectedGapConfigKey: state.selectedGapConfigKey,
+    pieces,
+    pieceById: new Map(pieces.map(p => [p.id, p])),
+    grid: null,
+    wrapHorizontal: state.wrapHorizontal,
+    wrapVertical: state.wrapVertical,
+    gameMode: state.gameMode,
+    challengeSolved: false,
+    timerPaused: false,
+    isShuffling: false,
+    buildGridFromState: () => buildGrid(clone)
+  };
+
+  buildGrid(clone);
+  return clone;
+}
+
+// ============================================================================
+// STATE QUERIES
+// ============================================================================
+
+/**
+ * Check if all pieces (including gaps) are in their home positions
+ * @param {Object} state - Game state object
+ * @returns {boolean} True if the puzzle is solved
+ */
+export function isSolved(state) {
+  for (const piece of state.pieces) {
+    if (piece.x !== piece.homeX || piece.y !== piece.homeY) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Check if any large pieces are currently wrapped in the given direction
+ * @param {Object} state - Game state object
+ * @param {boolean} checkHorizontal - Check for horizontal wrapping
+ * @param {boolean} checkVertical - Check for vertical wrapping
+ * @returns {boolean} True if any large piece is wrapped in the specified direction
+ */
+export function hasWrappedLargePieces(state, checkHorizontal, checkVertical) {
+  const bigPieces = state.pieces.filter(p => p.isLarge && !p.isGap);
+
+  for (const piece of bigPieces) {
+    // Calculate all 4 cell positions with normalization
+    const cells = [
+      normalizeCoords(state, piece.x, piece.y),           // Top-left
+      normalizeCoords(state, piece.x + 1, piece.y),       // Top-right
+      normalizeCoords(state, piece.x, piece.y + 1),       // Bottom-left
+      normalizeCoords(state, piece.x + 1, piece.y + 1)    // Bottom-right
+    ];
+
+    // Check if piece spans board edges (cells are not contiguous)
+    if (checkHorizontal) {
+      const spansHorizontal = (Math.abs(cells[0].x - cells[1].x) > 1 || Math.abs(cells[2].x - cells[3].x) > 1);
+      if (spansHorizontal) return true;
+    }
+
+    if (checkVertical) {
+      const spansVertical = (Math.abs(cells[0].y - cells[2].y) > 1 || Math.abs(cells[1].y - cells[3].y) > 1);
+      if (spansVertical) return true;
+    }
+  }
+
+  return false;
+}
@@ -0,0 +1,106 @@
+/**
+ * gamepad.js - Gamepad input
+ *
+ * This module turns the state of game controllers (Gamepad API) into game
+ * actions. The controller polls a getGamepads() function - navigator.getGamepads
+ * by default - so button mappings can be tested with a mocked controller list.
+ * It has no DOM dependencies; input.js executes the actions.
+ */
+
+// ============================================================================
+// BUTTON MAPPING
+// ============================================================================
+
+// Actions of the buttons of the standard gamepad layout
+// (https://w3c.github.io/gamepad/#remapping)
+export const GAMEPAD_BUTTON_ACTIONS = {
+  0: 'cycleGap', // A / Cross - switch selected gap (like Space)
+  4: 'undo',     // LB / L1
+  5: 'redo',     // RB / R1
+  9: 'pause',    // Start / Options - pause or resume the challenge timer
+  12: 'up',      // D-pad up
+  13: 'down',    // D-pad down
+  14: 'left',    // D-pad left
+  15: 'right'    // D-pad right
+};
+
+const STICK_THRESHOLD = 0.5;  // Left stick deflection that counts as a direction
+const REPEAT_DELAY = 300;     // Milliseconds a direction is held before it repeats
+const REPEAT_INTERVAL = 120;  // Milliseconds between repeated moves while held
+const DIRECTIONS = ['up', 'down', 'left', 'right'];
+
+/**
+ * Get the actions a gamepad is currently holding down
+ * Directions slide pieces like the arrow keys (a piece moves in that direction).
+ * @param {Object} gamepad - Gamepad object ({buttons: [{pressed}], axes: [x, y, ...]})
+ * @returns {Set<string>} Actions: 'up', 'down', 'left', 'right', 'cycleGap', 'undo', 'redo', 'pause'
+ */
+export function getHeldActions(gamepad) {
+  const actions = new Set();
+
+  gamepad.buttons.forEach((button, index) => {
+    const action = GAMEPAD_BUTTON_ACTIONS[index];
+    if (action && (button.pressed || button.value > 0.5)) {
+      actions.add(action);
+    }
+  });
+
+  // Left stick: the dominant axis decides the direction
+  const [x = 0, y = 0] = gamepad.axes;
+  if (Math.max(Math.abs(x), Math.abs(y)) >= STICK_THRESHOLD) {
+    if (Math.abs(x) > Math.abs(y)) {
+      actions.add(x > 0 ? 'right' : 'left');
+    } else {
+      actions.add(y > 0 ? 'down' : 'up');
+    }
+  }
+
+  return actions;
+}
+
+// ============================================================================
+// POLLING
+// ============================================================================
+
+/**
+ * Create a gamepad controller that reports actions when buttons are pressed
+ * Each action fires once when pressed; held directions repeat after
+ * REPEAT_DELAY every REPEAT_INTERVAL. All connected gamepads act as one.
+ * @param {Function} onAction - Called with the action name
+ * @param {Function} getGamepads - Returns the list of gamepads (entries may be null)
+ * @returns {Object} {poll(now), reset()} - call poll() once per animation frame
+ *   with a timestamp in milliseconds; reset() forgets held buttons
+ */
+export function createGamepadController(onAction, getGamepads = () => navigator.getGamepads ? navigator.getGamepads() : []) {
+  const held = new Map(); // Action -> {since, lastFired}
+
+  return {
+    poll(now) {
+      const pressed = new Set();
+      for (const gamepad of getGamepads()) {
+        if (!gamepad || gamepad.connected === false) continue;
+        getHeldActions(gamepad).forEach(action => pressed.add(action));
+      }
+
+      for (const action of [...held.keys()]) {
+        if (!pressed.has(action)) held.delete(action);
+      }
+
+      for (const action of pressed) {
+        const state = held.get(action);
+        if (!state) {
+          held.set(action, { since: now, lastFired: now });
+          onAction(action);
+        } else if (DIRECTIONS.includes(action) &&
+                   now - state.since >= REPEAT_DELAY && now - state.lastFired >= REPEAT_INTERVAL) {
+          state.lastFired = now;
+          onAction(action);
+        }
+      }
+    },
+
+    reset() {
+      held.clear();
+    }
+  };
+}
@@ -2,10 +2,13 @@
  * input.js - Input handling (mouse, touch, keyboard)
  *
  * This module contains all event handlers for user input including
- * keyboard controls, mouse controls (click, swipe, drag), and touch controls.
+ * keyboard controls, mouse controls (click, swipe, drag), touch controls and
+ * gamepad controls.
  */
 
 import { normalizeCoords, tryMove, enumerateValidMoves } from './moves.js';
+import { createGamepadController } from './gamepad.js';
+import { KEY_ACTIONS, getActionForEvent } from './bindings.js';
 
 // ============================================================================
 // MOUSE CONTROL STATE
@@ -21,6 +24,7 @@ let lastDragGapPos = null; // Track last gap position we dragged over to prevent
 let lastDragCell = null; // Track the last cell position during drag to prevent flickering
 let dragControlUsed = false; // Flag to disable swipe controls after drag control is used
 let draggedPieceId = null; // Track ID of piece being dragged (for piece drag mode)
+let modifierClick = null; // Pending modifier click: {x, y, action} where action is 'route' or 'mark'
 
 // ============================================================================
 // SHARED UTILITY FUNCTIONS FOR MOUSE CONTROLS
@@ -133,6 +137,42 @@ function findAdjacentGaps(state, cells) {
   return result;
 }
 
+/**
+ * Find the nearest small gap in line with a small piece (for multi-tile slides)
+ * Scans the piece's row and column in all 4 directions, across wrapped edges
+ * when wrapping is enabled. Only small pieces may lie between the piece and
+ * the gap. The selected gap is preferred if it is in line.
+ * @param {Object} state - Game state object
+ * @param {number} x - X coordinate of the piece
+ * @param {number} y - Y coordinate of the piece
+ * @returns {Object|null} {gap, dx, dy, distance} with (dx, dy) pointing from the piece
+ *   toward the gap, or null if no gap is in line
+ */
+function findGapInLine(state, x, y) {
+  const candidates = [];
+  
+  for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+    const lineLength = dx !== 0 ? state.boardConfig.width : state.boardConfig.height;
+    
+    for (let distance = 1; distance < lineLength; distance++) {
+      // Out-of-bounds coordinates stay out of bounds without wrapping
+      const pos = normalizeCoords(state, x + dx * distance, y + dy * distance);
+      const cell = state.grid[pos.y]?.[pos.x];
+      if (!cell || cell.isLarge) break;
+      if (cell.isGap) {
+        candidates.push({ gap: state.pieceById.get(cell.id), dx, dy, distance });
+        break;
+      }
+    }
+  }
+  
+  if (candidates.length === 0) return null;
+  
+  const selected = candidates.filter(c => c.gap.selected);
+  const pool = selected.length > 0 ? selected : candidates;
+  return pool.reduce((best, c) => c.distance < best.distance ? c : best);
+}
+
 /**
  * Convert direction vector to tryMove() direction string
  * Note: tryMove() direction is INVERTED (specifies where to look, not where to move)
@@ -303,6 +343,15 @@ function handlePointerStart(state, e) {
     return;
   }
 
+  // Modifier clicks don't select, swipe or drag - they are handled on pointer end
+  // Shift+click routes the selected gap to the cell, Alt+click marks a piece as placed
+  modifierClick = null;
+  if (e.shiftKey || e.altKey) {
+    modifierClick = { x: gridX, y: gridY, action: e.shiftKey ? 'route' : 'mark' };
+    if (e.preventDefault) e.preventDefault(); // Avoid text selection on Shift+click
+    return;
+  }
+
   // Check if we clicked on a gap FIRST (before storing selection state)
   let clickedGap = state.pieces.find(p => p.isGap && p.x === gridX && p.y === gridY);
   
@@ -831,6 +880,12 @@ function handlePointerEnd(state, e) {
     return;
   }
 
+  // Complete a modifier click if the pointer was released on the same cell
+  if (modifierClick) {
+    handleModifierClick(state, e);
+    return;
+  }
+
   // Check if we have a valid pointer down
   if (!mouseDownPos || !mouseDownTime || !mouseDownGridPos) {
     return;
@@ -1008,28 +1063,8 @@ function handlePointerEnd(state, e) {
     if (!targetGap) return; // Swipe doesn't match any adjacent gap
   } else if (!mouseMoved) {
     // Click (mouse didn't move) - use adjacency logic
-    if (adjacentGaps.length === 0) {
-      return; // No adjacent gaps
-    } else if (adjacentGaps.length === 1) {
-      // Use the only adjacent gap
-      targetGap = adjacentGaps[0].gap;
-      targetDx = adjacentGaps[0].dx;
-      targetDy = adjacentGaps[0].dy;
-    } else {
-      // Multiple gaps adjacent - use selected gap
-      const selectedGap = state.pieces.find(p => p.isGap && p.selected);
-      const selectedAdj = adjacentGaps.find(a => a.gap === selectedGap);
-      if (selectedAdj) {
-        targetGap = selectedAdj.gap;
-        targetDx = selectedAdj.dx;
-        targetDy = selectedAdj.dy;
-      } else {
-        // Selected gap not adjacent, use first adjacent gap
-        targetGap = adjacentGaps[0].gap;
-        targetDx = adjacentGaps[0].dx;
-        targetDy = adjacentGaps[0].dy;
-      }
-    }
+    clickPiece(state, piece, adjacentGaps, gridX, gridY);
+    return;
   } else {
     // Mouse moved, don't process as click
     return;
@@ -1045,53 +1080,246 @@ function handlePointerEnd(state, e) {
 }
 
 /**
- * Handle keyboard input
+ * Move a clicked piece: into the adjacent gap (the selected one if several are
+ * adjacent), or slide the run of small pieces toward a gap in line with it
  * @param {Object} state - Game state object
- * @param {Event} e - Keyboard event
+ * @param {Object} piece - Clicked piece (not a gap)
+ * @param {Array} adjacentGaps - Result of findAdjacentGaps() for the piece
+ * @param {number} x - Clicked cell X coordinate
+ * @param {number} y - Clicked cell Y coordinate
+ * @returns {boolean} True if a move was made
  */
-function handleKeyDown(state, e) {
-  // Undo/Redo keyboard shortcuts
-  if ((e.ctrlKey || e.metaKey) && !e.shiftKey && e.key === 'z') {
-    e.preventDefault();
-    // Get undo function from global scope via document
-    const undoBtn = document.getElementById('undoBtn');
-    if (undoBtn && !undoBtn.disabled) {
-      undoBtn.click();
+function clickPiece(state, piece, adjacentGaps, x, y) {
+  let target;
+  if (adjacentGaps.length === 0) {
+    // No adjacent gaps - slide the run of small pieces between this piece and a gap in line
+    const inLine = piece.isLarge ? null : findGapInLine(state, x, y);
+    if (!inLine) return false;
+    state.pieces.forEach(p => p.selected = false);
+    inLine.gap.selected = true;
+    state.slidePieces(inLine.gap, vectorToDirection(inLine.dx, inLine.dy, false), inLine.distance);
+    return true;
+  } else if (adjacentGaps.length === 1) {
+    // Use the only adjacent gap
+    target = adjacentGaps[0];
+  } else {
+    // Multiple gaps adjacent - use selected gap, or the first adjacent gap if it isn't adjacent
+    const selectedGap = state.pieces.find(p => p.isGap && p.selected);
+    target = adjacentGaps.find(a => a.gap === selectedGap) || adjacentGaps[0];
+  }
+  
+  state.pieces.forEach(p => p.selected = false);
+  target.gap.selected = true;
+  const dir = vectorToDirection(target.dx, target.dy, false);
+  return !!(dir && tryMove(state, dir, null));
+}
+
+/**
+ * Complete a modifier click started in handlePointerStart()
+ * Shift+click moves the selected gap onto the clicked cell along a shortest
+ * route; Alt+click marks or unmarks the clicked piece as placed.
+ * @param {Object} state - Game state object
+ * @param {Event} e - Event object
+ */
+function handleModifierClick(state, e) {
+  const { x, y, action } = modifierClick;
+  modifierClick = null;
+
+  // Ignore the click if the pointer was released on another cell
+  const pos = getEventPosition(e);
+  const rect = state.boardEl.getBoundingClientRect();
+  if (Math.floor((pos.x - rect.left) / state.tilePx) !== x ||
+      Math.floor((pos.y - rect.top) / state.tilePx) !== y) {
+    return;
+  }
+
+  if (action === 'route') {
+    state.routeSelectedGap(x, y);
+  } else {
+    const cell = state.grid[y]?.[x];
+    if (cell && !cell.isGap) {
+      state.togglePlacedPiece(cell.id);
     }
+  }
+}
+
+/**
+ * Select the next gap (Space key, gamepad A button)
+ * @param {Object} state - Game state object
+ */
+function cycleSelectedGap(state) {
+  // Prevent gap switching if challenge is solved, timer is paused or a replay is shown
+  if ((state.gameMode === 'challenge' && (state.challengeSolved || state.timerPaused)) || state.replayActive) {
+    return;
+  }
+  // Toggle selection between gaps
+  const gapPieces = state.pieces.filter(p => p.isGap);
+  const currentlySelected = gapPieces.find(g => g.selected);
+  if (currentlySelected && gapPieces.length > 1) {
+    const currentIdx = gapPieces.indexOf(currentlySelected);
+    const nextIdx = (currentIdx + 1) % gapPieces.length;
+    gapPieces.forEach((g, i) => g.selected = (i === nextIdx));
+    state.renderAll();
+  }
+}
+
+/**
+ * Select a gap by its position in the gap order (the order Space cycles through)
+ * @param {Object} state - Game state object
+ * @param {number} index - Gap index (0 = first gap)
+ * @returns {boolean} True if the gap exists and may be selected
+ */
+function selectGapByIndex(state, index) {
+  // Prevent gap switching if challenge is solved, timer is paused or a replay is shown
+  if ((state.gameMode === 'challenge' && (state.challengeSolved || state.timerPaused)) || state.replayActive) {
+    return false;
+  }
+  const gapPieces = state.pieces.filter(p => p.isGap);
+  const gap = gapPieces[index];
+  if (!gap) return false;
+  if (!gap.selected) {
+    gapPieces.forEach(g => g.selected = (g === gap));
+    state.renderAll();
+  }
+  return true;
+}
+
+/**
+ * Turn the keyboard cursor on (at the selected gap) or off
+ * @param {Object} state - Game state object
+ */
+function toggleKeyboardCursor(state) {
+  if (state.keyboardCursor) {
+    state.setKeyboardCursor(null);
     return;
   }
+  const gap = state.pieces.find(p => p.isGap && p.selected);
+  const start = gap ? normalizeCoords(state, gap.x, gap.y) : { x: 0, y: 0 };
+  state.setKeyboardCursor(start);
+}
+
+/**
+ * Move the keyboard cursor one cell (across wrapped edges when wrapping is on)
+ * @param {Object} state - Game state object
+ * @param {string} dir - Direction the cursor moves ('up', 'down', 'left', 'right')
+ */
+function moveKeyboardCursor(state, dir) {
+  const { dx, dy } = { up: { dx: 0, dy: -1 }, down: { dx: 0, dy: 1 }, left: { dx: -1, dy: 0 }, right: { dx: 1, dy: 0 } }[dir];
+  const cell = normalizeCoords(state, state.keyboardCursor.x + dx, state.keyboardCursor.y + dy);
+  if (cell.x < 0 || cell.y < 0 || cell.x >= state.boardConfig.width || cell.y >= state.boardConfig.height) {
+    state.announce('Edge of the board.');
+    return;
+  }
+  state.setKeyboardCursor(cell);
+}
+
+/**
+ * Activate the cell under the keyboard cursor like a click: select a gap, or
+ * move the piece into an adjacent gap or toward a gap in line with it
+ * @param {Object} state - Game state object
+ * @param {number} x - Cell X coordinate
+ * @param {number} y - Cell Y coordinate
+ */
+function activateCell(state, x, y) {
+  // Nothing can change if challenge is solved, timer is paused or a replay is shown
+  if ((state.gameMode === 'challenge' && (state.challengeSolved || state.timerPaused)) || state.replayActive) {
+    return;
+  }
+  const cell = state.grid[y]?.[x];
+  const piece = cell && state.pieceById.get(cell.id);
+  if (!piece) return;
   
-  if ((e.ctrlKey || e.metaKey) && (e.key === 'y' || (e.shiftKey && e.key === 'Z'))) {
-    e.preventDefault();
-    // Get redo function from global scope via document
-    const redoBtn = document.getElementById('redoBtn');
-    if (redoBtn && !redoBtn.disabled) {
-      redoBtn.click();
-    }
+  if (piece.isGap) {
+    selectGapByIndex(state, state.pieces.filter(p => p.isGap).indexOf(piece));
     return;
   }
   
-  if (e.key === ' ' || e.code === 'Space') {
-    e.preventDefault();
-    // Prevent gap switching if challenge is solved or timer is paused
-    if (state.gameMode === 'challenge' && (state.challengeSolved || state.timerPaused)) {
-      return;
+  const adjacentGaps = findAdjacentGaps(state, getCellsForTile(state, piece, cell, x, y));
+  if (!clickPiece(state, piece, adjacentGaps, x, y)) {
+    state.announce('This piece cannot move.');
+  }
+}
+
+/**
+ * Click a toolbar button by ID if it is enabled (undo, redo, pause)
+ * @param {string} id - Button element ID
+ */
+function clickButtonIfEnabled(id) {
+  const button = document.getElementById(id);
+  if (button && !button.disabled) {
+    button.click();
+  }
+}
+
+/**
+ * Handle a gamepad action (see GAMEPAD_BUTTON_ACTIONS in gamepad.js)
+ * @param {Object} state - Game state object
+ * @param {string} action - Action name
+ */
+function handleGamepadAction(state, action) {
+  // Dialogs are operated with keyboard and mouse; ignore the controller while one is open
+  const dialogOpen = [...document.querySelectorAll('.dialog-overlay')].some(d => d.style.display !== 'none');
+  if (dialogOpen) return;
+  
+  // Controller input takes over from a solution being played, like direct input on the board
+  state.stopSolutionPlayback();
+  
+  if (action === 'cycleGap') {
+    cycleSelectedGap(state);
+  } else if (action === 'undo') {
+    clickButtonIfEnabled('undoBtn');
+  } else if (action === 'redo') {
+    clickButtonIfEnabled('redoBtn');
+  } else if (action === 'pause') {
+    if (state.gameMode === 'challenge') {
+      clickButtonIfEnabled('timerToggleBtn');
     }
-    // Toggle selection between gaps
-    const gapPieces = state.pieces.filter(p => p.isGap);
-    const currentlySelected = gapPieces.find(g => g.selected);
-    if (currentlySelected && gapPieces.length > 1) {
-      const currentIdx = gapPieces.indexOf(currentlySelected);
-      const nextIdx = (currentIdx + 1) % gapPieces.length;
-      gapPieces.forEach((g, i) => g.selected = (i === nextIdx));
-      state.renderAll();
+  } else {
+    tryMove(state, action, null);
+  }
+}
+
+/**
+ * Handle keyboard input (actions come from the key bindings, see bindings.js)
+ * @param {Object} state - Game state object
+ * @param {Event} e - Keyboard event
+ */
+function handleKeyDown(state, e) {
+  const action = getActionForEvent(state.keyBindings, e);
+  if (!action) {
+    // Escape leaves cursor mode unless it is bound to an action
+    if (e.key === 'Escape' && state.keyboardCursor) {
+      e.preventDefault();
+      state.setKeyboardCursor(null);
     }
     return;
   }
-  
-  // Debug: Print valid moves when 'm' key is pressed
-  if (e.key === 'm' || e.key === 'M') {
-    e.preventDefault();
+  e.preventDefault();
+  const { dir, gapIndex, selectGapIndex } = KEY_ACTIONS.find(a => a.id === action);
+
+  if (action === 'cursorMode') {
+    toggleKeyboardCursor(state);
+  } else if (action === 'activateCell') {
+    if (state.keyboardCursor) activateCell(state, state.keyboardCursor.x, state.keyboardCursor.y);
+  } else if (dir && gapIndex === undefined && state.keyboardCursor) {
+    moveKeyboardCursor(state, dir);
+  } else if (selectGapIndex !== undefined) {
+    selectGapByIndex(state, selectGapIndex);
+  } else if (dir && gapIndex !== undefined) {
+    // Dual-gap control: select the gap of the key cluster, then slide into it.
+    // Boards without that gap use their first gap, so every cluster still works.
+    const gapCount = state.pieces.filter(p => p.isGap).length;
+    if (selectGapByIndex(state, gapIndex < gapCount ? gapIndex : 0)) {
+      tryMove(state, dir, null);
+    }
+  } else if (action === 'undo') {
+    clickButtonIfEnabled('undoBtn');
+  } else if (action === 'redo') {
+    clickButtonIfEnabled('redoBtn');
+  } else if (action === 'cycleGap') {
+    cycleSelectedGap(state);
+  } else if (action === 'debugMoves') {
+    // Debug: Print valid moves
     const gapPieces = state.pieces.filter(p => p.isGap);
     const validMoves = enumerateValidMoves(state, gapPieces);
     
@@ -1104,20 +1332,8 @@ function handleKeyDown(state, e) {
       
       console.log(`${index + 1}. ${gapInfo} at ${gapPos} -> Direction: ${move.dir} -> Type: ${moveType}`);
     });
-    return;
-  }
-  
-  const keyMap = {
-    ArrowUp: 'up',
-    ArrowDown: 'down',
-    ArrowLeft: 'left',
-    ArrowRight: 'right',
-    w: 'up', s: 'down', a: 'left', d: 'right'
-  };
-  const dir = keyMap[e.key];
-  if (dir) {
-    e.preventDefault();
-    tryMove(state, dir, null);
+  } else {
+    tryMove(state, action, null);
   }
 }
 
@@ -1182,6 +1398,7 @@ export function initializeInputHandlers(getStateFn) {
     lastDragCell = null;
     dragControlUsed = false;
     draggedPieceId = null;
+    modifierClick = null;
   };
   
   boardEl.addEventListener('touchstart', touchstartHandler, { passive: false });
@@ -1189,6 +1406,33 @@ export function initializeInputHandlers(getStateFn) {
   document.addEventListener('touchend', touchendHandler);
   document.addEventListener('touchcancel', touchcancelHandler);
   
+  // Gamepad handlers - poll once per frame while a controller is connected
+  const gamepadController = createGamepadController((action) => handleGamepadAction(getStateFn(), action));
+  let gamepadFrame = null;
+  
+  const pollGamepads = (now) => {
+    gamepadController.poll(now);
+    gamepadFrame = requestAnimationFrame(pollGamepads);
+  };
+  
+  const gamepadconnectedHandler = () => {
+    if (gamepadFrame === null) {
+      gamepadFrame = requestAnimationFrame(pollGamepads);
+    }
+  };
+  
+  const gamepaddisconnectedHandler = () => {
+    const connected = navigator.getGamepads ? [...navigator.getGamepads()].some(Boolean) : false;
+    if (!connected && gamepadFrame !== null) {
+      cancelAnimationFrame(gamepadFrame);
+      gamepadFrame = null;
+      gamepadController.reset();
+    }
+  };
+  
+  window.addEventListener('gamepadconnected', gamepadconnectedHandler);
+  window.addEventListener('gamepaddisconnected', gamepaddisconnectedHandler);
+  
   // Return cleanup function
   return () => {
     boardEl.removeEventListener('keydown', keydownHandler);
@@ -1199,5 +1443,10 @@ export function initializeInputHandlers(getStateFn) {
     boardEl.removeEventListener('touchmove', touchmoveHandler);
     document.removeEventListener('touchend', touchendHandler);
     document.removeEventListener('touchcancel', touchcancelHandler);
+    window.removeEventListener('gamepadconnected', gamepadconnectedHandler);
+    window.removeEventListener('gamepaddisconnected', gamepaddisconnectedHandler);
+    if (gamepadFrame !== null) {
+      cancelAnimationFrame(gamepadFrame);
+    }
   };
 }
\ No newline at end of file
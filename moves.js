@@ -150,20 +150,52 @@ function getLargePieceCells(state, piece) {
   return cells;
 }
 
+/**
+ * Create a move descriptor from the planned movements of a move.
+ * Must be called BEFORE piece positions are updated so the current
+ * positions can be recorded as the starting coordinates.
+ * @param {string} type - Move type ('gapSwap'|'largeSwap'|'largeGapMove'|'smallIntoLargeGap'|'chain'|'small'|'large')
+ * @param {string} dir - Direction passed to tryMove()
+ * @param {Object} gap - Gap used for the move
+ * @param {Array} movements - Array of {piece, toX, toY}
+ * @returns {Object} Move descriptor {type, dir, gapId, moved: [{id, fromX, fromY, toX, toY}]}
+ */
+function createMoveDescriptor(type, dir, gap, movements) {
+  return {
+    type,
+    dir,
+    gapId: gap.id,
+    moved: movements.map(({ piece, toX, toY }) => ({
+      id: piece.id,
+      fromX: piece.x,
+      fromY: piece.y,
+      toX,
+      toY
+    }))
+  };
+}
+
 /**
  * Finalize a move by handling rendering, history, and win conditions
  * @param {Object} state - Game state object
  * @param {boolean} skipRender - Whether to skip rendering
  * @param {boolean} dryRun - Whether this is a dry run
+ * @param {Object} move - Move descriptor of the executed move
  */
-function finalizeMove(state, skipRender, dryRun) {
-  if (!skipRender) state.renderAll();
+function finalizeMove(state, skipRender, dryRun, move) {
+  // Rendering and bookkeeping hooks are optional so moves can run headless
+  if (!skipRender && state.renderAll) state.renderAll();
   
   if (!dryRun && !state.isShuffling && state.captureHistorySnapshot) {
-    state.captureHistorySnapshot();
+    state.captureHistorySnapshot(move);
   }
   
-  if (state.gameMode === 'challenge' && !state.isShuffling) {
+  if (!dryRun && !state.isShuffling && state.announceMove) {
+    state.announceMove(move);
+  }
+  
+  if (state.gameMode === 'challenge' && !state.isShuffling && state.incrementMoveCount) {
+    if (state.recordMove) state.recordMove(move);
     state.incrementMoveCount();
     if (state.checkWinCondition()) {
       state.handleWin();
@@ -176,12 +208,19 @@ function finalizeMove(state, skipRender, dryRun) {
  * @param {Object} state - Game state object
  * @param {Object} entity1 - First entity to swap
  * @param {Object} entity2 - Second entity to swap
+ * @param {string} dir - Direction passed to tryMove()
+ * @param {Object} gap - Gap used for the move
  * @param {boolean} skipRender - Whether to skip rendering
  * @param {boolean} dryRun - Whether this is a dry run
- * @returns {boolean} True if successful
+ * @returns {Object} Move descriptor
  */
-function executeSwap(state, entity1, entity2, skipRender, dryRun) {
-  if (dryRun) return true;
+function executeSwap(state, entity1, entity2, dir, gap, skipRender, dryRun) {
+  const type = entity1.isGap && entity2.isGap ? 'gapSwap' : 'largeSwap';
+  const move = createMoveDescriptor(type, dir, gap, [
+    { piece: entity1, toX: entity2.x, toY: entity2.y },
+    { piece: entity2, toX: entity1.x, toY: entity1.y }
+  ]);
+  if (dryRun) return move;
   
   // Swap positions
   [entity1.x, entity1.y, entity2.x, entity2.y] =
@@ -208,8 +247,8 @@ function executeSwap(state, entity1, entity2, skipRender, dryRun) {
     };
   }
   
-  finalizeMove(state, skipRender, dryRun);
-  return true;
+  finalizeMove(state, skipRender, dryRun, move);
+  return move;
 }
 
 /**
@@ -260,7 +299,7 @@ function calculateCheckCells(state, largeGap, dir) {
  * @param {string} dir - Direction of movement
  * @param {boolean} skipRender - Whether to skip rendering
  * @param {boolean} dryRun - Whether this is a dry run
- * @returns {boolean} True if successful
+ * @returns {Object|null} Move descriptor or null if invalid
  */
 function handleLargeGapMovement(state, largeGap, dir, skipRender, dryRun) {
   // Calculate direction vector for WHERE THE GAP WOULD MOVE
@@ -272,23 +311,23 @@ function handleLargeGapMovement(state, largeGap, dir, skipRender, dryRun) {
   
   // Check boundary constraints
   if (!state.wrapHorizontal) {
-    if (dx === 1 && largeGap.x + 2 >= state.boardConfig.width) return false;
-    if (dx === -1 && largeGap.x - 1 < 0) return false;
+    if (dx === 1 && largeGap.x + 2 >= state.boardConfig.width) return null;
+    if (dx === -1 && largeGap.x - 1 < 0) return null;
   }
   if (!state.wrapVertical) {
-    if (dy === 1 && largeGap.y + 2 >= state.boardConfig.height) return false;
-    if (dy === -1 && largeGap.y - 1 < 0) return false;
+    if (dy === 1 && largeGap.y + 2 >= state.boardConfig.height) return null;
+    if (dy === -1 && largeGap.y - 1 < 0) return null;
   }
   
   // Calculate which cells to check
   const destCells = calculateCheckCells(state, largeGap, dir);
   
-  if (destCells.length !== 2) return false;
+  if (destCells.length !== 2) return null;
   
   const dest1Cell = state.grid[destCells[0].y]?.[destCells[0].x];
   const dest2Cell = state.grid[destCells[1].y]?.[destCells[1].x];
   
-  if (!dest1Cell || !dest2Cell) return false;
+  if (!dest1Cell || !dest2Cell) return null;
   
   // Check if destination is a large piece (swap case)
   if (dest1Cell.isLarge && dest2Cell.isLarge && !dest1Cell.isGap) {
@@ -301,20 +340,20 @@ function handleLargeGapMovement(state, largeGap, dir, skipRender, dryRun) {
     });
     
     if (allSamePiece) {
-      return executeSwap(state, largeGap, largePiece, skipRender, dryRun);
+      return executeSwap(state, largeGap, largePiece, dir, largeGap, skipRender, dryRun);
     }
   }
   
   // Otherwise, handle moving into 2 small pieces/gaps
   if (dest1Cell.isLarge || dest2Cell.isLarge) {
-    return false;
+    return null;
   }
   
   // Get the pieces/gaps at destination
   const piece1 = state.pieceById.get(dest1Cell.id);
   const piece2 = state.pieceById.get(dest2Cell.id);
   
-  if (!piece1 || !piece2) return false;
+  if (!piece1 || !piece2) return null;
   
   // Calculate target cells (where pieces should end up - far side of gap)
   let targetCells = [];
@@ -354,14 +393,19 @@ function handleLargeGapMovement(state, largeGap, dir, skipRender, dryRun) {
     ];
   }
   
-  if (!map[0].target || !map[1].target) return false;
+  if (!map[0].target || !map[1].target) return null;
   
-  if (dryRun) return true;
+  const newGapPos = normalizeCoords(state, largeGap.x + dx, largeGap.y + dy);
+  const move = createMoveDescriptor('largeGapMove', dir, largeGap, [
+    { piece: largeGap, toX: newGapPos.x, toY: newGapPos.y },
+    ...map.map(({ piece, target }) => ({ piece, toX: target.x, toY: target.y }))
+  ]);
+  
+  if (dryRun) return move;
   
   // Move the large gap
   const oldGapX = largeGap.x;
   const oldGapY = largeGap.y;
-  const newGapPos = normalizeCoords(state, largeGap.x + dx, largeGap.y + dy);
   largeGap.x = newGapPos.x;
   largeGap.y = newGapPos.y;
   
@@ -379,8 +423,8 @@ function handleLargeGapMovement(state, largeGap, dir, skipRender, dryRun) {
     state.grid[piece.y][piece.x] = { isGap: piece.isGap, isLarge: false, id: piece.id };
   }
   
-  finalizeMove(state, skipRender, dryRun);
-  return true;
+  finalizeMove(state, skipRender, dryRun, move);
+  return move;
 }
 
 /**
@@ -393,7 +437,7 @@ function handleLargeGapMovement(state, largeGap, dir, skipRender, dryRun) {
  * @param {string} dir - Direction of movement
  * @param {boolean} skipRender - Whether to skip rendering
  * @param {boolean} dryRun - Whether this is a dry run
- * @returns {boolean} True if successful
+ * @returns {Object|null} Move descriptor or null if invalid
  */
 function handleSmallPiecesIntoLargeGap(state, largeGap, movingPiece, fromX, fromY, dir, skipRender, dryRun) {
   // Calculate direction vector
@@ -431,10 +475,10 @@ function handleSmallPiecesIntoLargeGap(state, largeGap, movingPiece, fromX, from
     }
   }
   
-  if (!otherPiecePos) return false;
+  if (!otherPiecePos) return null;
   
   const otherPiece = state.pieceById.get(state.grid[otherPiecePos.y][otherPiecePos.x].id);
-  if (!otherPiece) return false;
+  if (!otherPiece) return null;
   
   // Check if both pieces would move into the large gap's cells
   const piece1NewPos = normalizeCoords(state, movingPiece.x + dx, movingPiece.y + dy);
@@ -452,7 +496,7 @@ function handleSmallPiecesIntoLargeGap(state, largeGap, movingPiece, fromX, from
   const piece1InGap = gapCells.some(c => c.x === piece1NewPos.x && c.y === piece1NewPos.y);
   const piece2InGap = gapCells.some(c => c.x === piece2NewPos.x && c.y === piece2NewPos.y);
   
-  if (!piece1InGap || !piece2InGap) return false;
+  if (!piece1InGap || !piece2InGap) return null;
   
   // The 2 cells they DON'T occupy become the new gap position
   const freedCells = gapCells.filter(c =>
@@ -460,9 +504,20 @@ function handleSmallPiecesIntoLargeGap(state, largeGap, movingPiece, fromX, from
     !(c.x === piece2NewPos.x && c.y === piece2NewPos.y)
   );
   
-  if (freedCells.length !== 2) return false;
+  if (freedCells.length !== 2) return null;
+  
+  // Large gap moves to the freed cells
+  const newGapPos = dx !== 0
+    ? { x: freedCells[0].x, y: Math.min(freedCells[0].y, freedCells[1].y) }
+    : { x: Math.min(freedCells[0].x, freedCells[1].x), y: freedCells[0].y };
+  
+  const move = createMoveDescriptor('smallIntoLargeGap', dir, largeGap, [
+    { piece: movingPiece, toX: piece1NewPos.x, toY: piece1NewPos.y },
+    { piece: otherPiece, toX: piece2NewPos.x, toY: piece2NewPos.y },
+    { piece: largeGap, toX: newGapPos.x, toY: newGapPos.y }
+  ]);
   
-  if (dryRun) return true;
+  if (dryRun) return move;
   
   // Move both pieces
   movingPiece.x = piece1NewPos.x;
@@ -471,13 +526,8 @@ function handleSmallPiecesIntoLargeGap(state, largeGap, movingPiece, fromX, from
   otherPiece.y = piece2NewPos.y;
   
   // Move large gap to freed cells
-  if (dx !== 0) {
-    largeGap.x = freedCells[0].x;
-    largeGap.y = Math.min(freedCells[0].y, freedCells[1].y);
-  } else {
-    largeGap.x = Math.min(freedCells[0].x, freedCells[1].x);
-    largeGap.y = freedCells[0].y;
-  }
+  largeGap.x = newGapPos.x;
+  largeGap.y = newGapPos.y;
   
   // Update grid
   state.grid[fromY][fromX] = null;
@@ -489,8 +539,8 @@ function handleSmallPiecesIntoLargeGap(state, largeGap, movingPiece, fromX, from
   
   setLargePieceGrid(state, largeGap, true);
   
-  finalizeMove(state, skipRender, dryRun);
-  return true;
+  finalizeMove(state, skipRender, dryRun, move);
+  return move;
 }
 
 /**
@@ -751,12 +801,19 @@ function validateChainMove(state, chainInfo, largePiece, dx, dy) {
  * Execute the coordinated chain move atomically
  * @param {Object} state - Game state object
  * @param {Object} movePlan - Move plan with all entity movements
+ * @param {string} dir - Direction passed to tryMove()
+ * @param {Object} gap - Gap used for the move
  * @param {boolean} skipRender - Whether to skip rendering
  * @param {boolean} dryRun - Whether this is a dry run
- * @returns {boolean} True if successful
+ * @returns {Object} Move descriptor
  */
-function executeChainMove(state, movePlan, skipRender, dryRun) {
-  if (dryRun) return true;
+function executeChainMove(state, movePlan, dir, gap, skipRender, dryRun) {
+  const move = createMoveDescriptor('chain', dir, gap, [
+    ...movePlan.gaps.map(g => ({ piece: g.gap, toX: g.newX, toY: g.newY })),
+    { piece: movePlan.largePiece.piece, toX: movePlan.largePiece.newX, toY: movePlan.largePiece.newY },
+    ...movePlan.smallPieces.map(sp => ({ piece: sp.piece, toX: sp.newX, toY: sp.newY }))
+  ]);
+  if (dryRun) return move;
   
   // Store old positions for clearing grid
   const oldGapPositions = movePlan.gaps.map(g => ({ x: g.gap.x, y: g.gap.y, gap: g.gap }));
@@ -800,8 +857,8 @@ function executeChainMove(state, movePlan, skipRender, dryRun) {
     state.grid[piece.y][piece.x] = { isGap: false, isLarge: false, id: piece.id };
   }
   
-  finalizeMove(state, skipRender, dryRun);
-  return true;
+  finalizeMove(state, skipRender, dryRun, move);
+  return move;
 }
 
 /**
@@ -811,14 +868,22 @@ function executeChainMove(state, movePlan, skipRender, dryRun) {
  * @param {Object} gap - Optional gap to use for the move (if not provided, uses selected gap)
  * @param {Array} cachedGapPieces - Optional cached array of gap pieces
  * @param {boolean} dryRun - If true, only validate the move without executing it
- * @returns {boolean} True if move was successful (or would be successful in dry-run mode)
+ * @returns {Object|null} Move descriptor if move was successful (or would be successful in dry-run mode), null otherwise
+ *   {type, dir, gapId, moved: [{id, fromX, fromY, toX, toY}]} where type is one of:
+ *   'gapSwap' (two gaps swap), 'largeSwap' (large piece and large gap swap),
+ *   'largeGapMove' (large gap moves into 2 small entities), 'smallIntoLargeGap' (2 small pieces move into a large gap),
+ *   'chain' (large piece moves into multiple large gaps), 'small' (small piece into small gap),
+ *   'large' (large piece into 2 small gaps)
  */
 export function tryMove(state, dir, gap, cachedGapPieces = null, dryRun = false) {
   // Prevent moves if challenge is solved or timer is paused
   if (state.gameMode === 'challenge' && !state.isShuffling && (state.challengeSolved || state.timerPaused)) {
-    return false;
+    return null;
   }
   
+  // Prevent moves while the replay viewer controls the board
+  if (state.replayActive) return null;
+  
   // IMPORTANT: The 'dir' parameter is COUNTERINTUITIVE!
   // It specifies where to look for something to move INTO the gap, NOT the direction of movement.
   // - tryMove('right') looks at g.x - 1 (to the LEFT)
@@ -832,7 +897,7 @@ export function tryMove(state, dir, gap, cachedGapPieces = null, dryRun = false)
   // Get gap to use (either provided or selected)
   const gapPieces = cachedGapPieces || state.pieces.filter(p => p.isGap);
   const selectedGap = gap || gapPieces.find(p => p.selected);
-  if (!selectedGap) return false;
+  if (!selectedGap) return null;
   
   // dir: 'up'|'down'|'left'|'right'
   // For large gaps, we need to look beyond the gap's 2x2 extent
@@ -857,10 +922,10 @@ export function tryMove(state, dir, gap, cachedGapPieces = null, dryRun = false)
   fromY = wrappedFrom.y;
   
   // Check bounds (with wrapping, coordinates should always be valid after normalization)
-  if (fromX < 0 || fromX >= state.boardConfig.width || fromY < 0 || fromY >= state.boardConfig.height) return false;
+  if (fromX < 0 || fromX >= state.boardConfig.width || fromY < 0 || fromY >= state.boardConfig.height) return null;
   
   const sourceCell = state.grid[fromY][fromX];
-  if (!sourceCell) return false;
+  if (!sourceCell) return null;
   
   // Determine if we should skip rendering (during shuffle in Challenge Mode)
   const skipRender = state.isShuffling && state.gameMode === 'challenge';
@@ -868,7 +933,7 @@ export function tryMove(state, dir, gap, cachedGapPieces = null, dryRun = false)
   // CASE 1: Gap-to-gap swap (same size)
   if (sourceCell.isGap) {
     const otherGap = state.pieceById.get(sourceCell.id);
-    if (!otherGap) return false;
+    if (!otherGap) return null;
     
     // Check if both gaps are the same size
     if (selectedGap.isLarge === otherGap.isLarge) {
@@ -879,10 +944,10 @@ export function tryMove(state, dir, gap, cachedGapPieces = null, dryRun = false)
           const cell = state.grid[c.y]?.[c.x];
           return cell?.isGap && cell?.isLarge && cell.id === otherGap.id;
         });
-        if (!allSameGap) return false;
+        if (!allSameGap) return null;
       }
       
-      return executeSwap(state, selectedGap, otherGap, skipRender, dryRun);
+      return executeSwap(state, selectedGap, otherGap, dir, selectedGap, skipRender, dryRun);
     }
     // If gaps are different sizes, fall through to other cases
   }
@@ -916,7 +981,7 @@ export function tryMove(state, dir, gap, cachedGapPieces = null, dryRun = false)
           if (chainInfo && chainInfo.isChain) {
             const movePlan = validateChainMove(state, chainInfo, movingPiece, dx, dy);
             if (movePlan) {
-              return executeChainMove(state, movePlan, skipRender, dryRun);
+              return executeChainMove(state, movePlan, dir, selectedGap, skipRender, dryRun);
             }
           }
         }
@@ -928,7 +993,7 @@ export function tryMove(state, dir, gap, cachedGapPieces = null, dryRun = false)
 
   // CASE 3: Regular piece movement
   const movingPiece = state.pieceById.get(sourceCell.id);
-  if (!movingPiece) return false;
+  if (!movingPiece) return null;
 
   // CASE 3a: Small piece into large gap (requires 2 aligned pieces)
   if (!movingPiece.isLarge && selectedGap.isLarge) {
@@ -937,9 +1002,13 @@ export function tryMove(state, dir, gap, cachedGapPieces = null, dryRun = false)
   
   // CASE 3b: Small piece into small gap (simple swap)
   if (!movingPiece.isLarge && !selectedGap.isLarge) {
-    if (dryRun) return true;
-    
     const newPos = normalizeCoords(state, movingPiece.x + dx, movingPiece.y + dy);
+    const move = createMoveDescriptor('small', dir, selectedGap, [
+      { piece: movingPiece, toX: newPos.x, toY: newPos.y },
+      { piece: selectedGap, toX: fromX, toY: fromY }
+    ]);
+    if (dryRun) return move;
+    
     movingPiece.x = newPos.x;
     movingPiece.y = newPos.y;
     selectedGap.x = fromX;
@@ -948,14 +1017,14 @@ export function tryMove(state, dir, gap, cachedGapPieces = null, dryRun = false)
     state.grid[movingPiece.y][movingPiece.x] = { isGap: false, isLarge: false, id: movingPiece.id };
     state.grid[selectedGap.y][selectedGap.x] = { isGap: true, isLarge: false, id: selectedGap.id };
     
-    finalizeMove(state, skipRender, dryRun);
-    return true;
+    finalizeMove(state, skipRender, dryRun, move);
+    return move;
   }
 
   // CASE 3c: Large piece movement
   if (movingPiece.isLarge) {
     const result = calculateLargePieceDestination(state, movingPiece, dx, dy);
-    if (!result) return false;
+    if (!result) return null;
     
     const { destCells: dest, freedCells: freed } = result;
 
@@ -964,7 +1033,7 @@ export function tryMove(state, dir, gap, cachedGapPieces = null, dryRun = false)
     if (chainInfo && chainInfo.isChain) {
       const movePlan = validateChainMove(state, chainInfo, movingPiece, dx, dy);
       if (movePlan) {
-        return executeChainMove(state, movePlan, skipRender, dryRun);
+        return executeChainMove(state, movePlan, dir, selectedGap, skipRender, dryRun);
       }
     }
 
@@ -979,7 +1048,7 @@ export function tryMove(state, dir, gap, cachedGapPieces = null, dryRun = false)
       });
       
       if (allSameGap) {
-        return executeSwap(state, movingPiece, largeGap, skipRender, dryRun);
+        return executeSwap(state, movingPiece, largeGap, dir, selectedGap, skipRender, dryRun);
       }
     }
     
@@ -989,10 +1058,10 @@ export function tryMove(state, dir, gap, cachedGapPieces = null, dryRun = false)
       return cell?.isGap && !cell?.isLarge;
     });
     
-    if (selectedGap.isLarge) return false;
+    if (selectedGap.isLarge) return null;
     
     const selectedIsDest = dest.some(d => d.x === selectedGap.x && d.y === selectedGap.y);
-    if (!(destAreSmallGaps && selectedIsDest)) return false;
+    if (!(destAreSmallGaps && selectedIsDest)) return null;
 
     const gapAt = (c) => gapPieces.find(g => g.x === c.x && g.y === c.y);
     
@@ -1000,26 +1069,30 @@ export function tryMove(state, dir, gap, cachedGapPieces = null, dryRun = false)
     if (dx !== 0) {
       for (const d of dest) {
         const gap = gapAt(d);
-        if (!gap) return false;
+        if (!gap) return null;
         const target = freed.find(f => f.y === d.y);
-        if (!target) return false;
+        if (!target) return null;
         map.push({ gap, target });
       }
     } else {
       for (const d of dest) {
         const gap = gapAt(d);
-        if (!gap) return false;
+        if (!gap) return null;
         const target = freed.find(f => f.x === d.x);
-        if (!target) return false;
+        if (!target) return null;
         map.push({ gap, target });
       }
     }
     
-    if (dryRun) return true;
+    const newPos = normalizeCoords(state, movingPiece.x + dx, movingPiece.y + dy);
+    const move = createMoveDescriptor('large', dir, selectedGap, [
+      { piece: movingPiece, toX: newPos.x, toY: newPos.y },
+      ...map.map(({ gap, target }) => ({ piece: gap, toX: target.x, toY: target.y }))
+    ]);
+    if (dryRun) return move;
     
     const oldPieceX = movingPiece.x;
     const oldPieceY = movingPiece.y;
-    const newPos = normalizeCoords(state, movingPiece.x + dx, movingPiece.y + dy);
     movingPiece.x = newPos.x;
     movingPiece.y = newPos.y;
 
@@ -1035,18 +1108,19 @@ export function tryMove(state, dir, gap, cachedGapPieces = null, dryRun = false)
       state.grid[gap.y][gap.x] = { isGap: true, isLarge: false, id: gap.id };
     }
     
-    finalizeMove(state, skipRender, dryRun);
-    return true;
+    finalizeMove(state, skipRender, dryRun, move);
+    return move;
   }
 
-  return false;
+  return null;
 }
 
 /**
  * Enumerate all valid moves from current state
  * @param {Object} state - Game state object
  * @param {Array} cachedGapPieces - Cached array of gap pieces
- * @returns {Array} Array of move objects with metadata
+ * @returns {Array} Array of {gap, dir, isBig, isGapSwap, move} where move is the
+ *   move descriptor tryMove() would return
  */
 export function enumerateValidMoves(state, cachedGapPieces) {
   const moves = [];
@@ -1054,7 +1128,8 @@ export function enumerateValidMoves(state, cachedGapPieces) {
   for (const gap of cachedGapPieces) {
     for (const dir of ['up','down','left','right']) {
       // Use tryMove in dry-run mode with explicit gap parameter
-      if (tryMove(state, dir, gap, cachedGapPieces, true)) {
+      const move = tryMove(state, dir, gap, cachedGapPieces, true);
+      if (move) {
         // Determine metadata about the move type
         let fromX = gap.x, fromY = gap.y;
         
@@ -1081,10 +1156,60 @@ export function enumerateValidMoves(state, cachedGapPieces) {
         const isBig = sourceCell?.isLarge && !sourceCell?.isGap;
         const isGapSwap = sourceCell?.isGap;
         
-        moves.push({ gap, dir, isBig, isGapSwap });
+        moves.push({ gap, dir, isBig, isGapSwap, move });
       }
     }
   }
   
   return moves;
-}
\ No newline at end of file
+}
+/**
+ * Get the inverse of a move descriptor (pieces move back from "to" to "from")
+ * @param {Object} move - Move descriptor returned by tryMove()
+ * @returns {Object} Move descriptor that undoes the move
+ */
+export function invertMove(move) {
+  const oppositeDir = { up: 'down', down: 'up', left: 'right', right: 'left' };
+  return {
+    type: move.type,
+    dir: oppositeDir[move.dir],
+    gapId: move.gapId,
+    moved: move.moved.map(m => ({
+      id: m.id,
+      fromX: m.toX,
+      fromY: m.toY,
+      toX: m.fromX,
+      toY: m.fromY
+    }))
+  };
+}
+
+/**
+ * Apply a move descriptor directly to piece positions and the grid.
+ * Does not validate the move and does not render, record history or count moves;
+ * use it to replay or revert moves that were previously returned by tryMove().
+ * @param {Object} state - Game state object
+ * @param {Object} move - Move descriptor (e.g. from tryMove() or invertMove())
+ */
+export function applyMoveDescriptor(state, move) {
+  const entries = move.moved.map(m => ({ piece: state.pieceById.get(m.id), m }));
+  
+  // Clear all starting cells first, since pieces may move into each other's cells
+  for (const { piece, m } of entries) {
+    if (piece.isLarge) {
+      clearGridCells(state, getLargePieceCells(state, { x: m.fromX, y: m.fromY, id: piece.id }));
+    } else {
+      state.grid[m.fromY][m.fromX] = null;
+    }
+  }
+  
+  for (const { piece, m } of entries) {
+    piece.x = m.toX;
+    piece.y = m.toY;
+    if (piece.isLarge) {
+      setLargePieceGrid(state, piece, piece.isGap);
+    } else {
+      state.grid[piece.y][piece.x] = { isGap: piece.isGap, isLarge: false, id: piece.id };
+    }
+  }
+}
@@ -0,0 +1,258 @@
+/**
+ * notation.js - Move notation and move logs
+ *
+ * This module defines a compact text notation for moves so solutions can be
+ * written down, shared and fed back into the game.
+ *
+ * A move is written as the ID of the gap used followed by the direction the
+ * piece(s) move in (the `dir` argument of tryMove()):
+ *   U = up, D = down, L = left, R = right
+ * An optional count repeats the same move, e.g. `G0L3` = `G0L G0L G0L`.
+ * A move log is a whitespace-separated list of moves, e.g. `G0L BG0U G1D2`.
+ *
+ * Gap IDs are the IDs of the pieces acting as gaps (G#, BG#, or S#/B# when
+ * gaps were randomized), so a log is tied to the board and gap configuration
+ * of the challenge it was recorded in.
+ */
+
+import { tryMove } from './moves.js';
+
+// ============================================================================
+// DIRECTION LETTERS
+// ============================================================================
+
+const DIR_TO_LETTER = { up: 'U', down: 'D', left: 'L', right: 'R' };
+const LETTER_TO_DIR = { U: 'up', D: 'down', L: 'left', R: 'right' };
+
+// Gap ID, direction letter and optional repeat count
+const MOVE_TOKEN_PATTERN = /^([A-Z]+\d+)([UDLR])(\d+)?$/;
+
+// Largest repeat count of a token (a run longer than any board row or column twice)
+const MAX_REPEAT_COUNT = 99;
+
+// Most moves a parsed move log may expand to, so a crafted log can't exhaust memory
+export const MAX_MOVE_LOG_LENGTH = 50000;
+
+// ============================================================================
+// SINGLE MOVES
+// ============================================================================
+
+/**
+ * Format a single move in notation
+ * @param {Object} move - Move descriptor from tryMove() or parsed move ({gapId, dir})
+ * @returns {string} Move token, e.g. 'G0L'
+ */
+export function formatMove(move) {
+  return `${move.gapId}${DIR_TO_LETTER[move.dir]}`;
+}
+
+/**
+ * Parse a single move token
+ * @param {string} token - Move token, e.g. 'G0L' or 'BG0U2'
+ * @returns {Object|null} {gapId, dir, count} or null if the token is invalid
+ *   (including repeat counts above MAX_REPEAT_COUNT)
+ */
+export function parseMove(token) {
+  const match = MOVE_TOKEN_PATTERN.exec(token.trim().toUpperCase());
+  if (!match) return null;
+
+  const count = match[3] !== undefined ? parseInt(match[3], 10) : 1;
+  if (count < 1 || count > MAX_REPEAT_COUNT) return null;
+
+  return {
+    gapId: match[1],
+    dir: LETTER_TO_DIR[match[2]],
+    count
+  };
+}
+
+// ============================================================================
+// MOVE LOGS
+// ============================================================================
+
+/**
+ * Serialize a list of moves into a move log
+ * @param {Array} moves - Array of move descriptors or parsed moves ({gapId, dir})
+ * @param {boolean} compress - Combine repeated moves into one token with a count
+ * @returns {string} Move log, e.g. 'G0L BG0U'
+ */
+export function serializeMoveLog(moves, compress = false) {
+  const tokens = [];
+
+  for (let i = 0; i < moves.length; i++) {
+    const token = formatMove(moves[i]);
+    if (!compress) {
+      tokens.push(token);
+      continue;
+    }
+
+    let count = 1;
+    while (i + 1 < moves.length && count < MAX_REPEAT_COUNT && formatMove(moves[i + 1]) === token) {
+      count++;
+      i++;
+    }
+    tokens.push(count > 1 ? `${token}${count}` : token);
+  }
+
+  return tokens.join(' ');
+}
+
+/**
+ * Parse a move log into a list of single moves (repeat counts are expanded)
+ * Stops with an error before the log expands to more than MAX_MOVE_LOG_LENGTH moves.
+ * @param {string} text - Move log
+ * @returns {Object} {moves: [{gapId, dir}], error: string|null}
+ */
+export function parseMoveLog(text) {
+  const moves = [];
+  const tokens = text.trim().split(/[\s,]+/).filter(t => t !== '');
+
+  for (let i = 0; i < tokens.length; i++) {
+    const parsed = parseMove(tokens[i]);
+    if (!parsed) {
+      return { moves, error: `Invalid move "${tokens[i]}" at position ${i + 1}` };
+    }
+    if (moves.length + parsed.count > MAX_MOVE_LOG_LENGTH) {
+      return { moves, error: `The move log is longer than ${MAX_MOVE_LOG_LENGTH} moves` };
+    }
+    for (let n = 0; n < parsed.count; n++) {
+      moves.push({ gapId: parsed.gapId, dir: parsed.dir });
+    }
+  }
+
+  return { moves, error: null };
+}
+
+/**
+ * Execute a list of parsed moves on a game state
+ * Stops at the first move that is not legal in the current position.
+ * @param {Object} state - Game state object
+ * @param {Array} moves - Array of {gapId, dir}
+ * @returns {Object} {applied: number, descriptors: Array, error: string|null}
+ */
+export function applyMoveLog(state, moves) {
+  const descriptors = [];
+
+  for (let i = 0; i < moves.length; i++) {
+    const { gapId, dir } = moves[i];
+    const gap = state.pieceById.get(gapId);
+    if (!gap || !gap.isGap) {
+      return { applied: i, descriptors, error: `Move ${i + 1} (${formatMove(moves[i])}): ${gapId} is not a gap` };
+    }
+
+    const move = tryMove(state, dir, gap);
+    if (!move) {
+      return { applied: i, descriptors, error: `Move ${i + 1} (${formatMove(moves[i])}) is not possible` };
+    }
+    descriptors.push(move);
+  }
+
+  return { applied: moves.length, descriptors, error: null };
+}
+
+// ============================================================================
+// COMPACT SOLUTION ENCODING (URL PARAMETER)
+// ============================================================================
+
+// URL-safe alphabet; each character encodes gapIndex * 4 + direction index
+const SOLUTION_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+const SOLUTION_DIRS = ['up', 'down', 'left', 'right'];
+const SOLUTION_MAX_GAPS = SOLUTION_ALPHABET.length / SOLUTION_DIRS.length;
+
+// Marks a move list written in plain notation (used when there are too many gaps)
+const SOLUTION_PLAIN_PREFIX = '~';
+
+// Separates the hint count from the solve time
+const SOLUTION_HINTS_SEPARATOR = '-';
+
+// Separates the counted move total from the solve time and hint count
+const SOLUTION_COUNT_SEPARATOR = '_';
+
+/**
+ * Encode a solution (time, hints and moves) for the `solution` URL parameter.
+ * Format: `<time in ms, base 36>[-<hints, base 36>][_<counted moves, base 36>].<moves>`
+ * where moves use one character per move, indexed by the position of the gap
+ * in gapIds. The hint count is left out when no hints were used, the counted
+ * total when every move counted (it is lower when multi-tile slides count as
+ * one move). Boards with more gaps than the alphabet supports fall back to
+ * `~` followed by notation tokens separated by `_`.
+ * @param {Array} moves - Array of {gapId, dir}
+ * @param {Array} gapIds - IDs of the gaps at the start of the challenge, in piece order
+ * @param {number} timeMs - Solve time in milliseconds
+ * @param {number} hints - Number of hints used
+ * @param {number} countedMoves - Moves shown by the move counter
+ * @returns {string} Encoded solution
+ */
+export function encodeSolution(moves, gapIds, timeMs, hints = 0, countedMoves = moves.length) {
+  let time = Math.max(0, Math.round(timeMs)).toString(36);
+  if (hints > 0) {
+    time += SOLUTION_HINTS_SEPARATOR + hints.toString(36);
+  }
+  if (countedMoves !== moves.length) {
+    time += SOLUTION_COUNT_SEPARATOR + countedMoves.toString(36);
+  }
+
+  if (gapIds.length > SOLUTION_MAX_GAPS) {
+    return `${time}.${SOLUTION_PLAIN_PREFIX}${moves.map(formatMove).join('_')}`;
+  }
+
+  const chars = moves.map(m => {
+    const gapIndex = gapIds.indexOf(m.gapId);
+    return SOLUTION_ALPHABET[gapIndex * 4 + SOLUTION_DIRS.indexOf(m.dir)];
+  });
+  return `${time}.${chars.join('')}`;
+}
+
+/**
+ * Decode a solution created by encodeSolution()
+ * @param {string} text - Encoded solution
+ * @param {Array} gapIds - IDs of the gaps at the start of the challenge, in piece order
+ * @returns {Object} {moves: [{gapId, dir}], timeMs, hints, countedMoves, error: string|null}
+ */
+export function decodeSolution(text, gapIds) {
+  const separator = text.indexOf('.');
+  if (separator <= 0) {
+    return { moves: [], timeMs: null, hints: 0, countedMoves: 0, error: 'Missing solve time' };
+  }
+
+  const [timeHintsText, countText] = text.slice(0, separator).split(SOLUTION_COUNT_SEPARATOR);
+  const [timeText, hintsText = '0'] = timeHintsText.split(SOLUTION_HINTS_SEPARATOR);
+  const timeMs = parseInt(timeText, 36);
+  if (!Number.isFinite(timeMs)) {
+    return { moves: [], timeMs: null, hints: 0, countedMoves: 0, error: 'Invalid solve time' };
+  }
+  const hints = parseInt(hintsText, 36);
+  if (!Number.isFinite(hints)) {
+    return { moves: [], timeMs, hints: 0, countedMoves: 0, error: 'Invalid hint count' };
+  }
+  const counted = countText === undefined ? null : parseInt(countText, 36);
+  const result = (moves, error) => {
+    const countedMoves = counted === null ? moves.length : counted;
+    if (!error && !(countedMoves >= Math.min(1, moves.length) && countedMoves <= moves.length)) {
+      error = 'Invalid move count';
+    }
+    return { moves, timeMs, hints, countedMoves, error };
+  };
+
+  const encodedMoves = text.slice(separator + 1);
+  // encodeSolution() only writes plain notation for boards with too many gaps
+  if (encodedMoves.startsWith(SOLUTION_PLAIN_PREFIX) && gapIds.length > SOLUTION_MAX_GAPS) {
+    const { moves, error } = parseMoveLog(encodedMoves.slice(1).replace(/_/g, ' '));
+    return result(moves, error);
+  }
+  if (encodedMoves.length > MAX_MOVE_LOG_LENGTH) {
+    return result([], `The solution is longer than ${MAX_MOVE_LOG_LENGTH} moves`);
+  }
+
+  const moves = [];
+  for (let i = 0; i < encodedMoves.length; i++) {
+    const value = SOLUTION_ALPHABET.indexOf(encodedMoves[i]);
+    const gapId = gapIds[Math.floor(value / 4)];
+    if (value < 0 || !gapId) {
+      return result(moves, `Invalid move character "${encodedMoves[i]}" at position ${i + 1}`);
+    }
+    moves.push({ gapId, dir: SOLUTION_DIRS[value % 4] });
+  }
+
+  return result(moves, null);
+}
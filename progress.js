@@ -0,0 +1,97 @@
+/**
+ * progress.js - Saved challenge progress
+ *
+ * This module keeps the challenge in progress in localStorage so it survives
+ * a reload or the browser discarding the tab. Only the challenge parameters,
+ * the move logs and the counters are stored; puzzle.js rebuilds the positions
+ * and the undo/redo history by replaying the moves on the regenerated
+ * challenge (see buildReplay()). This keeps the saved data small enough to be
+ * written while playing; puzzle.js bounds the logs to what a resume can parse
+ * (MAX_MOVE_LOG_LENGTH).
+ */
+
+import { boardRegistry } from './boards.js';
+
+const PROGRESS_KEY = 'challengeProgress';
+const PROGRESS_VERSION = 1;
+
+// ============================================================================
+// SAVING AND LOADING
+// ============================================================================
+
+/**
+ * Save the challenge in progress
+ * @param {Object} progress - Progress object:
+ *   challenge     - Challenge parameters (see getChallengeParams() in puzzle.js)
+ *   moveLog       - Moves from the shuffled start to the current position (notation)
+ *   redoLog       - Undone moves that can still be redone (notation)
+ *   moveCount     - Move counter
+ *   hintCount     - Hints used
+ *   elapsedMs     - Elapsed challenge time in milliseconds
+ *   selectedGapId - ID of the selected gap
+ *   uncountedMoves - Indices into moveLog + redoLog of moves that did not count
+ *                    (later moves of multi-tile slides counted as one move)
+ * @returns {boolean} True if saved, false if storage is full or unavailable
+ */
+export function saveChallengeProgress(progress) {
+  try {
+    localStorage.setItem(PROGRESS_KEY, JSON.stringify({
+      version: PROGRESS_VERSION,
+      savedAt: Date.now(),
+      ...progress
+    }));
+    return true;
+  } catch (err) {
+    // Storage full or unavailable - the challenge won't be resumable (the caller tells the player)
+    console.warn('Could not save challenge progress:', err);
+    return false;
+  }
+}
+
+/**
+ * Load the saved challenge progress
+ * @returns {Object|null} Progress object (see saveChallengeProgress()) plus
+ *   savedAt, or null if nothing usable is saved
+ */
+export function loadChallengeProgress() {
+  let progress;
+  try {
+    progress = JSON.parse(localStorage.getItem(PROGRESS_KEY));
+  } catch (err) {
+    return null;
+  }
+
+  if (!progress || progress.version !== PROGRESS_VERSION) return null;
+
+  const challenge = progress.challenge;
+  if (!challenge || !Number.isInteger(challenge.seed) || !Number.isInteger(challenge.steps) ||
+      !boardRegistry[challenge.boardSlug]) {
+    return null;
+  }
+  if (typeof progress.moveLog !== 'string' || typeof progress.redoLog !== 'string') return null;
+
+  return progress;
+}
+
+/**
+ * Remove the saved challenge progress (challenge solved or abandoned)
+ */
+export function clearChallengeProgress() {
+  localStorage.removeItem(PROGRESS_KEY);
+}
+
+/**
+ * Check whether two sets of challenge parameters describe the same challenge
+ * @param {Object} a - Challenge parameters
+ * @param {Object} b - Challenge parameters
+ * @returns {boolean} True if seed, steps, board, gap configuration and options match
+ */
+export function isSameChallenge(a, b) {
+  return a.seed === b.seed &&
+    a.steps === b.steps &&
+    a.boardSlug === b.boardSlug &&
+    a.gapConfigKey === b.gapConfigKey &&
+    !!a.randomizeGaps === !!b.randomizeGaps &&
+    !!a.wrapHorizontal === !!b.wrapHorizontal &&
+    !!a.wrapVertical === !!b.wrapVertical;
+}
@@ -5,368 +5,31 @@
  * board configuration, initialization, and UI event handlers.
  */
 
-import { normalizeCoords, calculateLargePieceDestination } from './moves.js';
+import { tryMove, calculateLargePieceDestination, invertMove } from './moves.js';
+import { boardRegistry, getImageCell } from './boards.js';
+import { createPieces, buildGrid, cloneEngineState, isSolved, hasWrappedLargePieces as hasWrappedLargePiecesImpl } from './engine.js';
+import { serializeMoveLog, parseMoveLog, formatMove, encodeSolution, MAX_MOVE_LOG_LENGTH } from './notation.js';
+import { buildReplay, verifySolution, createReplayPlayer } from './replay.js';
+import { addResult, getAllRecords, getChallengeKey } from './records.js';
+import { groupResults, getStatsGroupKey, computeStats, ROLLING_AVERAGE_SIZES } from './stats.js';
+import { saveChallengeProgress, loadChallengeProgress, clearChallengeProgress, isSameChallenge } from './progress.js';
+import { solve, createSolverPosition } from './solver.js';
+import { findGapRoute } from './route.js';
+import { describeCell, describePiece, describeMove, renderCellGrid, createAnnouncer } from './accessibility.js';
 import { renderAll as renderAllImpl, updatePieceDOMForGapChanges as updatePieceDOMForGapChangesImpl } from './render.js';
-import { shuffle as shuffleImpl, performGapRandomization as performGapRandomizationImpl } from './shuffle.js';
+import { shuffle as shuffleImpl, performGapRandomization as performGapRandomizationImpl, calculateShuffleScore } from './shuffle.js';
 import { initializeInputHandlers } from './input.js';
-
-// ============================================================================
-// BOARD CONFIGURATIONS
-// ============================================================================
-
-// Board configuration object - defines the puzzle layout
-// This structure allows for easy board switching in the future
-
-// Image mode determines how background images are applied:
-// - 'single': One image for entire board
-// - 'horizontal': Two images side by side (left/right halves)
-// - 'vertical': Two images stacked (top/bottom halves)
-
-// Gap Configuration System:
-//
-// Each board has a `gapConfigurations` array containing one or more gap placement options.
-// Each configuration has:
-// - name: Descriptive name shown in UI (e.g., "2 small gaps (bottom right)")
-// - gaps: Array of {x, y} positions where gaps should be placed
-//
-// Gap size is determined automatically:
-// - If a gap position matches a large piece position, it becomes a large gap (2×2)
-// - Otherwise, it becomes a small gap (1×1)
-//
-// During gameplay:
-// - Gaps can move to different positions (gaps[i].x, gaps[i].y)
-// - But they remember their identity (gaps[i].homeX, gaps[i].homeY)
-// - The background crop is based on identity, not current position
-// - Win condition: all gaps must return to their identity positions
-//
-// When randomizing gaps:
-// - New cells become gaps and adopt NEW identities based on their position
-// - Old gap cells become tiles with identities matching their position
-// - This effectively "redefines" which cells are gap cells
-
-const defaultBoard = {
-  width: 8,           // Board width in tiles
-  height: 8,          // Board height in tiles
-  imageMode: 'single', // 'single', 'horizontal', or 'vertical'
-  images: {
-    primary: 'lightworld.png'  // Single image for entire board
-  },
-  largePieces: [      // Large piece top-left corners (array of {x, y})
-    {x: 0, y: 0}, {x: 3, y: 0}, {x: 5, y: 0},
-    {x: 0, y: 3}, {x: 3, y: 3}, {x: 6, y: 3},
-    {x: 0, y: 6}, {x: 5, y: 6}
-  ],
-  defaultGapConfig: '2s',  // Default gap configuration key
-  gapConfigurations: {    // Available gap configurations for this board (key -> config)
-    '2s': {
-      name: "2 small gaps (bottom right)",
-      gaps: [
-        {x: 7, y: 6},
-        {x: 7, y: 7}
-      ]
-    },
-    '1s': {
-      name: "1 small gap (bottom right)",
-      gaps: [
-        {x: 7, y: 7}
-      ]
-    },
-    '2l': {
-      name: "2 large gaps (bottom left)",
-      gaps: [
-        {x: 0, y: 3}, {x: 0, y: 6}
-      ]
-    },
-    '1l': {
-      name: "1 large gap (bottom left)",
-      gaps: [
-        {x: 0, y: 6}  // This position matches a large piece, so it becomes a large gap
-      ]
-    }
-  }
-};
-
-const horizontalBoard = {
-  width: 16,          // Double width: 16 tiles
-  height: 8,          // Same height: 8 tiles
-  imageMode: 'horizontal',
-  images: {
-    primary: 'lightworld.png',   // Left half (x: 0-7)
-    secondary: 'darkworld.png'   // Right half (x: 8-15)
-  },
-  largePieces: [      // Left half: same as default
-    {x: 0, y: 0}, {x: 3, y: 0}, {x: 5, y: 0},
-    {x: 0, y: 3}, {x: 3, y: 3}, {x: 6, y: 3},
-    {x: 0, y: 6}, {x: 5, y: 6},
-    // Right half: mirror of left half, shifted 8 tiles right
-    {x: 8, y: 0}, {x: 11, y: 0}, {x: 13, y: 0},
-    {x: 8, y: 3}, {x: 11, y: 3}, {x: 14, y: 3},
-    {x: 8, y: 6}, {x: 13, y: 6}
-  ],
-  defaultGapConfig: '2s',  // Default gap configuration key
-  gapConfigurations: {    // Available gap configurations for this board (key -> config)
-    '2s': {
-      name: "2 small gaps (bottom right)",
-      gaps: [
-        {x: 15, y: 6},
-        {x: 15, y: 7}
-      ]
-    },
-    '1s': {
-      name: "1 small gap (bottom right)",
-      gaps: [
-        {x: 15, y: 7}
-      ]
-    },
-    '2l': {
-      name: "2 large gaps (bottom left)",
-      gaps: [
-        {x: 0, y: 3}, {x: 0, y: 6}
-      ]
-    },
-    '1l': {
-      name: "1 large gap (bottom left)",
-      gaps: [
-        {x: 0, y: 6}  // This position matches a large piece, so it becomes a large gap
-      ]
-    }
-  }
-};
-
-const verticalBoard = {
-  width: 8,           // Same width: 8 tiles
-  height: 16,         // Double height: 16 tiles
-  imageMode: 'vertical',
-  images: {
-    primary: 'lightworld.png',   // Top half (y: 0-7)
-    secondary: 'darkworld.png'   // Bottom half (y: 8-15)
-  },
-  largePieces: [      // Top half: same as default
-    {x: 0, y: 0}, {x: 3, y: 0}, {x: 5, y: 0},
-    {x: 0, y: 3}, {x: 3, y: 3}, {x: 6, y: 3},
-    {x: 0, y: 6}, {x: 5, y: 6},
-    // Bottom half: mirror of top half, shifted 8 tiles down
-    {x: 0, y: 8}, {x: 3, y: 8}, {x: 5, y: 8},
-    {x: 0, y: 11}, {x: 3, y: 11}, {x: 6, y: 11},
-    {x: 0, y: 14}, {x: 5, y: 14}
-  ],
-  defaultGapConfig: '2s',  // Default gap configuration key
-  gapConfigurations: {    // Available gap configurations for this board (key -> config)
-    '2s': {
-      name: "2 small gaps (bottom right)",
-      gaps: [
-        {x: 7, y: 14},
-        {x: 7, y: 15}
-      ]
-    },
-    '1s': {
-      name: "1 small gap (bottom right)",
-      gaps: [
-        {x: 7, y: 15}
-      ]
-    },
-    '2l': {
-      name: "2 large gaps (bottom left)",
-      gaps: [
-        {x: 0, y: 3}, {x: 0, y: 6}
-      ]
-    },
-    '1l': {
-      name: "1 large gap (bottom left)",
-      gaps: [
-        {x: 0, y: 14}  // This position matches a large piece, so it becomes a large gap
-      ]
-    }
-  }
-};
-
-const nineLargePiecesBoard = {
-  width: 8,           // Board width in tiles
-  height: 8,          // Board height in tiles
-  imageMode: 'single', // 'single', 'horizontal', or 'vertical'
-  images: {
-    primary: 'lightworld.png'  // Single image for entire board
-  },
-  largePieces: [      // Large piece top-left corners (array of {x, y})
-    {x: 0, y: 0}, {x: 3, y: 0}, {x: 5, y: 0},
-    {x: 0, y: 3}, {x: 3, y: 3}, {x: 6, y: 3},
-    {x: 0, y: 6}, {x: 3, y: 6}, {x: 5, y: 6}
-  ],
-  defaultGapConfig: '2s',  // Default gap configuration key
-  gapConfigurations: {    // Available gap configurations for this board (key -> config)
-    '2s': {
-      name: "2 small gaps (bottom right)",
-      gaps: [
-        {x: 7, y: 6},
-        {x: 7, y: 7}
-      ]
-    },
-    '1s': {
-      name: "1 small gap (bottom right)",
-      gaps: [
-        {x: 7, y: 7}
-      ]
-    },
-    '2l': {
-      name: "2 large gaps (bottom left)",
-      gaps: [
-        {x: 0, y: 3}, {x: 0, y: 6}
-      ]
-    },
-    '1l': {
-      name: "1 large gap (bottom left)",
-      gaps: [
-        {x: 0, y: 6}  // This position matches a large piece, so it becomes a large gap
-      ]
-    }
-  }
-};
-
-const tenLargePiecesBoard = {
-  width: 8,           // Board width in tiles
-  height: 8,          // Board height in tiles
-  imageMode: 'single', // 'single', 'horizontal', or 'vertical'
-  images: {
-    primary: 'lightworld.png'  // Single image for entire board
-  },
-  largePieces: [      // Large piece top-left corners (array of {x, y})
-    {x: 0, y: 0}, {x: 3, y: 0}, {x: 5, y: 0},
-    {x: 0, y: 3}, {x: 3, y: 2}, {x: 3, y: 4}, {x: 6, y: 3},
-    {x: 0, y: 6}, {x: 3, y: 6}, {x: 5, y: 6}
-  ],
-  defaultGapConfig: '2s',  // Default gap configuration key
-  gapConfigurations: {    // Available gap configurations for this board (key -> config)
-    '2s': {
-      name: "2 small gaps (bottom right)",
-      gaps: [
-        {x: 7, y: 6},
-        {x: 7, y: 7}
-      ]
-    },
-    '1s': {
-      name: "1 small gap (bottom right)",
-      gaps: [
-        {x: 7, y: 7}
-      ]
-    },
-    '2l': {
-      name: "2 large gaps (bottom left)",
-      gaps: [
-        {x: 0, y: 3}, {x: 0, y: 6}
-      ]
-    },
-    '1l': {
-      name: "1 large gap (bottom left)",
-      gaps: [
-        {x: 0, y: 6}  // This position matches a large piece, so it becomes a large gap
-      ]
-    }
-  }
-};
-
-const singleLargePieceBoard = {
-  width: 8,           // Board width in tiles
-  height: 8,          // Board height in tiles
-  imageMode: 'single', // 'single', 'horizontal', or 'vertical'
-  images: {
-    primary: 'lightworld.png'  // Single image for entire board
-  },
-  largePieces: [      // Large piece top-left corners (array of {x, y})
-    {x: 3, y: 3}
-  ],
-  defaultGapConfig: '2s',  // Default gap configuration key
-  gapConfigurations: {    // Available gap configurations for this board (key -> config)
-    '2s': {
-      name: "2 small gaps (bottom right)",
-      gaps: [
-        {x: 7, y: 6},
-        {x: 7, y: 7}
-      ]
-    },
-    '1s': {
-      name: "1 small gap (bottom right)",
-      gaps: [
-        {x: 7, y: 7}
-      ]
-    },
-    '1l': {
-      name: "1 large gap (center)",
-      gaps: [
-        {x: 3, y: 3}  // This position matches a large piece, so it becomes a large gap
-      ]
-    }
-  }
-};
-
-const smallPiecesFourBoard = {
-  width: 4,           // Board width in tiles
-  height: 4,          // Board height in tiles
-  imageMode: 'single', // 'single', 'horizontal', or 'vertical'
-  images: {
-    primary: 'lightworld.png'  // Single image for entire board
-  },
-  largePieces: [],    // No large pieces - all tiles are 1×1
-  defaultGapConfig: '1s',  // Default gap configuration key
-  gapConfigurations: {    // Available gap configurations for this board (key -> config)
-    '1s': {
-      name: "1 small gap (bottom right)",
-      gaps: [
-        {x: 3, y: 3}  // Single small gap in bottom right corner
-      ]
-    },
-    '2s': {
-      name: "2 small gaps (bottom right)",
-      gaps: [
-        {x: 3, y: 2},
-        {x: 3, y: 3}
-      ]
-    }
-  }
-};
-
-const smallPiecesEightBoard = {
-  width: 8,           // Board width in tiles
-  height: 8,          // Board height in tiles
-  imageMode: 'single', // 'single', 'horizontal', or 'vertical'
-  images: {
-    primary: 'lightworld.png'  // Single image for entire board
-  },
-  largePieces: [],    // No large pieces - all tiles are 1×1
-  defaultGapConfig: '1s',  // Default gap configuration key
-  gapConfigurations: {    // Available gap configurations for this board (key -> config)
-    '1s': {
-      name: "1 small gap (bottom right)",
-      gaps: [
-        {x: 7, y: 7}  // Single small gap in bottom right corner
-      ]
-    },
-    '2s': {
-      name: "2 small gaps (bottom right)",
-      gaps: [
-        {x: 7, y: 6},
-        {x: 7, y: 7}
-      ]
-    }
-  }
-};
-
-// Board registry for easy lookup
-const boardRegistry = {
-  'default': defaultBoard,
-  'horizontal': horizontalBoard,
-  'vertical': verticalBoard,
-  'ninelargepieces': nineLargePiecesBoard,
-  'tenlargepieces': tenLargePiecesBoard,
-  'singlelargepiece': singleLargePieceBoard,
-  'classicsmall': smallPiecesFourBoard,
-  'classic': smallPiecesEightBoard
-};
+import { createEditorLayout, findLargePieceAt, resizeLayout, toggleLargePiece, toggleGap, addGapConfiguration, removeGapConfiguration, setImageGrid, layoutToBoardConfig, testShuffle } from './editor.js';
+import { validateBoardConfig } from './validator.js';
+import { parseBoardDefinition, stringifyBoardDefinition, registerCustomBoard, loadCustomBoards, isCustomBoard } from './customboards.js';
+import { loadCustomImage, saveCustomImage, clearCustomImage, getImageLayoutKey, prepareCustomImages, releaseCustomImages } from './customimage.js';
+import { KEY_ACTIONS, LAYOUT_PRESETS, eventToCombo, formatCombo, copyBindings, loadKeyBindings, saveKeyBindings, bindKey, applyLayoutPreset, getMatchingLayoutPreset, usesGapNumbers, DEFAULT_BINDINGS } from './bindings.js';
 
 // ============================================================================
 // UNDO/REDO HISTORY CONSTANTS
 // ============================================================================
 
-const MAX_HISTORY_SIZE = 1000;
+const HISTORY_CHECKPOINT_INTERVAL = 100; // Full position snapshot every N moves deep in the history tree
 
 // ============================================================================
 // DOM ELEMENT REFERENCES
@@ -375,15 +38,45 @@ const MAX_HISTORY_SIZE = 1000;
 const baseTilePx = parseInt(getComputedStyle(document.documentElement).getPropertyValue('--tile')) || 64;
 let tilePx = baseTilePx;
 const boardEl = document.getElementById('board');
+const boardCells = document.getElementById('boardCells');
+const boardCursor = document.getElementById('boardCursor');
+const boardInstructions = document.getElementById('boardInstructions');
+const boardAnnouncer = document.getElementById('boardAnnouncer');
 const resetBtn = document.getElementById('resetBtn');
 const shuffleBtn = document.getElementById('shuffleBtn');
 const challengeBtn = document.getElementById('challengeBtn');
 const giveUpBtn = document.getElementById('giveUpBtn');
+const solveBtn = document.getElementById('solveBtn');
+const hintBtn = document.getElementById('hintBtn');
 const settingsBtn = document.getElementById('settingsBtn');
 const displayBtn = document.getElementById('displayBtn');
+const recordsBtn = document.getElementById('recordsBtn');
 const settingsDialog = document.getElementById('settingsDialog');
 const settingsBoardSelect = document.getElementById('settingsBoardSelect');
 const settingsGapConfigSelect = document.getElementById('settingsGapConfigSelect');
+const importBoardBtn = document.getElementById('importBoardBtn');
+const importBoardInput = document.getElementById('importBoardInput');
+const importBoardMessage = document.getElementById('importBoardMessage');
+const editorBtn = document.getElementById('editorBtn');
+const editorDialog = document.getElementById('editorDialog');
+const editorNameInput = document.getElementById('editorNameInput');
+const editorWidthInput = document.getElementById('editorWidthInput');
+const editorHeightInput = document.getElementById('editorHeightInput');
+const editorImageModeSelect = document.getElementById('editorImageModeSelect');
+const editorImageGridFields = document.getElementById('editorImageGridFields');
+const editorGridColumnsInput = document.getElementById('editorGridColumnsInput');
+const editorGridRowsInput = document.getElementById('editorGridRowsInput');
+const editorGapConfigSelect = document.getElementById('editorGapConfigSelect');
+const editorGapNameInput = document.getElementById('editorGapNameInput');
+const editorDefaultConfigCheckbox = document.getElementById('editorDefaultConfigCheckbox');
+const editorAddConfigBtn = document.getElementById('editorAddConfigBtn');
+const editorRemoveConfigBtn = document.getElementById('editorRemoveConfigBtn');
+const editorGrid = document.getElementById('editorGrid');
+const editorMessage = document.getElementById('editorMessage');
+const editorShuffleBtn = document.getElementById('editorShuffleBtn');
+const editorExportBtn = document.getElementById('editorExportBtn');
+const editorUseBtn = document.getElementById('editorUseBtn');
+const editorCloseBtn = document.getElementById('editorCloseBtn');
 const settingsCancelBtn = document.getElementById('settingsCancelBtn');
 const resetGapsBtn = document.getElementById('resetGapsBtn');
 const randomizeGapsBtn = document.getElementById('randomizeGapsBtn');
@@ -396,6 +89,17 @@ const challengePositionSelect = document.getElementById('challengePositionSelect
 const boardSizeSlider = document.getElementById('boardSizeSlider');
 const boardSizeValue = document.getElementById('boardSizeValue');
 const displayCloseBtn = document.getElementById('displayCloseBtn');
+const routeAvoidPlacedCheckbox = document.getElementById('routeAvoidPlacedCheckbox');
+const slideCountingSelect = document.getElementById('slideCountingSelect');
+const tileLabelsSelect = document.getElementById('tileLabelsSelect');
+const tileLabelFormatSelect = document.getElementById('tileLabelFormatSelect');
+const customImageBtn = document.getElementById('customImageBtn');
+const customImageSecondBtn = document.getElementById('customImageSecondBtn');
+const customImageResetBtn = document.getElementById('customImageResetBtn');
+const customImageInput = document.getElementById('customImageInput');
+const customImageSecondInput = document.getElementById('customImageSecondInput');
+const customImageMessage = document.getElementById('customImageMessage');
+const customImageFitSelect = document.getElementById('customImageFitSelect');
 const challengeDialog = document.getElementById('challengeDialog');
 const challengeBoardSelect = document.getElementById('challengeBoardSelect');
 const challengeGapConfigSelect = document.getElementById('challengeGapConfigSelect');
@@ -411,24 +115,78 @@ const challengeInfo = document.getElementById('challengeInfo');
 const challengeSeedDisplay = document.getElementById('challengeSeedDisplay');
 const challengeStepsDisplay = document.getElementById('challengeStepsDisplay');
 const challengeMovesDisplay = document.getElementById('challengeMovesDisplay');
+const challengeHintsRow = document.getElementById('challengeHintsRow');
+const challengeHintsDisplay = document.getElementById('challengeHintsDisplay');
+const progressWarning = document.getElementById('progressWarning');
 const congratsDialog = document.getElementById('congratsDialog');
 const congratsMessage = document.getElementById('congratsMessage');
+const congratsRecord = document.getElementById('congratsRecord');
 const congratsOkBtn = document.getElementById('congratsOkBtn');
+const congratsMoveLog = document.getElementById('congratsMoveLog');
+const copyMoveLogBtn = document.getElementById('copyMoveLogBtn');
+const watchReplayBtn = document.getElementById('watchReplayBtn');
+const copySolutionLinkBtn = document.getElementById('copySolutionLinkBtn');
+const solutionDialog = document.getElementById('solutionDialog');
+const solutionMessage = document.getElementById('solutionMessage');
+const solutionReplayBtn = document.getElementById('solutionReplayBtn');
+const solutionCloseBtn = document.getElementById('solutionCloseBtn');
+const recordsDialog = document.getElementById('recordsDialog');
+const recordsEmpty = document.getElementById('recordsEmpty');
+const recordsTable = document.getElementById('recordsTable');
+const recordsTableBody = document.getElementById('recordsTableBody');
+const recordsDetails = document.getElementById('recordsDetails');
+const recordsDetailsTitle = document.getElementById('recordsDetailsTitle');
+const recordsDetailsBody = document.getElementById('recordsDetailsBody');
+const recordsStatsBtn = document.getElementById('recordsStatsBtn');
+const recordsPlayBtn = document.getElementById('recordsPlayBtn');
+const recordsCloseBtn = document.getElementById('recordsCloseBtn');
+const statsDialog = document.getElementById('statsDialog');
+const statsTotal = document.getElementById('statsTotal');
+const statsContent = document.getElementById('statsContent');
+const statsGroupSelect = document.getElementById('statsGroupSelect');
+const statsTableBody = document.getElementById('statsTableBody');
+const statsChart = document.getElementById('statsChart');
+const statsCloseBtn = document.getElementById('statsCloseBtn');
+const resumeDialog = document.getElementById('resumeDialog');
+const resumeMessage = document.getElementById('resumeMessage');
+const resumeBtn = document.getElementById('resumeBtn');
+const resumeDiscardBtn = document.getElementById('resumeDiscardBtn');
+const replayControls = document.getElementById('replayControls');
+const replayPositionDisplay = document.getElementById('replayPositionDisplay');
+const replayMoveDisplay = document.getElementById('replayMoveDisplay');
+const replayScrubber = document.getElementById('replayScrubber');
+const replayBackBtn = document.getElementById('replayBackBtn');
+const replayPlayBtn = document.getElementById('replayPlayBtn');
+const replayForwardBtn = document.getElementById('replayForwardBtn');
+const replaySpeedSelect = document.getElementById('replaySpeedSelect');
+const replayCloseBtn = document.getElementById('replayCloseBtn');
 const helpBtn = document.getElementById('helpBtn');
 const helpDialog = document.getElementById('helpDialog');
 const helpCloseBtn = document.getElementById('helpCloseBtn');
+const helpKeysBtn = document.getElementById('helpKeysBtn');
+const helpKeyboardBindings = document.getElementById('helpKeyboardBindings');
+const keysDialog = document.getElementById('keysDialog');
+const keysLayoutSelect = document.getElementById('keysLayoutSelect');
+const keysTableBody = document.getElementById('keysTableBody');
+const keysMessage = document.getElementById('keysMessage');
+const keysResetBtn = document.getElementById('keysResetBtn');
+const keysCloseBtn = document.getElementById('keysCloseBtn');
 const challengeTimerDisplay = document.getElementById('challengeTimerDisplay');
 const timerShowBtn = document.getElementById('timerShowBtn');
 const timerToggleBtn = document.getElementById('timerToggleBtn');
 const undoBtn = document.getElementById('undoBtn');
 const redoBtn = document.getElementById('redoBtn');
+const branchNavigator = document.getElementById('branchNavigator');
+const branchPrevBtn = document.getElementById('branchPrevBtn');
+const branchNextBtn = document.getElementById('branchNextBtn');
+const branchDisplay = document.getElementById('branchDisplay');
 
 // ============================================================================
 // STATE VARIABLES
 // ============================================================================
 
 // Currently active board configuration
-let boardConfig = defaultBoard;
+let boardConfig = boardRegistry['default'];
 let currentBoardSlug = 'default';
 let selectedGapConfigKey = boardConfig.defaultGapConfig; // Key into boardConfig.gapConfigurations
 
@@ -445,8 +203,13 @@ let challengeSteps = null;
 let challengeBoard = null; // Board slug for challenge
 let challengeRandomizeGaps = false; // Flag to randomize gap positions during shuffle
 let challengeMoveCount = 0;
+let challengeMoveLog = []; // Move descriptors of the current line of play (undone moves are removed)
+let challengeHintCount = 0; // Hints shown during the current challenge
+let countedHintPositionKey = null; // Position of the last counted hint (asking again there is free)
+let challengeSlideCounting = 'each'; // slideCounting when the challenge started (fixed for the challenge)
 let isShuffling = false; // Flag to prevent move counting during shuffle
 let challengeSolved = false; // Flag to track if challenge is solved
+let challengeFinalTimeMs = null; // Solve time in milliseconds (set when the challenge is solved)
 
 // Wrapping state
 let wrapHorizontal = false; // Current horizontal wrapping state
@@ -466,100 +229,99 @@ let pausedByModal = false; // Track if pause was triggered by modal opening
 let autoFitEnabled = false;
 let boardSizeScale = 100; // Board size percentage (50-200%)
 let challengeBoxPosition = 'auto'; // Challenge box position: 'auto', 'right', or 'above'
-
-// Undo/Redo history state
-let moveHistory = [];      // Array of snapshots
-let historyIndex = -1;      // Current position in history (-1 = no history)
+let tileLabels = 'off';          // Tile label overlay: 'off', 'numbers', 'image' (image + numbers) or 'hover'
+let tileLabelFormat = 'index';   // Tile labels show the home 'index' or home 'coords'
+
+// Replay state
+let replayData = null;   // Frames built by buildReplay() while the replay viewer is open
+let replayPlayer = null; // Playback controller for replayData
+let verifiedSolution = null; // Result of verifySolution() for a solution loaded from the URL
+
+// Saved challenge state
+let resumableProgress = null; // Saved progress offered in the resume dialog
+let selectedRecord = null;    // Entry of getAllRecords() shown in the Records dialog
+let statsGroups = [];         // Result groups shown in the Statistics dialog (see groupResults())
+
+// Solver state
+let solverWorker = null;        // Web Worker running solver.js (created on first use)
+let solverRequestId = 0;        // ID of the latest request sent to the worker
+let solverRequests = new Map(); // Request ID -> {position, resolve, timer}
+let solverRunning = false;      // A solution is being computed
+let solutionPlayback = null;    // Timeout ID while a solution is being played on the board
+let playingSolverSolution = false; // The moves being played come from the Solve button (not a route)
+
+// Hint state
+let hint = null;         // Hint shown on the board: {gapId, dir, positionKey, arrowEl}
+let hintPlan = null;     // Solution the last hint came from: {moves, indexByPosition}
+let hintPending = false; // A hint is being computed
+
+// Click-to-route state
+let placedPieceIds = new Set(); // IDs of pieces the player has marked as placed
+let routeAvoidPlaced = true;    // Routes must not move pieces marked as placed
+
+// Multi-tile slide state
+let slideCounting = 'each'; // Challenge Mode counts a multi-tile slide as 'each' tile or as 'one' move
+let activeSlide = null;     // Slide being executed: {moves} (moves made so far)
+
+// Key bindings state
+let keyBindings = copyBindings(DEFAULT_BINDINGS); // Action ID -> array of combos (see bindings.js)
+let keysCaptureAction = null; // Action waiting for a key in the key bindings dialog
+let keysCaptureKeyUp = false; // Swallow the release of the captured key so it doesn't click a button
+
+// Screen reader state
+const announce = createAnnouncer(boardAnnouncer); // Queue a message for the live region
+let keyboardCursor = null;   // Cell of the keyboard cursor {x, y} while cursor mode is on
+let announcedGapId = null;   // Selected gap at the last render (to announce selection changes)
+
+// Board validation state
+const boardProblems = new Map(); // Slug -> problems of built-in boards that failed validation (can't be picked)
+
+// Custom image state (see CUSTOM IMAGES)
+let customImageRecord = null; // Uploaded image files {primary, secondary, fit} (null = map images)
+let customImages = null;      // Object URLs prepared from them for one image layout (see customimage.js)
+let customImageRequest = 0;   // Counter to drop images prepared for an earlier board or upload
+
+// Board editor state
+let editorLayout = null;     // Layout edited in the Board Editor (see editor.js)
+let editorConfigKey = null;  // Gap configuration shown in the Board Editor
+let editorPreview = null;    // Shuffled engine state while the Board Editor shows a test shuffle
+
+// Undo/Redo history state (see UNDO/REDO HISTORY FUNCTIONS)
+let historyRoot = null; // Root node of the history tree (null = no history)
+let historyNode = null; // Node of the current position
+let historyForkVersion = 0; // Bumped when a node gets its second child (invalidates cached forks)
 
 // ============================================================================
 // HELPER FUNCTIONS
 // ============================================================================
 
-// Helper function to determine which background image a tile should use
-function getBackgroundImageForPosition(x, y) {
-  if (boardConfig.imageMode === 'single') {
-    return boardConfig.images.primary;
-  } else if (boardConfig.imageMode === 'horizontal') {
-    // Left half uses primary, right half uses secondary
-    const halfWidth = boardConfig.width / 2;
-    return x < halfWidth ? boardConfig.images.primary : boardConfig.images.secondary;
-  } else if (boardConfig.imageMode === 'vertical') {
-    // Top half uses primary, bottom half uses secondary
-    const halfHeight = boardConfig.height / 2;
-    return y < halfHeight ? boardConfig.images.primary : boardConfig.images.secondary;
+// Helper function to get the images tiles are drawn from: the player's own
+// images once they are prepared for this board's layout, else the board's
+function getTileImages() {
+  if (customImages && customImages.layoutKey === getImageLayoutKey(boardConfig)) {
+    return customImages;
   }
-  return boardConfig.images.primary; // Fallback
+  return boardConfig.images;
 }
 
 // Helper function to get background size and position for a tile
+// Each image of the board's image matrix covers its share of the board
+// (see getImageMatrix() in boards.js)
 function getBackgroundStyleForTile(homeX, homeY) {
-  const image = getBackgroundImageForPosition(homeX, homeY);
-  let bgSize, bgPosX, bgPosY;
-  
-  if (boardConfig.imageMode === 'single') {
-    // Single image covers entire board
-    bgSize = `calc(${boardConfig.width} * var(--tile)) calc(${boardConfig.height} * var(--tile))`;
-    bgPosX = -homeX * tilePx;
-    bgPosY = -homeY * tilePx;
-  } else if (boardConfig.imageMode === 'horizontal') {
-    // Each image covers half the board width, full height
-    const halfWidth = boardConfig.width / 2;
-    bgSize = `calc(${halfWidth} * var(--tile)) calc(${boardConfig.height} * var(--tile))`;
-    // Adjust position based on which half the tile is in
-    if (homeX < halfWidth) {
-      bgPosX = -homeX * tilePx;
-    } else {
-      bgPosX = -(homeX - halfWidth) * tilePx;
-    }
-    bgPosY = -homeY * tilePx;
-  } else if (boardConfig.imageMode === 'vertical') {
-    // Each image covers full width, half the board height
-    const halfHeight = boardConfig.height / 2;
-    bgSize = `calc(${boardConfig.width} * var(--tile)) calc(${halfHeight} * var(--tile))`;
-    bgPosX = -homeX * tilePx;
-    // Adjust position based on which half the tile is in
-    if (homeY < halfHeight) {
-      bgPosY = -homeY * tilePx;
-    } else {
-      bgPosY = -(homeY - halfHeight) * tilePx;
-    }
-  }
-  
-  return { image, bgSize, bgPosX, bgPosY };
+  const cell = getImageCell(boardConfig, getTileImages(), homeX, homeY);
+  return {
+    image: cell.image,
+    bgSize: `calc(${cell.width} * var(--tile)) calc(${cell.height} * var(--tile))`,
+    bgPosX: -cell.x * tilePx,
+    bgPosY: -cell.y * tilePx
+  };
 }
 
 // Helper function to get background position as calc() expression
+// The offset is relative to the image the tile is cut from
 function getBackgroundPositionCalc(homeX, homeY) {
-  if (boardConfig.imageMode === 'single') {
-    // Simple case: just multiply home coordinates by --tile
-    return `calc(${-homeX} * var(--tile)) calc(${-homeY} * var(--tile))`;
-  } else if (boardConfig.imageMode === 'horizontal') {
-    const halfWidth = boardConfig.width / 2;
-    let xCalc;
-    if (homeX < halfWidth) {
-      // Left half: normal offset
-      xCalc = `calc(${-homeX} * var(--tile))`;
-    } else {
-      // Right half: subtract halfWidth to account for second image
-      xCalc = `calc(${-(homeX - halfWidth)} * var(--tile))`;
-    }
-    const yCalc = `calc(${-homeY} * var(--tile))`;
-    return `${xCalc} ${yCalc}`;
-  } else if (boardConfig.imageMode === 'vertical') {
-    const halfHeight = boardConfig.height / 2;
-    const xCalc = `calc(${-homeX} * var(--tile))`;
-    let yCalc;
-    if (homeY < halfHeight) {
-      // Top half: normal offset
-      yCalc = `calc(${-homeY} * var(--tile))`;
-    } else {
-      // Bottom half: subtract halfHeight to account for second image
-      yCalc = `calc(${-(homeY - halfHeight)} * var(--tile))`;
-    }
-    return `${xCalc} ${yCalc}`;
-  }
-  // Fallback
-  return `calc(${-homeX} * var(--tile)) calc(${-homeY} * var(--tile))`;
+  const cell = getImageCell(boardConfig, getTileImages(), homeX, homeY);
+  return `calc(${-cell.x} * var(--tile)) calc(${-cell.y} * var(--tile))`;
 }
 
 /**
@@ -584,15 +346,13 @@ function populateGapConfigDropdown(selectElement, boardSlug) {
 }
 
 /**
- * Helper function to create a piece (tile or gap)
- * @param {boolean} isGap - Whether this is a gap
- * @param {boolean} isLarge - Whether this is a large piece/gap
- * @param {string} id - Piece ID
- * @param {number} x - X position
- * @param {number} y - Y position
+ * Helper function to create the DOM elements for a piece (tile or gap)
+ * Adds el and innerEl properties to the piece and appends it to the board.
+ * @param {Object} piece - Piece object created by the engine
  * @returns {Object} Piece object
  */
-function createPiece(isGap, isLarge, id, x, y) {
+function attachPieceElements(piece) {
+  const { isGap, isLarge, x, y } = piece;
   const el = document.createElement('div');
   let innerEl = null;
   
@@ -616,18 +376,9 @@ function createPiece(isGap, isLarge, id, x, y) {
   
   boardEl.appendChild(el);
   
-  return {
-    id,
-    isGap,
-    isLarge,
-    x,
-    y,
-    homeX: x,
-    homeY: y,
-    el,
-    innerEl,
-    selected: false
-  };
+  piece.el = el;
+  piece.innerEl = innerEl;
+  return piece;
 }
 
 // ============================================================================
@@ -635,139 +386,300 @@ function createPiece(isGap, isLarge, id, x, y) {
 // ============================================================================
 
 /**
- * Capture current state snapshot for undo/redo history
+ * History is a tree of positions. Each node is
+ *   {parent, children, activeChild, move, selectedGapId, checkpoint, depth, counted, fork, forkVersion}
+ * - move:          move descriptor that led here from the parent (null for the root);
+ *                  its from/to coordinates are the delta between the two positions
+ * - selectedGapId: gap selected in this position
+ * - checkpoint:    full snapshot of the position ({pieces: [{id, x, y}]}) on the root and
+ *                  every HISTORY_CHECKPOINT_INTERVAL moves deep, null elsewhere
+ * - activeChild:   child that redo follows (the most recently visited one)
+ * - depth:         number of moves from the root
+ * - counted:       whether the move counted in Challenge Mode (false for the later
+ *                  moves of a multi-tile slide counted as one move)
+ * - fork:          cached {node, chosen} of the deepest ancestor with several children
+ *                  (chosen is its child towards this node), valid while forkVersion
+ *                  equals historyForkVersion (see getForkAbove())
+ * Moving after an undo adds a new branch instead of discarding the undone moves.
+ * The path from the root through the activeChild links is the "current branch".
+ */
+
+/**
+ * Create a full snapshot of the current piece positions (used for checkpoints)
+ * @returns {Object} Snapshot ({pieces: [{id, x, y}]})
+ */
+function createSnapshot() {
+  return { pieces: pieces.map(p => ({ id: p.id, x: p.x, y: p.y })) };
+}
+
+/**
+ * Create a history node for the current position and attach it to its parent
+ * @param {Object|null} parent - Parent node (null for a root)
+ * @param {Object|null} move - Move descriptor that led to the position
+ * @param {string|null} selectedGapId - ID of the selected gap
+ * @param {Function} getSnapshot - Returns the snapshot of the position if the node needs a checkpoint
+ * @returns {Object} New node
+ */
+function createHistoryNode(parent, move, selectedGapId, getSnapshot) {
+  const depth = parent ? parent.depth + 1 : 0;
+  const node = {
+    parent,
+    children: [],
+    activeChild: null,
+    move,
+    selectedGapId,
+    checkpoint: depth % HISTORY_CHECKPOINT_INTERVAL === 0 ? getSnapshot() : null,
+    depth,
+    counted: true,
+    fork: null,
+    forkVersion: -1
+  };
+  if (parent) {
+    parent.children.push(node);
+    parent.activeChild = node;
+    // A new fork changes the deepest fork above the nodes of the first branch
+    if (parent.children.length === 2) historyForkVersion++;
+  }
+  return node;
+}
+
+/**
+ * Record the current position in the undo/redo history
  * Called AFTER executing a move to save the new state
  *
  * IMPORTANT: This should be called AFTER moves complete, not before.
- * The initial state (history[0]) should be the starting position for undo/redo:
+ * The root of the history should be the starting position for undo/redo:
  * - In Free Play after Reset: the solved state
  * - In Free Play after Shuffle: the shuffled state
  * - In Challenge Mode: the shuffled challenge state
+ * @param {Object|null} move - Move descriptor of the move that led to this state (null for initial states)
  */
-function captureHistorySnapshot() {
-  // If we're not at the end of history, truncate future history
-  // This happens when we undo, then make a new move
-  if (historyIndex < moveHistory.length - 1) {
-    moveHistory = moveHistory.slice(0, historyIndex + 1);
-  }
-  
-  // Create snapshot of current piece positions (AFTER the move)
-  const snapshot = {
-    pieces: pieces.map(p => ({
-      id: p.id,
-      x: p.x,
-      y: p.y,
-      selected: p.selected
-    }))
-  };
+function captureHistorySnapshot(move = null) {
+  const selectedGap = pieces.find(p => p.isGap && p.selected);
+  const selectedGapId = selectedGap ? selectedGap.id : null;
   
-  // Add to history
-  moveHistory.push(snapshot);
-  historyIndex = moveHistory.length - 1;
-  
-  // Enforce history size limit
-  if (moveHistory.length > MAX_HISTORY_SIZE + 1) {
-    moveHistory.shift();
-    historyIndex = moveHistory.length - 1;
+  if (!historyNode || !move) {
+    // Initial state
+    historyRoot = historyNode = createHistoryNode(null, null, selectedGapId, createSnapshot);
+  } else {
+    // Repeating a move that was undone follows the existing branch instead of duplicating it
+    const existing = historyNode.children.find(c => c.move.gapId === move.gapId && c.move.dir === move.dir);
+    if (existing) {
+      existing.selectedGapId = selectedGapId;
+      historyNode.activeChild = existing;
+      historyNode = existing;
+    } else {
+      historyNode = createHistoryNode(historyNode, move, selectedGapId, createSnapshot);
+    }
   }
   
   updateUndoRedoButtons();
 }
 
 /**
- * Restore state from a snapshot
- * @param {Object} snapshot - Snapshot to restore
+ * Restore piece positions from a snapshot (does not render)
+ * @param {Object} snapshot - Checkpoint snapshot
  */
 function restoreSnapshot(snapshot) {
-  // Restore piece positions and selection
   for (const snapPiece of snapshot.pieces) {
     const piece = pieceById.get(snapPiece.id);
     if (piece) {
       piece.x = snapPiece.x;
       piece.y = snapPiece.y;
-      piece.selected = snapPiece.selected;
     }
   }
+}
+
+/**
+ * Apply the delta of a history move to the piece positions (does not render)
+ * @param {Object} move - Move descriptor
+ * @param {boolean} forward - true to redo the move, false to undo it
+ */
+function applyHistoryMove(move, forward) {
+  for (const m of move.moved) {
+    const piece = pieceById.get(m.id);
+    piece.x = forward ? m.toX : m.fromX;
+    piece.y = forward ? m.toY : m.fromY;
+  }
+}
+
+/**
+ * Jump to any position in the history tree.
+ * Positions are reached by undoing move deltas back to the common ancestor
+ * and redoing them along the target's path, or by starting from the target's
+ * nearest checkpoint when that takes fewer moves. The path to the target
+ * becomes the current branch; in Challenge Mode the move log and move count
+ * follow the path like a series of undos and redos.
+ * @param {Object} target - History node
+ */
+function goToHistoryNode(target) {
+  // Find the common ancestor of the current and the target position
+  let ancestor = historyNode;
+  let other = target;
+  while (ancestor.depth > other.depth) ancestor = ancestor.parent;
+  while (other.depth > ancestor.depth) other = other.parent;
+  while (ancestor !== other) {
+    ancestor = ancestor.parent;
+    other = other.parent;
+  }
+  
+  const up = [];   // Nodes whose moves are undone, current position first
+  for (let n = historyNode; n !== ancestor; n = n.parent) up.push(n);
+  const down = []; // Nodes whose moves are redone, target last
+  for (let n = target; n !== ancestor; n = n.parent) down.unshift(n);
+  
+  // Restore the position, starting from the nearest checkpoint if that is shorter
+  const fromCheckpoint = []; // Nodes between the target's checkpoint and the target
+  let checkpoint = target;
+  for (; !checkpoint.checkpoint; checkpoint = checkpoint.parent) fromCheckpoint.unshift(checkpoint);
+  if (fromCheckpoint.length < up.length + down.length) {
+    restoreSnapshot(checkpoint.checkpoint);
+    fromCheckpoint.forEach(n => applyHistoryMove(n.move, true));
+  } else {
+    up.forEach(n => applyHistoryMove(n.move, false));
+    down.forEach(n => applyHistoryMove(n.move, true));
+  }
+  pieces.forEach(p => {
+    if (p.isGap) p.selected = p.id === target.selectedGapId;
+  });
+  
+  if (gameMode === 'challenge') {
+    challengeMoveLog.length = Math.max(0, challengeMoveLog.length - up.length);
+    down.forEach(n => challengeMoveLog.push(n.move));
+    const countedMoves = nodes => nodes.filter(n => n.counted).length;
+    challengeMoveCount = Math.max(0, challengeMoveCount + countedMoves(down) - countedMoves(up));
+    updateMoveCount();
+  }
+  
+  down.forEach(n => {
+    n.parent.activeChild = n;
+  });
+  historyNode = target;
   
   // Rebuild grid and render
   buildGridFromState();
   renderAll();
+  updateUndoRedoButtons();
   
   // Check win condition in Challenge Mode
-  if (gameMode === 'challenge' && !challengeSolved) {
-    if (checkWinCondition()) {
-      handleWin();
-    }
+  if (gameMode === 'challenge' && !challengeSolved && checkWinCondition()) {
+    handleWin();
   }
+  scheduleProgressSave();
 }
 
 /**
  * Undo the last move
  */
 function undo() {
-  // Can't undo if we're at the initial state (index 0) or have no history
-  if (moveHistory.length <= 1 || historyIndex <= 0) return;
-  
-  // Move back in history
-  historyIndex--;
-  const snapshot = moveHistory[historyIndex];
+  stopSolutionPlayback();
   
-  // Decrement move count in Challenge Mode
-  if (gameMode === 'challenge' && challengeMoveCount > 0) {
-    challengeMoveCount--;
-    updateMoveCount();
-  }
+  // Can't undo at the root or without history
+  if (!historyNode || !historyNode.parent) return;
   
-  restoreSnapshot(snapshot);
-  updateUndoRedoButtons();
+  const move = historyNode.move;
+  goToHistoryNode(historyNode.parent);
+  announce(`Undo: ${describeMove(getState(), invertMove(move))}`);
 }
 
 /**
- * Redo the next move
+ * Redo the next move of the current branch
  */
 function redo() {
-  // Can't redo if we're at the last state
-  if (historyIndex >= moveHistory.length - 1) return;
-  
-  // Move forward in history
-  historyIndex++;
-  const snapshot = moveHistory[historyIndex];
+  stopSolutionPlayback();
   
-  // Increment move count in Challenge Mode
-  if (gameMode === 'challenge') {
-    challengeMoveCount++;
-    updateMoveCount();
-  }
+  // Can't redo at the end of the branch
+  if (!historyNode || !historyNode.activeChild) return;
   
-  restoreSnapshot(snapshot);
-  updateUndoRedoButtons();
+  goToHistoryNode(historyNode.activeChild);
+  announce(`Redo: ${describeMove(getState(), historyNode.move)}`);
 }
 
 /**
  * Clear undo/redo history
  *
  * IMPORTANT: After clearing history, you must capture the current state
- * as the new initial state (history[0]) by calling captureHistorySnapshot().
+ * as the new root by calling captureHistorySnapshot().
  * This is critical for undo/redo to work correctly.
  */
 function clearHistory() {
-  moveHistory = [];
-  historyIndex = -1;
+  historyRoot = null;
+  historyNode = null;
   updateUndoRedoButtons();
 }
 
 /**
- * Update undo/redo button states
+ * Find the branch point shown in the branch navigator: the deepest position
+ * on the path to the current position (or the current position itself) where
+ * the history splits
+ * @returns {Object|null} {node, chosen} where chosen is the child on the current branch, or null
+ */
+function getBranchPoint() {
+  if (!historyNode) return null;
+  if (historyNode.children.length > 1) return { node: historyNode, chosen: historyNode.activeChild };
+  return getForkAbove(historyNode);
+}
+
+/**
+ * Find the deepest ancestor of a node with several children. Results are
+ * cached on the nodes, so a call walks only the nodes added since the last
+ * one (or, after a new fork, the path to the root once).
+ * @param {Object} node - History node
+ * @returns {Object|null} {node, chosen} where chosen is the child towards the given node, or null
+ */
+function getForkAbove(node) {
+  const stale = []; // Nodes without a valid cached fork, deepest first
+  let n = node;
+  for (; n.parent && n.forkVersion !== historyForkVersion; n = n.parent) stale.push(n);
+  
+  let fork = n.parent ? n.fork : null;
+  for (let i = stale.length - 1; i >= 0; i--) {
+    const child = stale[i];
+    if (child.parent.children.length > 1) fork = { node: child.parent, chosen: child };
+    child.fork = fork;
+    child.forkVersion = historyForkVersion;
+  }
+  return fork;
+}
+
+/**
+ * Switch to the previous or next branch at the branch point and jump to
+ * where that branch was last left
+ * @param {number} offset - -1 for the previous branch, 1 for the next one
+ */
+function switchBranch(offset) {
+  stopSolutionPlayback();
+  const branchPoint = getBranchPoint();
+  if (!branchPoint) return;
+  
+  const { children } = branchPoint.node;
+  let target = children[(children.indexOf(branchPoint.chosen) + offset + children.length) % children.length];
+  while (target.activeChild) target = target.activeChild;
+  goToHistoryNode(target);
+}
+
+/**
+ * Update undo/redo button states and the branch navigator
  */
 function updateUndoRedoButtons() {
-  const canUndo = historyIndex > 0;
-  const canRedo = historyIndex < moveHistory.length - 1;
+  const canUndo = historyNode !== null && historyNode.parent !== null;
+  const canRedo = historyNode !== null && historyNode.activeChild !== null;
   
-  // Disable if challenge is solved or timer is paused
-  const disabled = (gameMode === 'challenge' && (challengeSolved || timerPaused));
+  // Disable if challenge is solved, timer is paused or a replay is shown
+  const disabled = (gameMode === 'challenge' && (challengeSolved || timerPaused)) || replayData !== null;
   
   undoBtn.disabled = !canUndo || disabled;
   redoBtn.disabled = !canRedo || disabled;
+  
+  const branchPoint = getBranchPoint();
+  branchNavigator.style.display = branchPoint ? '' : 'none';
+  if (branchPoint) {
+    const { node, chosen } = branchPoint;
+    branchDisplay.textContent = `Branch ${node.children.indexOf(chosen) + 1}/${node.children.length}`;
+    branchNavigator.title = `History splits after move ${node.depth - historyRoot.depth}`;
+    branchPrevBtn.disabled = disabled;
+    branchNextBtn.disabled = disabled;
+  }
 }
 
 // ============================================================================
@@ -775,124 +687,26 @@ function updateUndoRedoButtons() {
 // ============================================================================
 
 function initTiles() {
-  pieces = [];
+  // Piece data (positions, IDs, initial selection) comes from the engine
+  pieces = createPieces(boardConfig, selectedGapConfigKey);
   pieceById.clear();
-
-  // Get current gap configuration
-  const gapConfig = boardConfig.gapConfigurations[selectedGapConfigKey];
-  
-  // Build coverage mask for large pieces AND large gaps
-  const covered = [...Array(boardConfig.height)].map(()=>Array(boardConfig.width).fill(false));
-  
-  // Mark all large piece positions as covered (including those that will become large gaps)
-  boardConfig.largePieces.forEach(({x,y})=>{
-    for(let dy=0; dy<2; dy++){
-      for(let dx=0; dx<2; dx++){
-        covered[y+dy][x+dx] = true;
-      }
-    }
-  });
-  
-  // Create large pieces (excluding those that are gaps)
-  let bigPieceIdx = 0;
-  boardConfig.largePieces.forEach((home) => {
-    const isGap = gapConfig.gaps.some(g => g.x === home.x && g.y === home.y);
-    if (!isGap) {
-      const piece = createPiece(false, true, `B${bigPieceIdx++}`, home.x, home.y);
-      pieces.push(piece);
-      pieceById.set(piece.id, piece);
-    }
-  });
-  
-  // Create large gaps
-  let bigGapIdx = 0;
-  gapConfig.gaps.forEach((gapPos) => {
-    const isLargePiecePosition = boardConfig.largePieces.some(
-      lp => lp.x === gapPos.x && lp.y === gapPos.y
-    );
-    
-    if (isLargePiecePosition) {
-      const piece = createPiece(true, true, `BG${bigGapIdx++}`, gapPos.x, gapPos.y);
-      pieces.push(piece);
-      pieceById.set(piece.id, piece);
-    }
-  });
-
-  // Create small pieces and small gaps
-  const isSmallGapIdentity = (x,y) => {
-    return gapConfig.gaps.some(g => {
-      if (g.x !== x || g.y !== y) return false;
-      // Only count as small gap if not a large piece position
-      return !boardConfig.largePieces.some(lp => lp.x === x && lp.y === y);
-    });
-  };
   
-  let sIdx = 0;
-  let gIdx = 0;
-  for(let y=0; y<boardConfig.height; y++){
-    for(let x=0; x<boardConfig.width; x++){
-      if(covered[y][x]) continue;
-      
-      const isGap = isSmallGapIdentity(x,y);
-      const id = isGap ? `G${gIdx++}` : `S${sIdx++}`;
-      
-      const piece = createPiece(isGap, false, id, x, y);
-      pieces.push(piece);
-      pieceById.set(piece.id, piece);
-    }
+  for (const piece of pieces) {
+    attachPieceElements(piece);
+    pieceById.set(piece.id, piece);
   }
-  
-  // Set first gap as selected
-  const firstGap = pieces.find(p => p.isGap);
-  if (firstGap) firstGap.selected = true;
 }
 
 function buildGridFromState() {
-  // Clear existing grid in-place instead of creating new array
+  // buildGrid clears the existing grid in-place when possible
   // This ensures state.grid reference remains valid
-  if (!grid || grid.length !== boardConfig.height) {
-    // Initialize grid if it doesn't exist or has wrong dimensions
-    grid = [...Array(boardConfig.height)].map(()=>Array(boardConfig.width).fill(null));
-  } else {
-    // Clear existing grid in-place
-    for (let y = 0; y < boardConfig.height; y++) {
-      for (let x = 0; x < boardConfig.width; x++) {
-        grid[y][x] = null;
-      }
-    }
-  }
-  
-  // Create a temporary state object for normalizeCoords
-  const tempState = {
+  grid = buildGrid({
     boardConfig,
+    pieces,
+    grid,
     wrapHorizontal,
     wrapVertical
-  };
-  
-  for (const piece of pieces) {
-    if (piece.isLarge) {
-      // Large piece or large gap occupies 2×2 cells (with wrapping support)
-      for(let dy=0; dy<2; dy++) {
-        for(let dx=0; dx<2; dx++) {
-          const cellPos = normalizeCoords(tempState, piece.x + dx, piece.y + dy);
-          grid[cellPos.y][cellPos.x] = {
-            isGap: piece.isGap,
-            isLarge: piece.isLarge,
-            id: piece.id,
-            ox: dx,
-            oy: dy
-          };
-        }
-      }
-    } else {
-      // Small piece or small gap occupies 1 cell
-      grid[piece.y][piece.x] = {
-        isGap: piece.isGap,
-        isLarge: piece.isLarge,
-        id: piece.id
-      };
-    }
-  }
+  });
 }
 
 function switchBoard(boardSlug) {
@@ -902,6 +716,7 @@ function switchBoard(boardSlug) {
     return;
   }
   
+  cancelSolverRequests(); // A search for the old board is of no use
   boardConfig = boardRegistry[boardSlug];
   currentBoardSlug = boardSlug;
   
@@ -914,6 +729,8 @@ function switchBoard(boardSlug) {
   
   // Reset the puzzle with new board
   resetState();
+  updateSolveButton();
+  applyCustomImages(); // Prepares the player's images for a new image layout
   
   // Apply board size (handles both auto-fit and manual scaling)
   applyBoardSize();
@@ -926,13 +743,19 @@ function switchBoard(boardSlug) {
  * All pieces return to their home positions.
  */
 function resetState() {
+  stopSolutionPlayback();
+  
   // Remove any previous piece DOM (will be re-added in initTiles)
   boardEl.querySelectorAll('.tile, .gap-wrapper').forEach(el => el.remove());
+  placedPieceIds.clear();
+  keyboardCursor = null; // The board size may change
+  announcedGapId = null;
   initTiles();
 
   buildGridFromState();
   renderAll();
   clearHistory();
+  updateSolverAvailability();
   
   // Capture initial solved state
   captureHistorySnapshot();
@@ -991,6 +814,7 @@ function resetGapIdentities() {
   updatePieceDOMForGapChangesImpl(getState());
   renderAll();
   clearHistory();
+  updateSolverAvailability();
 }
 
 
@@ -1009,6 +833,7 @@ function randomizeGapIdentities() {
   buildGridFromState();
   renderAll();
   clearHistory();
+  updateSolverAvailability();
 }
 
 // ============================================================================
@@ -1020,11 +845,13 @@ function updateUIForMode() {
     // Challenge mode: hide Shuffle and Settings, show Give Up, show challenge info
     shuffleBtn.style.display = 'none';
     settingsBtn.style.display = 'none';
+    solveBtn.style.display = 'none';
     giveUpBtn.style.display = 'inline-block';
     challengeInfo.style.display = 'block';
     challengeSeedDisplay.textContent = challengeSeed;
     challengeStepsDisplay.textContent = challengeSteps;
     challengeMovesDisplay.textContent = challengeMoveCount;
+    updateHintCount();
     resetBtn.textContent = 'Restart';
     // Update Give Up button text based on solved state
     giveUpBtn.textContent = challengeSolved ? 'Free Play' : 'Give Up';
@@ -1040,6 +867,7 @@ function updateUIForMode() {
     // Free Play mode: show Shuffle and Settings, hide Give Up, hide challenge info
     shuffleBtn.style.display = 'inline-block';
     settingsBtn.style.display = 'inline-block';
+    updateSolveButton();
     giveUpBtn.style.display = 'none';
     challengeInfo.style.display = 'none';
     resetBtn.textContent = 'Reset';
@@ -1047,6 +875,7 @@ function updateUIForMode() {
     challengeBtn.textContent = 'New Challenge';
     challengeBtn.classList.add('btn-primary');
   }
+  updateHintButton();
   // Update undo/redo button states
   updateUndoRedoButtons();
 }
@@ -1063,6 +892,15 @@ function formatTime(seconds) {
   return `${mins}:${secs.toString().padStart(2, '0')}`;
 }
 
+/**
+ * Get elapsed challenge time in milliseconds (excluding paused time)
+ * @returns {number} Elapsed time in milliseconds
+ */
+function getElapsedTimeMs() {
+  if (timerPaused || timerStartTime === null) return timerElapsedTime;
+  return timerElapsedTime + (Date.now() - timerStartTime);
+}
+
 function updateTimer() {
   if (!timerPaused && timerStartTime !== null) {
     const currentTime = Date.now();
@@ -1204,6 +1042,12 @@ function updateURL() {
     url.searchParams.set('seed', challengeSeed);
     url.searchParams.set('steps', challengeSteps);
     url.searchParams.set('board', challengeBoard || currentBoardSlug);
+    // Imported boards travel with the link so it works in other browsers
+    if (isCustomBoard(challengeBoard || currentBoardSlug)) {
+      url.searchParams.set('boardDef', stringifyBoardDefinition(boardRegistry[challengeBoard || currentBoardSlug]));
+    } else {
+      url.searchParams.delete('boardDef');
+    }
     url.searchParams.set('gapConfig', selectedGapConfigKey);
     if (challengeRandomizeGaps) {
       url.searchParams.set('randomizeGaps', 'true');
@@ -1225,17 +1069,22 @@ function updateURL() {
     url.searchParams.delete('seed');
     url.searchParams.delete('steps');
     url.searchParams.delete('board');
+    url.searchParams.delete('boardDef');
     url.searchParams.delete('gapConfig');
     url.searchParams.delete('randomizeGaps');
     url.searchParams.delete('wrapH');
     url.searchParams.delete('wrapV');
   }
   
+  // A solution only belongs to the challenge it was loaded with
+  url.searchParams.delete('solution');
+  
   // Update URL without reloading the page
   window.history.pushState({}, '', url);
 }
 
 function switchToFreePlay() {
+  stopReplay(false);
   gameMode = 'freeplay';
   challengeSeed = null;
   challengeSteps = null;
@@ -1244,8 +1093,14 @@ function switchToFreePlay() {
   challengeWrapHorizontal = false;
   challengeWrapVertical = false;
   challengeMoveCount = 0;
+  challengeMoveLog = [];
+  challengeHintCount = 0;
+  countedHintPositionKey = null;
   challengeSolved = false;
+  challengeFinalTimeMs = null;
   pausedByModal = false; // Reset modal pause flag when switching to free play
+  clearChallengeProgress(); // The challenge was abandoned or is finished
+  showProgressWarning(null);
   stopTimer();
   updateUIForMode();
   updateURL(); // Update URL when switching to Free Play
@@ -1259,7 +1114,9 @@ function switchToFreePlay() {
   }
 }
 
-async function startChallenge(seed, steps, boardSlug = null, gapConfigKey = null, randomizeGaps = false, wrapH = false, wrapV = false) {
+async function startChallenge(seed, steps, boardSlug = null, gapConfigKey = null, randomizeGaps = false, wrapH = false, wrapV = false, countSlides = slideCounting) {
+  stopReplay(false);
+  cancelSolverRequests(); // A search for the previous position is of no use
   gameMode = 'challenge';
   challengeSeed = seed;
   challengeSteps = steps;
@@ -1267,8 +1124,13 @@ async function startChallenge(seed, steps, boardSlug = null, gapConfigKey = null
   challengeRandomizeGaps = randomizeGaps;
   challengeWrapHorizontal = wrapH;
   challengeWrapVertical = wrapV;
+  challengeSlideCounting = countSlides === 'one' ? 'one' : 'each';
   challengeMoveCount = 0;
+  challengeMoveLog = [];
+  challengeHintCount = 0;
+  countedHintPositionKey = null;
   challengeSolved = false;
+  challengeFinalTimeMs = null;
   pausedByModal = false; // Reset modal pause flag when starting new challenge
   
   // Apply wrapping settings
@@ -1317,20 +1179,31 @@ async function startChallenge(seed, steps, boardSlug = null, gapConfigKey = null
   
   // Start timer after shuffle completes
   startTimer();
+  saveProgress();
 }
 
 function checkWinCondition() {
   // Check if all pieces (including gaps) are in their home positions
-  for (const piece of pieces) {
-    if (piece.x !== piece.homeX || piece.y !== piece.homeY) {
-      return false;
-    }
-  }
-  return true;
+  return isSolved({ pieces });
 }
 
 async function handleWin() {
   challengeSolved = true;
+  challengeFinalTimeMs = getElapsedTimeMs();
+  clearChallengeProgress(); // Nothing left to resume
+  const result = {
+    moves: challengeMoveCount,
+    timeMs: challengeFinalTimeMs,
+    hints: challengeHintCount,
+    date: Date.now()
+  };
+  if (getTileImages() !== boardConfig.images) {
+    result.customImage = true; // Solved on the player's own image
+  }
+  if (challengeSlideCounting === 'one') {
+    result.slideCounting = 'one'; // Multi-tile slides counted as one move
+  }
+  const record = addResult(getChallengeParams(), result);
   freezeTimer(); // Stop timer without blur effect
   updateUIForMode();
   renderAll(); // Remove gap selection highlighting immediately
@@ -1342,134 +1215,1649 @@ async function handleWin() {
   const finalTime = challengeTimerDisplay.textContent;
   
   // Show custom congratulations dialog
-  congratsMessage.textContent = `You solved the challenge in ${challengeMoveCount} moves and with a time of ${finalTime}!`;
+  congratsMessage.textContent = `You solved the challenge in ${challengeMoveCount} moves and with a time of ${finalTime}${formatHintCount(challengeHintCount)}!`;
+  announce('Puzzle solved!');
+  showRecordRank(record);
+  congratsMoveLog.value = serializeMoveLog(challengeMoveLog);
+  copyMoveLogBtn.textContent = 'Copy Moves';
+  copySolutionLinkBtn.textContent = 'Copy Solution Link';
   congratsDialog.style.display = 'flex';
   congratsOkBtn.focus(); // Focus OK button for keyboard controls
 }
 
 // ============================================================================
-// STATE OBJECT FACTORY
+// REPLAY FUNCTIONS
 // ============================================================================
 
 /**
- * Create state object for passing to modules
- * @returns {Object} State object with all necessary properties and methods
+ * Get the parameters of the current challenge for the headless engine
+ * @returns {Object} Challenge parameters for createChallengeState()
  */
-function getState() {
+function getChallengeParams() {
   return {
-    // Configuration
-    boardConfig,
-    tilePx,
-    baseTilePx,
-    currentBoardSlug,
-    selectedGapConfigKey,
-    
-    // Data structures
-    pieces,
-    pieceById,
-    grid,
-    
-    // Flags
-    wrapHorizontal,
-    wrapVertical,
-    gameMode,
-    challengeSolved,
-    timerPaused,
-    isShuffling,
-    
-    // Counters
-    challengeMoveCount,
-    
-    // DOM elements
-    boardEl,
-    
-    // Functions
-    renderAll: () => renderAll(),
-    updatePieceDOMForGapChanges: () => updatePieceDOMForGapChangesImpl(getState()),
-    checkWinCondition: () => checkWinCondition(),
-    handleWin: () => handleWin(),
-    updateMoveCount: () => updateMoveCount(),
-    buildGridFromState: () => buildGridFromState(),
-    calculateLargePieceDestination: (piece, dx, dy) => calculateLargePieceDestination(getState(), piece, dx, dy),
-    incrementMoveCount: () => {
-      challengeMoveCount++;
-      updateMoveCount();
-    },
-    // History functions
-    captureHistorySnapshot: () => captureHistorySnapshot(),
-    clearHistory: () => clearHistory(),
-    updateUndoRedoButtons: () => updateUndoRedoButtons()
+    seed: challengeSeed,
+    steps: challengeSteps,
+    boardSlug: challengeBoard,
+    gapConfigKey: selectedGapConfigKey,
+    randomizeGaps: challengeRandomizeGaps,
+    wrapHorizontal: challengeWrapHorizontal,
+    wrapVertical: challengeWrapVertical,
+    slideCounting: challengeSlideCounting
   };
 }
 
-// ============================================================================
-// WRAPPER FUNCTIONS FOR MODULES
-// ============================================================================
-
-function renderAll() {
-  renderAllImpl(getState());
-}
-
-async function shuffle(steps, seed = null, randomizeGaps = false) {
-  // Disable buttons before shuffle
-  shuffleBtn.disabled = true;
-  resetBtn.disabled = true;
-  challengeBtn.disabled = true;
-  settingsBtn.disabled = true;
+/**
+ * Open the replay viewer for the current challenge.
+ * The challenge is rebuilt with the headless engine and the move log is
+ * replayed on it to produce one frame per move. Without a replay argument the
+ * player's own (solved) move log is used.
+ * @param {Object|null} replay - Prebuilt replay (e.g. from verifySolution())
+ */
+function openReplay(replay = null) {
+  if (gameMode !== 'challenge') return;
+  if (!replay) {
+    if (!challengeSolved) return;
+    replay = buildReplay(getChallengeParams(), challengeMoveLog);
+  }
   
-  const state = getState();
-  await shuffleImpl(state, steps, seed, randomizeGaps);
+  if (replay.error) {
+    console.error(`Replay failed: ${replay.error}`);
+  }
   
-  // Update mutable state from state object
-  isShuffling = state.isShuffling;
+  // Watching someone else's solution ends the current attempt
+  // (the challenge restarts when the replay is closed)
+  if (!challengeSolved) {
+    stopTimer();
+  }
   
-  // Update UI after shuffle
-  buildGridFromState();
-  renderAll();
+  replayData = replay;
+  replayPlayer = createReplayPlayer(replay.frames.length, showReplayFrame, updateReplayControls);
   
-  // Re-enable buttons after shuffle
-  shuffleBtn.disabled = false;
-  resetBtn.disabled = false;
-  challengeBtn.disabled = false;
-  settingsBtn.disabled = false;
+  replayScrubber.max = replay.frames.length - 1;
+  replayControls.style.display = 'block';
+  replayPlayer.setSpeed(parseFloat(replaySpeedSelect.value));
+  replayPlayer.seek(0);
+  updateUndoRedoButtons();
+  replayPlayBtn.focus();
+  
+  // Challenge box height changes when the controls appear
+  if (autoFitEnabled) {
+    applyBoardSize();
+  }
 }
 
-// ============================================================================
-// WRAPPING HELPER FUNCTIONS
-// ============================================================================
-
 /**
- * Check if any large pieces are currently wrapped in the given direction
- * @param {boolean} checkHorizontal - Check for horizontal wrapping
- * @param {boolean} checkVertical - Check for vertical wrapping
- * @returns {boolean} True if any large piece is wrapped in the specified direction
+ * Close the replay viewer (Close button).
+ * A solved challenge returns to its final position; an unsolved one
+ * (replay of a loaded solution) restarts so it can be played.
  */
-function hasWrappedLargePieces(checkHorizontal, checkVertical) {
-  const bigPieces = pieces.filter(p => p.isLarge && !p.isGap);
-  const state = getState();
+function closeReplay() {
+  if (!replayData) return;
   
-  for (const piece of bigPieces) {
-    // Calculate all 4 cell positions with normalization
-    const cells = [
-      normalizeCoords(state, piece.x, piece.y),           // Top-left
-      normalizeCoords(state, piece.x + 1, piece.y),       // Top-right
-      normalizeCoords(state, piece.x, piece.y + 1),       // Bottom-left
-      normalizeCoords(state, piece.x + 1, piece.y + 1)    // Bottom-right
-    ];
-    
-    // Check if piece spans board edges (cells are not contiguous)
-    if (checkHorizontal) {
-      const spansHorizontal = (Math.abs(cells[0].x - cells[1].x) > 1 || Math.abs(cells[2].x - cells[3].x) > 1);
-      if (spansHorizontal) return true;
-    }
-    
-    if (checkVertical) {
-      const spansVertical = (Math.abs(cells[0].y - cells[2].y) > 1 || Math.abs(cells[1].y - cells[3].y) > 1);
-      if (spansVertical) return true;
-    }
+  if (challengeSolved) {
+    stopReplay(true);
+  } else {
+    stopReplay(false);
+    startChallenge(challengeSeed, challengeSteps, challengeBoard, selectedGapConfigKey, challengeRandomizeGaps, challengeWrapHorizontal, challengeWrapVertical, challengeSlideCounting);
   }
-  
-  return false;
+}
+
+/**
+ * Stop the replay and hide the replay controls
+ * @param {boolean} showFinalFrame - Return the board to the last frame before closing
+ */
+function stopReplay(showFinalFrame) {
+  if (!replayData) return;
+  
+  replayPlayer.stop();
+  if (showFinalFrame) {
+    showReplayFrame(replayData.frames.length - 1, false);
+  }
+  replayData = null;
+  replayPlayer = null;
+  replayControls.style.display = 'none';
+  
+  // Restore normal rendering (no selection highlight after a win)
+  renderAll();
+  updateMoveCount();
+  updateUndoRedoButtons();
+  
+  if (autoFitEnabled) {
+    applyBoardSize();
+  }
+}
+
+/**
+ * Show the result of verifying a solution loaded from the URL
+ * @param {string} encoded - Value of the solution URL parameter
+ */
+function showSolutionVerification(encoded) {
+  verifiedSolution = verifySolution(getChallengeParams(), encoded);
+  const moveCount = verifiedSolution.moves.length;
+  const countedMoves = verifiedSolution.countedMoves;
+  const time = verifiedSolution.timeMs !== null ? formatTime(Math.floor(verifiedSolution.timeMs / 1000)) : '?';
+  
+  if (verifiedSolution.error) {
+    solutionMessage.textContent = `This solution is invalid: ${verifiedSolution.error}.`;
+  } else if (!verifiedSolution.solved) {
+    solutionMessage.textContent = `This solution is invalid: after ${moveCount} moves the puzzle is not solved.`;
+  } else {
+    const singleMoves = countedMoves !== moveCount ? ` (${moveCount} single moves)` : '';
+    solutionMessage.textContent = `Verified! This solution solves the challenge in ${countedMoves} moves${singleMoves} with a reported time of ${time}${formatHintCount(verifiedSolution.hints)}.`;
+  }
+  
+  solutionReplayBtn.disabled = moveCount === 0;
+  pauseForModal();
+  solutionDialog.style.display = 'flex';
+  solutionCloseBtn.focus();
+}
+
+/**
+ * Apply a replay frame to the board
+ * @param {number} index - Frame index (0 = start position)
+ * @param {boolean} animate - Whether pieces should slide into place
+ */
+function showReplayFrame(index, animate) {
+  const frame = replayData.frames[index];
+  replayData.pieceIds.forEach((id, i) => {
+    const piece = pieceById.get(id);
+    piece.x = frame[i * 2];
+    piece.y = frame[i * 2 + 1];
+  });
+  
+  // Highlight the gap used by the next move (or the last move at the end)
+  const highlightMove = replayData.moves[index] || replayData.moves[index - 1];
+  pieces.forEach(p => p.selected = highlightMove ? p.id === highlightMove.gapId : false);
+  
+  if (!animate) {
+    boardEl.classList.add('no-transitions');
+  }
+  buildGridFromState();
+  renderAll();
+  if (!animate) {
+    // Force a reflow so the positions apply before transitions are re-enabled
+    void boardEl.offsetWidth;
+    boardEl.classList.remove('no-transitions');
+  }
+}
+
+/**
+ * Update replay controls to reflect the player state
+ * @param {Object} player - Replay player
+ */
+function updateReplayControls(player) {
+  const total = replayData.frames.length - 1;
+  replayPositionDisplay.textContent = `${player.index} / ${total}`;
+  replayMoveDisplay.textContent = player.index < total ? `next: ${formatMove(replayData.moves[player.index])}` : '';
+  replayScrubber.value = player.index;
+  challengeMovesDisplay.textContent = player.index;
+  
+  replayPlayBtn.textContent = player.playing ? '⏸' : '▶';
+  replayPlayBtn.setAttribute('aria-label', player.playing ? 'Pause' : 'Play');
+  replayPlayBtn.title = player.playing ? 'Pause' : 'Play';
+  replayBackBtn.disabled = player.index <= 0;
+  replayForwardBtn.disabled = player.index >= total;
+}
+
+// ============================================================================
+// RECORDS
+// ============================================================================
+
+/**
+ * Format a stored result for the records tables
+ * @param {Object} result - Result ({moves, timeMs, hints, date})
+ * @returns {string} E.g. '42 moves, 1:23'
+ */
+function formatResult(result) {
+  return `${result.moves} moves, ${formatTime(Math.floor(result.timeMs / 1000))}`;
+}
+
+/**
+ * Describe a board and gap configuration
+ * @param {string} boardSlug - Board slug
+ * @param {string} gapConfigKey - Gap configuration key
+ * @returns {Array<string>} Board name and gap configuration name
+ */
+function describeBoardAndGaps(boardSlug, gapConfigKey) {
+  const board = boardRegistry[boardSlug];
+  const boardOption = challengeBoardSelect.querySelector(`option[value="${boardSlug}"]`);
+  const gapConfig = board && board.gapConfigurations[gapConfigKey];
+  return [
+    boardOption ? boardOption.textContent : boardSlug,
+    gapConfig ? gapConfig.name : gapConfigKey
+  ];
+}
+
+/**
+ * Describe a challenge configuration for the Records dialog
+ * @param {Object} challenge - Challenge parameters
+ * @returns {string} E.g. 'Seed 12345, 250 steps, Default (8×8), 2 small gaps (bottom right), wrap H'
+ */
+function describeChallenge(challenge) {
+  const parts = [
+    `Seed ${challenge.seed}`,
+    `${challenge.steps} steps`,
+    ...describeBoardAndGaps(challenge.boardSlug, challenge.gapConfigKey)
+  ];
+  if (challenge.randomizeGaps) parts.push('random gaps');
+  if (challenge.wrapHorizontal || challenge.wrapVertical) {
+    parts.push(`wrap ${challenge.wrapHorizontal ? 'H' : ''}${challenge.wrapVertical ? 'V' : ''}`);
+  }
+  if (challenge.slideCounting === 'one') parts.push('slides count once');
+  return parts.join(', ');
+}
+
+/**
+ * Show the rank of a new result in the congratulations dialog
+ * @param {Object} record - Return value of addResult()
+ */
+function showRecordRank(record) {
+  const { rank, count, best, previousBest } = record;
+  congratsRecord.classList.toggle('best', rank === 1 && count > 1);
+  if (count === 1) {
+    congratsRecord.textContent = 'Your first solve of this challenge.';
+  } else if (rank === 1) {
+    congratsRecord.textContent = `New personal best! Previous best: ${formatResult(previousBest)}.`;
+  } else {
+    congratsRecord.textContent = `Rank ${rank} of ${count}. Personal best: ${formatResult(best)}.`;
+  }
+}
+
+/**
+ * Open the Records dialog. During a challenge its results are shown directly.
+ */
+function openRecordsDialog() {
+  pauseForModal();
+  const records = getAllRecords();
+  const currentKey = gameMode === 'challenge' ? getChallengeKey(getChallengeParams()) : null;
+  
+  recordsTableBody.innerHTML = '';
+  let current = null;
+  for (const entry of records) {
+    const row = document.createElement('tr');
+    const lastPlayed = Math.max(...entry.results.map(r => r.date));
+    for (const text of [describeChallenge(entry.challenge), entry.results.length, formatResult(entry.results[0]), new Date(lastPlayed).toLocaleDateString()]) {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    }
+    row.addEventListener('click', () => selectRecord(entry, row));
+    recordsTableBody.appendChild(row);
+    if (entry.key === currentKey) current = { entry, row };
+  }
+  
+  recordsEmpty.style.display = records.length === 0 ? '' : 'none';
+  recordsTable.style.display = records.length === 0 ? 'none' : '';
+  if (current) {
+    selectRecord(current.entry, current.row);
+  } else {
+    selectRecord(null, null);
+  }
+  
+  recordsDialog.style.display = 'flex';
+  recordsCloseBtn.focus();
+}
+
+/**
+ * Show all results of one challenge configuration in the Records dialog
+ * @param {Object|null} entry - Entry of getAllRecords() (null hides the details)
+ * @param {HTMLElement|null} row - Table row of the entry
+ */
+function selectRecord(entry, row) {
+  selectedRecord = entry;
+  recordsTableBody.querySelectorAll('tr.selected').forEach(r => r.classList.remove('selected'));
+  recordsPlayBtn.disabled = !entry;
+  if (!entry) {
+    recordsDetails.style.display = 'none';
+    return;
+  }
+  
+  row.classList.add('selected');
+  recordsDetailsTitle.textContent = describeChallenge(entry.challenge);
+  recordsDetailsBody.innerHTML = '';
+  entry.results.forEach((result, i) => {
+    const tr = document.createElement('tr');
+    for (const text of [i + 1, result.moves, formatTime(Math.floor(result.timeMs / 1000)), result.hints || 0, result.customImage ? 'Custom' : 'Map', new Date(result.date).toLocaleString()]) {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      tr.appendChild(cell);
+    }
+    recordsDetailsBody.appendChild(tr);
+  });
+  recordsDetails.style.display = '';
+}
+
+// ============================================================================
+// STATISTICS
+// ============================================================================
+
+const STATS_CHART_WIDTH = 400;
+const STATS_CHART_HEIGHT = 240;
+const STATS_CHART_MARGIN = { left: 44, right: 12, top: 12, bottom: 32 };
+
+/**
+ * Open the Statistics dialog. The board and gap configuration of the current
+ * challenge (or the current board in Free Play) is selected if it has solves.
+ */
+function openStatsDialog() {
+  pauseForModal();
+  statsGroups = groupResults(getAllRecords());
+  const total = statsGroups.reduce((sum, group) => sum + group.results.length, 0);
+  statsTotal.textContent = `Total solves: ${total}`;
+  statsContent.style.display = total === 0 ? 'none' : '';
+  
+  statsGroupSelect.innerHTML = '';
+  for (const group of statsGroups) {
+    const option = document.createElement('option');
+    option.value = group.key;
+    const parts = describeBoardAndGaps(group.boardSlug, group.gapConfigKey);
+    if (group.slideCounting === 'one') parts.push('slides count once');
+    option.textContent = `${parts.join(', ')} (${group.results.length})`;
+    statsGroupSelect.appendChild(option);
+  }
+  const currentKey = getStatsGroupKey({
+    boardSlug: challengeBoard || currentBoardSlug,
+    gapConfigKey: selectedGapConfigKey,
+    slideCounting: gameMode === 'challenge' ? challengeSlideCounting : slideCounting
+  });
+  if (statsGroups.some(group => group.key === currentKey)) {
+    statsGroupSelect.value = currentKey;
+  }
+  showStatsGroup();
+  
+  statsDialog.style.display = 'flex';
+  statsCloseBtn.focus();
+}
+
+/**
+ * Show the statistics table and chart of the group selected in the dropdown
+ */
+function showStatsGroup() {
+  const group = statsGroups.find(g => g.key === statsGroupSelect.value);
+  statsTableBody.innerHTML = '';
+  statsChart.innerHTML = '';
+  if (!group) return;
+  
+  const stats = computeStats(group.results);
+  const time = ms => ms === null ? '–' : formatTime(Math.round(ms / 1000));
+  const moves = n => n === null ? '–' : (Number.isInteger(n) ? String(n) : n.toFixed(1));
+  const rows = [
+    ['Best', time(stats.time.best), moves(stats.moves.best)],
+    ['Mean', time(stats.time.mean), moves(stats.moves.mean)],
+    ['Median', time(stats.time.median), moves(stats.moves.median)],
+    ...ROLLING_AVERAGE_SIZES.map(n => [`Last ${n} average`, time(stats.time.rolling[n]), moves(stats.moves.rolling[n])])
+  ];
+  for (const cells of rows) {
+    const tr = document.createElement('tr');
+    for (const text of cells) {
+      const td = document.createElement('td');
+      td.textContent = text;
+      tr.appendChild(td);
+    }
+    statsTableBody.appendChild(tr);
+  }
+  
+  renderStatsChart(group.results);
+}
+
+/**
+ * Draw a scatter plot of moves (y) against time (x) for a list of results.
+ * The most recent solve is highlighted.
+ * @param {Array} results - Results in chronological order
+ */
+function renderStatsChart(results) {
+  const svgNS = 'http://www.w3.org/2000/svg';
+  const add = (tag, attrs, text = null) => {
+    const el = document.createElementNS(svgNS, tag);
+    for (const [name, value] of Object.entries(attrs)) el.setAttribute(name, value);
+    if (text !== null) el.textContent = text;
+    statsChart.appendChild(el);
+    return el;
+  };
+  
+  const m = STATS_CHART_MARGIN;
+  const plotW = STATS_CHART_WIDTH - m.left - m.right;
+  const plotH = STATS_CHART_HEIGHT - m.top - m.bottom;
+  
+  // Axes start at 0 so the distances between points are comparable
+  const maxTime = Math.max(...results.map(r => r.timeMs), 1000);
+  const maxMoves = Math.max(...results.map(r => r.moves), 1);
+  const x = ms => m.left + (ms / maxTime) * plotW;
+  const y = n => m.top + plotH - (n / maxMoves) * plotH;
+  
+  add('line', { class: 'axis', x1: m.left, y1: m.top, x2: m.left, y2: m.top + plotH });
+  add('line', { class: 'axis', x1: m.left, y1: m.top + plotH, x2: m.left + plotW, y2: m.top + plotH });
+  add('text', { class: 'axis-label', x: m.left - 4, y: m.top + 4, 'text-anchor': 'end' }, String(maxMoves));
+  add('text', { class: 'axis-label', x: m.left - 4, y: m.top + plotH, 'text-anchor': 'end' }, '0');
+  add('text', { class: 'axis-label', x: m.left + plotW, y: m.top + plotH + 14, 'text-anchor': 'end' }, formatTime(Math.ceil(maxTime / 1000)));
+  add('text', { class: 'axis-label', x: m.left + plotW / 2, y: STATS_CHART_HEIGHT - 4, 'text-anchor': 'middle' }, 'Time');
+  add('text', { class: 'axis-label', x: 12, y: m.top + plotH / 2, 'text-anchor': 'middle', transform: `rotate(-90 12 ${m.top + plotH / 2})` }, 'Moves');
+  
+  results.forEach((result, i) => {
+    const point = add('circle', {
+      class: i === results.length - 1 ? 'point latest' : 'point',
+      cx: x(result.timeMs).toFixed(1),
+      cy: y(result.moves).toFixed(1),
+      r: 4
+    });
+    const title = document.createElementNS(svgNS, 'title');
+    title.textContent = `${formatResult(result)} (seed ${result.challenge.seed}, ${new Date(result.date).toLocaleDateString()})`;
+    point.appendChild(title);
+  });
+}
+
+// ============================================================================
+// CHALLENGE PROGRESS
+// ============================================================================
+
+const PROGRESS_SAVE_DELAY = 1000; // Milliseconds from a move to saving progress; later moves share the save
+let progressSaveTimer = null;
+
+/**
+ * Save progress shortly after a move, undo or redo. Moves in quick
+ * succession share one save, so holding a key doesn't serialize the
+ * history for every move; hiding the page saves right away.
+ */
+function scheduleProgressSave() {
+  if (progressSaveTimer === null) {
+    progressSaveTimer = setTimeout(saveProgress, PROGRESS_SAVE_DELAY);
+  }
+}
+
+/**
+ * Save the challenge in progress so it can be resumed after a reload.
+ * Called shortly after moves (see scheduleProgressSave()), after hints, and
+ * when the page is hidden (to store the elapsed time).
+ */
+function saveProgress() {
+  clearTimeout(progressSaveTimer);
+  progressSaveTimer = null;
+  if (gameMode !== 'challenge' || challengeSolved || isShuffling || replayData !== null) return;
+  if (!historyNode) return;
+  
+  // A resume reads at most MAX_MOVE_LOG_LENGTH moves: a longer line can't be
+  // saved, and undone moves beyond the limit are left out of the redo log
+  if (challengeMoveLog.length > MAX_MOVE_LOG_LENGTH) {
+    showProgressWarning('Progress not saved: too many moves to resume');
+    return;
+  }
+  
+  // Only the current branch is saved; other branches of the history tree are lost on reload
+  const redoNodes = [];
+  for (let n = historyNode.activeChild; n && challengeMoveLog.length + redoNodes.length < MAX_MOVE_LOG_LENGTH; n = n.activeChild) {
+    redoNodes.push(n);
+  }
+  
+  // Moves that didn't count (multi-tile slides counted as one move), by index in moveLog + redoLog
+  const lineNodes = [];
+  for (let n = historyNode; n.parent; n = n.parent) lineNodes.push(n);
+  const uncountedMoves = [];
+  lineNodes.reverse().concat(redoNodes).forEach((n, i) => {
+    if (!n.counted) uncountedMoves.push(i);
+  });
+  
+  const selectedGap = pieces.find(p => p.isGap && p.selected);
+  const saved = saveChallengeProgress({
+    challenge: getChallengeParams(),
+    moveLog: serializeMoveLog(challengeMoveLog),
+    redoLog: serializeMoveLog(redoNodes.map(n => n.move)),
+    moveCount: challengeMoveCount,
+    hintCount: challengeHintCount,
+    elapsedMs: getElapsedTimeMs(),
+    selectedGapId: selectedGap ? selectedGap.id : null,
+    uncountedMoves
+  });
+  showProgressWarning(saved ? null : 'Progress not saved: browser storage is full or unavailable');
+}
+
+/**
+ * Show a warning in the challenge box while the progress can't be saved
+ * @param {string|null} message - Warning text, or null to hide the warning
+ */
+function showProgressWarning(message) {
+  if (progressWarning.textContent === (message || '')) return; // Announce changes only
+  progressWarning.textContent = message || '';
+  progressWarning.style.display = message ? '' : 'none';
+}
+
+/**
+ * Offer to resume a saved challenge
+ * @param {Object} progress - Saved progress from loadChallengeProgress()
+ */
+function showResumeDialog(progress) {
+  resumableProgress = progress;
+  const { seed, steps } = progress.challenge;
+  const time = formatTime(Math.floor(progress.elapsedMs / 1000));
+  resumeMessage.textContent = `You have an unfinished challenge (seed ${seed}, ${steps} steps) ` +
+    `at ${progress.moveCount} moves and ${time}${formatHintCount(progress.hintCount)}.`;
+  resumeDialog.style.display = 'flex';
+  resumeBtn.focus();
+}
+
+/**
+ * Restart a saved challenge and bring it back to the saved state.
+ * The saved moves are replayed on the regenerated challenge to rebuild the
+ * position, the move log and the undo/redo history; the counters and the
+ * elapsed time are taken over as saved.
+ * @param {Object} progress - Saved progress from loadChallengeProgress()
+ */
+async function resumeChallenge(progress) {
+  const c = progress.challenge;
+  await startChallenge(c.seed, c.steps, c.boardSlug, c.gapConfigKey, c.randomizeGaps, c.wrapHorizontal, c.wrapVertical, c.slideCounting);
+  
+  const line = parseMoveLog(progress.moveLog).moves;
+  const redo = parseMoveLog(progress.redoLog).moves;
+  const replay = buildReplay(getChallengeParams(), line.concat(redo));
+  if (replay.error || replay.frames.length !== line.length + redo.length + 1) {
+    // The saved moves don't fit the challenge (e.g. the board changed) - keep the fresh start
+    console.warn('Could not resume challenge:', replay.error);
+    return;
+  }
+  
+  // Rebuild the undo/redo history (a single branch) below the shuffled position
+  const uncounted = new Set(progress.uncountedMoves || []);
+  let node = historyRoot;
+  let current = historyRoot;
+  replay.moves.forEach((move, i) => {
+    const frame = replay.frames[i + 1];
+    node = createHistoryNode(node, move, move.gapId, () => ({
+      pieces: replay.pieceIds.map((id, j) => ({ id, x: frame[j * 2], y: frame[j * 2 + 1] }))
+    }));
+    node.counted = !uncounted.has(i);
+    if (i === line.length - 1) current = node;
+  });
+  
+  // Go to the saved position (this also rebuilds the move log), with the gap that was selected when saving
+  goToHistoryNode(current);
+  if (progress.selectedGapId && pieceById.get(progress.selectedGapId)?.isGap) {
+    pieces.forEach(p => {
+      if (p.isGap) p.selected = p.id === progress.selectedGapId;
+    });
+    current.selectedGapId = progress.selectedGapId;
+    renderAll();
+  }
+  
+  challengeMoveCount = progress.moveCount;
+  challengeHintCount = progress.hintCount || 0;
+  timerElapsedTime = progress.elapsedMs;
+  timerStartTime = Date.now();
+  updateTimer();
+  updateUIForMode();
+  saveProgress();
+}
+
+// ============================================================================
+// SOLVER
+// ============================================================================
+
+const SOLUTION_PLAYBACK_INTERVAL = 150; // Milliseconds between moves when playing a solution
+const SOLVER_TIME_LIMIT = 30000;       // Milliseconds before a worker search is ended (solve() gives up after 20 s)
+const MAIN_THREAD_NODE_LIMIT = 50000;  // Node limit without a worker, so the page stays responsive
+const LARGE_GAP_SOLVER_NOTE = 'The solver does not support boards with large gaps';
+
+/**
+ * Solve a position, in the solver worker when possible
+ * Only one search runs at a time: a new request cancels the previous one.
+ * Worker searches are given up after SOLVER_TIME_LIMIT; if workers are
+ * unavailable, a short search (MAIN_THREAD_NODE_LIMIT) runs on the main thread.
+ * @param {Object} position - Position from createSolverPosition()
+ * @returns {Promise<Object>} Solver result ({moves, optimal, nodes, error}),
+ *   with cancelled: true if cancelSolverRequests() ended the search
+ */
+function requestSolution(position) {
+  cancelSolverRequests();
+  
+  if (!solverWorker && typeof Worker !== 'undefined') {
+    try {
+      solverWorker = new Worker(new URL('./solver-worker.js', import.meta.url), { type: 'module' });
+      solverWorker.onmessage = (event) => {
+        const request = solverRequests.get(event.data.id);
+        solverRequests.delete(event.data.id);
+        if (request) {
+          clearTimeout(request.timer);
+          request.resolve(event.data.result);
+        }
+      };
+      solverWorker.onerror = () => {
+        // Module workers are not supported everywhere; finish pending requests here
+        solverWorker.terminate();
+        solverWorker = null;
+        const pending = [...solverRequests.values()];
+        solverRequests.clear();
+        pending.forEach(request => {
+          clearTimeout(request.timer);
+          request.resolve(solve(request.position, { maxNodes: MAIN_THREAD_NODE_LIMIT }));
+        });
+      };
+    } catch (error) {
+      solverWorker = null;
+    }
+  }
+  
+  if (!solverWorker) {
+    return Promise.resolve(solve(position, { maxNodes: MAIN_THREAD_NODE_LIMIT }));
+  }
+  
+  const id = ++solverRequestId;
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      cancelSolverRequests(`No solution found within ${SOLVER_TIME_LIMIT / 1000} seconds`);
+    }, SOLVER_TIME_LIMIT);
+    solverRequests.set(id, { position, resolve, timer });
+    solverWorker.postMessage({ id, position });
+  });
+}
+
+/**
+ * End the running worker search (no-op if none is running)
+ * The worker is terminated, since a search can't be interrupted, and
+ * created again by the next request.
+ * @param {string|null} error - Error for the pending request; without one the
+ *   request resolves as cancelled
+ */
+function cancelSolverRequests(error = null) {
+  if (solverRequests.size === 0) return;
+  
+  solverWorker.terminate();
+  solverWorker = null;
+  const pending = [...solverRequests.values()];
+  solverRequests.clear();
+  pending.forEach(request => {
+    clearTimeout(request.timer);
+    request.resolve({ moves: null, optimal: false, nodes: 0, error: error || 'Cancelled', cancelled: !error });
+  });
+}
+
+/**
+ * Get a string describing piece positions
+ * @param {Array} piecesToDescribe - Pieces (default: the board's pieces)
+ * @returns {string} Position key
+ */
+function getPositionKey(piecesToDescribe = pieces) {
+  return piecesToDescribe.map(p => `${p.id}:${p.x},${p.y}`).join(' ');
+}
+
+/**
+ * Solve the current Free Play position and play the solution on the board
+ */
+async function solveCurrentPosition() {
+  if (solverRunning || gameMode !== 'freeplay' || !isSolverSupported()) return;
+  
+  const positionKey = getPositionKey();
+  solverRunning = true;
+  solveBtn.textContent = 'Stop';
+  solveBtn.title = 'Solving… (click to stop)';
+  
+  const result = await requestSolution(createSolverPosition(getState()));
+  
+  solverRunning = false;
+  solveBtn.textContent = 'Solve';
+  solveBtn.title = '';
+  
+  // Ignore the result if the search was stopped or the position changed while solving
+  if (result.cancelled || gameMode !== 'freeplay' || getPositionKey() !== positionKey) return;
+  
+  if (!result.moves) {
+    solveBtn.textContent = 'No Solution';
+    solveBtn.title = result.error;
+    setTimeout(() => {
+      if (!solverRunning && !playingSolverSolution) solveBtn.textContent = 'Solve';
+      solveBtn.title = '';
+    }, 2000);
+    return;
+  }
+  
+  playSolution(result.moves, true);
+}
+
+/**
+ * Play a list of moves on the board with the normal move animations
+ * Used for solver solutions and click-to-route paths. Moves go through
+ * tryMove(), so they are recorded in the undo history and counted in
+ * Challenge Mode.
+ * @param {Array} moves - Array of {gapId, dir}
+ * @param {boolean} fromSolver - The moves are a solver solution; the Solve
+ *   button shows "Stop" while they play
+ */
+function playSolution(moves, fromSolver = false) {
+  let index = 0;
+  playingSolverSolution = fromSolver;
+  if (fromSolver) {
+    solveBtn.textContent = 'Stop';
+  }
+  
+  const step = () => {
+    solutionPlayback = null;
+    if (index >= moves.length) {
+      stopSolutionPlayback();
+      return;
+    }
+    
+    const { gapId, dir } = moves[index++];
+    const gap = pieceById.get(gapId);
+    if (!gap || !gap.isGap || !tryMove(getState(), dir, gap)) {
+      stopSolutionPlayback();
+      return;
+    }
+    solutionPlayback = setTimeout(step, SOLUTION_PLAYBACK_INTERVAL);
+  };
+  
+  step();
+}
+
+/**
+ * Stop playing a solution (no-op if none is playing)
+ */
+function stopSolutionPlayback() {
+  if (solutionPlayback !== null) {
+    clearTimeout(solutionPlayback);
+    solutionPlayback = null;
+  }
+  if (playingSolverSolution && !solverRunning) {
+    solveBtn.textContent = 'Solve';
+  }
+  playingSolverSolution = false;
+}
+
+/**
+ * Whether the solver can take on the current position. Its staged search
+ * often fails after minutes when a gap is large, so those positions get no
+ * Solve or Hint.
+ * @returns {boolean} True unless a gap is large
+ */
+function isSolverSupported() {
+  return !pieces.some(p => p.isGap && p.isLarge);
+}
+
+/**
+ * Enable Solve and Hint for the current gaps (called whenever they change)
+ */
+function updateSolverAvailability() {
+  const supported = isSolverSupported();
+  solveBtn.disabled = !supported;
+  hintBtn.disabled = !supported || hintPending;
+  if (!solverRunning) solveBtn.title = supported ? '' : LARGE_GAP_SOLVER_NOTE;
+  if (!hintPending) hintBtn.title = supported ? 'Suggest the next move' : LARGE_GAP_SOLVER_NOTE;
+}
+
+/**
+ * Show the Solve button in Free Play
+ */
+function updateSolveButton() {
+  const visible = gameMode === 'freeplay';
+  solveBtn.style.display = visible ? 'inline-block' : 'none';
+}
+
+// ============================================================================
+// HINTS
+// ============================================================================
+
+const HINT_ARROWS = { up: '↑', down: '↓', left: '←', right: '→' };
+
+/**
+ * Describe a hint count for result messages
+ * @param {number} count - Number of hints used
+ * @returns {string} E.g. " using 2 hints", or an empty string without hints
+ */
+function formatHintCount(count) {
+  if (!count) return '';
+  return ` using ${count} ${count === 1 ? 'hint' : 'hints'}`;
+}
+
+/**
+ * Update the hint count in the challenge box (hidden until a hint is used)
+ */
+function updateHintCount() {
+  challengeHintsDisplay.textContent = challengeHintCount;
+  challengeHintsRow.style.display = challengeHintCount > 0 ? '' : 'none';
+}
+
+/**
+ * Show the Hint button in Free Play and in unsolved challenges
+ */
+function updateHintButton() {
+  const visible = gameMode === 'freeplay' || !challengeSolved;
+  hintBtn.style.display = visible ? 'inline-block' : 'none';
+}
+
+/**
+ * Index the positions a solution passes through, so that later hints can
+ * continue it without solving again while the player follows it
+ * @param {Object} position - Position the solution starts from
+ * @param {Array} moves - Solution moves ({gapId, dir})
+ * @returns {Object} {moves, indexByPosition} - position key -> index of the next move
+ */
+function createHintPlan(position, moves) {
+  const state = cloneEngineState(position);
+  state.gameMode = 'freeplay';
+  
+  const indexByPosition = new Map();
+  for (let i = 0; i < moves.length; i++) {
+    indexByPosition.set(getPositionKey(state.pieces), i);
+    if (!tryMove(state, moves[i].dir, state.pieceById.get(moves[i].gapId))) break;
+  }
+  return { moves, indexByPosition };
+}
+
+/**
+ * Suggest the next move for the current position.
+ * Uses the solver (or the rest of the solution behind the previous hint) and
+ * shows the move on the board. Hints are counted in Challenge Mode.
+ */
+async function requestHint() {
+  if (hintPending || replayData || isShuffling || !isSolverSupported()) return;
+  if (gameMode === 'challenge' && (challengeSolved || timerPaused)) return;
+  
+  const positionKey = getPositionKey();
+  let index = hintPlan?.indexByPosition.get(positionKey);
+  
+  if (index === undefined) {
+    hintPending = true;
+    hintBtn.disabled = true;
+    hintBtn.textContent = 'Thinking…';
+    
+    const position = createSolverPosition(getState());
+    const result = await requestSolution(position);
+    
+    hintPending = false;
+    hintBtn.disabled = false;
+    hintBtn.textContent = 'Hint';
+    
+    // Ignore the result if the search was cancelled or the position changed while solving
+    if (result.cancelled || getPositionKey() !== positionKey) return;
+    
+    if (!result.moves || result.moves.length === 0) {
+      hintPlan = null;
+      hintBtn.textContent = 'No Hint';
+      hintBtn.title = result.error || 'The puzzle is already solved';
+      setTimeout(() => {
+        if (!hintPending) hintBtn.textContent = 'Hint';
+        hintBtn.title = 'Suggest the next move';
+      }, 2000);
+      return;
+    }
+    
+    hintPlan = createHintPlan(position, result.moves);
+    index = 0;
+  }
+  
+  showHint(hintPlan.moves[index], positionKey);
+}
+
+/**
+ * Highlight a suggested move: the gap is selected and ringed, and an arrow on
+ * the piece that would slide into it shows the direction
+ * @param {Object} move - Suggested move ({gapId, dir})
+ * @param {string} positionKey - Position the hint applies to
+ */
+function showHint(move, positionKey) {
+  clearHint();
+  
+  const gap = pieceById.get(move.gapId);
+  const preview = gap && tryMove(getState(), move.dir, gap, null, true);
+  if (!preview) return;
+  
+  // Select the suggested gap so the keyboard moves it
+  pieces.forEach(p => {
+    if (p.isGap) p.selected = p === gap;
+  });
+  
+  // The arrow goes on the first piece that moves (or the other gap of a gap swap)
+  const moved = preview.moved.find(m => !pieceById.get(m.id).isGap) ||
+    preview.moved.find(m => m.id !== gap.id) || preview.moved[0];
+  const arrowEl = document.createElement('div');
+  arrowEl.className = pieceById.get(moved.id).isLarge ? 'hint-arrow big' : 'hint-arrow';
+  arrowEl.style.left = `calc(${moved.fromX} * var(--tile))`;
+  arrowEl.style.top = `calc(${moved.fromY} * var(--tile))`;
+  arrowEl.textContent = HINT_ARROWS[move.dir];
+  arrowEl.setAttribute('aria-hidden', 'true');
+  boardEl.appendChild(arrowEl);
+  gap.el.classList.add('hinted');
+  
+  hint = { gapId: gap.id, dir: move.dir, positionKey, arrowEl };
+  
+  // Asking again for the same position shows the same move, so it is not counted again
+  if (gameMode === 'challenge' && positionKey !== countedHintPositionKey) {
+    countedHintPositionKey = positionKey;
+    challengeHintCount++;
+    updateHintCount();
+    saveProgress();
+  }
+  renderAll();
+}
+
+/**
+ * Remove the hint from the board (no-op if none is shown)
+ */
+function clearHint() {
+  if (!hint) return;
+  hint.arrowEl.remove();
+  pieceById.get(hint.gapId)?.el.classList.remove('hinted');
+  hint = null;
+}
+
+// ============================================================================
+// CLICK-TO-ROUTE
+// ============================================================================
+
+const ROUTE_FAILED_FLASH_MS = 400; // Duration of the board flash when no route exists
+
+/**
+ * Move the selected gap onto a cell along a shortest route (Shift+click)
+ * Each step is a normal move, played with playSolution().
+ * @param {number} x - Target cell X coordinate
+ * @param {number} y - Target cell Y coordinate
+ */
+function routeSelectedGap(x, y) {
+  if (isShuffling || replayData !== null) return;
+  if (gameMode === 'challenge' && (challengeSolved || timerPaused)) return;
+
+  const gap = pieces.find(p => p.isGap && p.selected);
+  if (!gap) return;
+
+  stopSolutionPlayback();
+  // Pieces can turn into gaps (gap randomization) - only avoid actual pieces
+  const avoidIds = routeAvoidPlaced
+    ? new Set([...placedPieceIds].filter(id => !pieceById.get(id)?.isGap))
+    : null;
+  const route = findGapRoute(getState(), gap.id, x, y, { avoidIds });
+
+  if (!route) {
+    // Unreachable (or blocked by placed pieces) - flash the board
+    boardEl.classList.add('route-failed');
+    setTimeout(() => boardEl.classList.remove('route-failed'), ROUTE_FAILED_FLASH_MS);
+    return;
+  }
+  if (route.length > 0) {
+    playSolution(route);
+  }
+}
+
+/**
+ * Mark or unmark a piece as placed (Alt+click)
+ * @param {string} id - Piece ID
+ */
+function togglePlacedPiece(id) {
+  const piece = pieceById.get(id);
+  if (!piece || piece.isGap) return;
+
+  if (placedPieceIds.has(id)) {
+    placedPieceIds.delete(id);
+  } else {
+    placedPieceIds.add(id);
+  }
+  renderAll();
+}
+
+// ============================================================================
+// MULTI-TILE SLIDES
+// ============================================================================
+
+/**
+ * Slide a run of small pieces into a gap in line with them (click on a distant piece)
+ * Each piece is moved with its own tryMove(), so the slide is undone one piece
+ * at a time; see countMove() for how it is counted.
+ * @param {Object} gap - Gap the pieces slide toward
+ * @param {string} dir - tryMove() direction
+ * @param {number} count - Number of pieces in the run
+ */
+function slidePieces(gap, dir, count) {
+  activeSlide = { moves: 0 };
+  for (let i = 0; i < count; i++) {
+    if (!tryMove(getState(), dir, gap)) break;
+  }
+  activeSlide = null;
+}
+
+/**
+ * Count a move in Challenge Mode (state.incrementMoveCount(), called by finalizeMove())
+ * With slideCounting 'one' (as set when the challenge started), only the
+ * first move of a multi-tile slide counts;
+ * the history node remembers whether its move counted so undo/redo agree.
+ */
+function countMove() {
+  const counted = !(activeSlide && activeSlide.moves > 0 && challengeSlideCounting === 'one');
+  if (activeSlide) activeSlide.moves++;
+  if (historyNode) historyNode.counted = counted;
+  
+  if (counted) {
+    challengeMoveCount++;
+    updateMoveCount();
+  }
+  scheduleProgressSave();
+}
+
+// ============================================================================
+// SCREEN READER SUPPORT
+// ============================================================================
+
+/**
+ * Update the accessible cell grid and the keyboard cursor after rendering,
+ * and announce a change of the selected gap
+ */
+function updateAccessibleBoard() {
+  if (!grid) return; // Not initialized yet
+  const state = getState();
+  renderCellGrid(state, boardCells, keyboardCursor);
+  
+  boardCursor.style.display = keyboardCursor ? '' : 'none';
+  if (keyboardCursor) {
+    boardCursor.style.left = `calc(${keyboardCursor.x} * var(--tile))`;
+    boardCursor.style.top = `calc(${keyboardCursor.y} * var(--tile))`;
+  }
+  
+  const selectedGap = pieces.find(p => p.isGap && p.selected);
+  if (selectedGap && announcedGapId && selectedGap.id !== announcedGapId && !isShuffling && !replayData) {
+    announce(`Selected ${describePiece(state, selectedGap)}.`);
+  }
+  announcedGapId = selectedGap ? selectedGap.id : null;
+}
+
+/**
+ * Announce a move made on the board (called by tryMove() via the state object)
+ * @param {Object} move - Move descriptor
+ */
+function announceMove(move) {
+  let message = describeMove(getState(), move);
+  // Challenge Mode announces the win in handleWin()
+  if (gameMode !== 'challenge' && checkWinCondition()) {
+    message += ' Puzzle solved!';
+  }
+  announce(message);
+}
+
+/**
+ * Turn the keyboard cursor on (at a cell) or off, announcing the cell
+ * @param {Object|null} cell - Cell {x, y}, or null to leave cursor mode
+ */
+function setKeyboardCursor(cell) {
+  if (cell) {
+    announce(keyboardCursor ? describeCell(getState(), cell.x, cell.y)
+      : `Cell cursor on. ${describeCell(getState(), cell.x, cell.y)}`);
+  } else if (keyboardCursor) {
+    announce('Cell cursor off.');
+  }
+  keyboardCursor = cell;
+  updateAccessibleBoard();
+}
+
+// ============================================================================
+// CUSTOM BOARDS
+// ============================================================================
+
+/**
+ * Add an imported board to the board dropdowns of the Board Settings and
+ * New Challenge dialogs (or update its name there)
+ * @param {string} slug - Board slug
+ */
+function addBoardOption(slug) {
+  const board = boardRegistry[slug];
+  const text = `${board.name || 'Custom Board'} (${board.width}×${board.height})`;
+  for (const select of [settingsBoardSelect, challengeBoardSelect]) {
+    let option = select.querySelector(`option[value="${slug}"]`);
+    if (!option) {
+      option = document.createElement('option');
+      option.value = slug;
+      select.appendChild(option);
+    }
+    option.textContent = text;
+  }
+}
+
+/**
+ * Validate the built-in boards; broken boards are disabled in the board
+ * dropdowns and their problems are listed in the Settings dialog
+ */
+function checkBuiltInBoards() {
+  for (const [slug, board] of Object.entries(boardRegistry)) {
+    const problems = validateBoardConfig(board);
+    if (problems.length === 0) continue;
+    boardProblems.set(slug, problems);
+    console.error(`Board "${slug}" is invalid:`, problems);
+    for (const select of [settingsBoardSelect, challengeBoardSelect]) {
+      const option = select.querySelector(`option[value="${slug}"]`);
+      if (option) option.disabled = true;
+    }
+  }
+}
+
+/**
+ * Show the problems of a board definition in a dialog message
+ * @param {HTMLElement} messageEl - Message element
+ * @param {string} intro - Sentence before the problems
+ * @param {Array<string>|Error} problems - Problems, or an error from parseBoardDefinition()
+ */
+function showBoardProblems(messageEl, intro, problems) {
+  const list = document.createElement('ul');
+  for (const problem of Array.isArray(problems) ? problems : problems.problems || [problems.message]) {
+    const item = document.createElement('li');
+    item.textContent = problem;
+    list.appendChild(item);
+  }
+  messageEl.textContent = intro;
+  messageEl.appendChild(list);
+}
+
+/**
+ * Import a board definition and add it to the board dropdowns
+ * @param {string} json - Board definition (JSON text, see parseBoardDefinition())
+ * @returns {string} Slug of the imported board
+ * @throws {Error} If the definition can't be used
+ */
+function importBoard(json) {
+  const slug = registerCustomBoard(parseBoardDefinition(json));
+  addBoardOption(slug);
+  return slug;
+}
+
+// ============================================================================
+// CUSTOM IMAGES
+// ============================================================================
+
+/**
+ * Redraw every piece with the current tile images (see getTileImages())
+ */
+function refreshTileImages() {
+  for (const piece of pieces) {
+    const bgEl = piece.isGap ? piece.innerEl : piece.el;
+    const { image, bgSize } = getBackgroundStyleForTile(piece.homeX, piece.homeY);
+    bgEl.style.backgroundImage = `url("${image}")`;
+    bgEl.style.backgroundSize = bgSize;
+  }
+  renderAll(); // Redraws the duplicates of wrapped large pieces
+}
+
+/**
+ * Prepare the player's images for the current board and redraw the pieces.
+ * Called on startup, when the images change and when the board changes;
+ * boards with the same image layout reuse the prepared images.
+ * @param {boolean} reprepare - Prepare again even if the layout matches
+ *   (after a new upload or fit)
+ * @returns {Promise<boolean>} False if a file could not be read as an image
+ *   (the message is shown in the Display Settings dialog)
+ */
+async function applyCustomImages(reprepare = false) {
+  const request = ++customImageRequest;
+  if (!reprepare && customImageRecord && getTileImages() === customImages) return true;
+  
+  let images = null;
+  if (customImageRecord) {
+    try {
+      images = await prepareCustomImages(customImageRecord, boardConfig);
+    } catch (err) {
+      customImageMessage.textContent = err.message;
+      return false;
+    }
+  }
+  if (request !== customImageRequest) {
+    // The board or the images changed while preparing
+    if (images) releaseCustomImages(images);
+    return true;
+  }
+  
+  if (customImages) releaseCustomImages(customImages);
+  customImages = images;
+  if (grid) refreshTileImages();
+  return true;
+}
+
+/**
+ * Use new image files (or null for the map images) and save them for later
+ * visits. Files that can't be read as images are rejected.
+ * @param {Object|null} record - {primary, secondary, fit} (see customimage.js)
+ */
+async function setCustomImageRecord(record) {
+  const previous = customImageRecord;
+  customImageRecord = record;
+  if (!(await applyCustomImages(true))) {
+    customImageRecord = previous;
+    return;
+  }
+  
+  updateCustomImageControls();
+  try {
+    if (record) {
+      await saveCustomImage(record);
+    } else {
+      await clearCustomImage();
+    }
+  } catch (err) {
+    // The images are still used until the page is reloaded
+    console.warn('Could not save custom image:', err);
+    customImageMessage.textContent += ' It could not be saved for your next visit.';
+  }
+}
+
+/**
+ * Show the current board image in the Display Settings dialog
+ */
+function updateCustomImageControls() {
+  customImageSecondBtn.disabled = !customImageRecord;
+  customImageResetBtn.disabled = !customImageRecord;
+  if (customImageRecord) customImageFitSelect.value = customImageRecord.fit;
+  
+  if (!customImageRecord) {
+    customImageMessage.textContent = 'The boards show their map images.';
+  } else if (customImageRecord.secondary) {
+    customImageMessage.textContent = `Showing ${customImageRecord.primary.name} and ${customImageRecord.secondary.name} ` +
+      '(boards without exactly two images only use the first).';
+  } else {
+    customImageMessage.textContent = `Showing ${customImageRecord.primary.name} ` +
+      '(boards with several images show it across all of them).';
+  }
+}
+
+// ============================================================================
+// BOARD EDITOR
+// ============================================================================
+
+/**
+ * Open the Board Editor with a copy of the current board
+ */
+function openEditorDialog() {
+  editorLayout = createEditorLayout(boardConfig);
+  editorConfigKey = selectedGapConfigKey;
+  editorPreview = null;
+  editorNameInput.value = editorLayout.name;
+  editorWidthInput.value = editorLayout.width;
+  editorHeightInput.value = editorLayout.height;
+  editorImageModeSelect.value = editorLayout.imageMode;
+  editorMessage.textContent = '';
+  renderEditor();
+  editorDialog.style.display = 'flex';
+  editorNameInput.focus();
+}
+
+/**
+ * Get the background of a cell of the editor grid (the image crop of a home cell)
+ * @param {Object} board - Board configuration
+ * @param {number} homeX - Home X coordinate
+ * @param {number} homeY - Home Y coordinate
+ * @param {number} cellPx - Cell size in pixels
+ * @returns {Object} {image, size, position} CSS values
+ */
+function getEditorCellBackground(board, homeX, homeY, cellPx) {
+  const cell = getImageCell(board, board.images, homeX, homeY);
+  return {
+    image: `url("${cell.image}")`,
+    size: `${cell.width * cellPx}px ${cell.height * cellPx}px`,
+    position: `${-cell.x * cellPx}px ${-cell.y * cellPx}px`
+  };
+}
+
+/**
+ * Render the Board Editor: the gap configuration controls and the grid,
+ * showing either the layout or the test shuffle
+ */
+function renderEditor() {
+  const board = layoutToBoardConfig(editorLayout);
+  const configs = editorLayout.gapConfigurations;
+  
+  editorGapConfigSelect.innerHTML = '';
+  for (const [key, config] of Object.entries(configs)) {
+    const option = document.createElement('option');
+    option.value = key;
+    option.textContent = config.name;
+    editorGapConfigSelect.appendChild(option);
+  }
+  editorGapConfigSelect.value = editorConfigKey;
+  editorGapNameInput.value = configs[editorConfigKey].name;
+  editorDefaultConfigCheckbox.checked = editorLayout.defaultGapConfig === editorConfigKey;
+  editorDefaultConfigCheckbox.disabled = editorDefaultConfigCheckbox.checked;
+  
+  // While the test shuffle is shown the layout can't be changed
+  const previewing = !!editorPreview;
+  editorImageGridFields.style.display = editorLayout.imageMode === 'grid' ? '' : 'none';
+  if (editorLayout.imageMode === 'grid') {
+    editorGridColumnsInput.value = editorLayout.images.grid[0].length;
+    editorGridRowsInput.value = editorLayout.images.grid.length;
+  }
+  for (const control of [editorWidthInput, editorHeightInput, editorImageModeSelect, editorGridColumnsInput,
+                         editorGridRowsInput, editorGapConfigSelect, editorAddConfigBtn, editorRemoveConfigBtn,
+                         editorExportBtn, editorUseBtn]) {
+    control.disabled = previewing;
+  }
+  editorShuffleBtn.textContent = previewing ? 'Back to Editing' : 'Test Shuffle';
+  
+  // Cells show the pieces of the layout at home, or where the test shuffle moved them
+  const cellPx = Math.max(12, Math.min(32, Math.floor(512 / Math.max(board.width, board.height))));
+  const pieces = previewing ? editorPreview.pieces : createPieces(board, editorConfigKey);
+  const cells = [];
+  for (const piece of pieces) {
+    const size = piece.isLarge ? 2 : 1;
+    for (let dy = 0; dy < size; dy++) {
+      for (let dx = 0; dx < size; dx++) {
+        cells[(piece.y + dy) * board.width + piece.x + dx] = { piece, homeX: piece.homeX + dx, homeY: piece.homeY + dy };
+      }
+    }
+  }
+  
+  editorGrid.innerHTML = '';
+  editorGrid.style.gridTemplateColumns = `repeat(${board.width}, ${cellPx}px)`;
+  editorGrid.style.gridTemplateRows = `repeat(${board.height}, ${cellPx}px)`;
+  for (let y = 0; y < board.height; y++) {
+    for (let x = 0; x < board.width; x++) {
+      const { piece, homeX, homeY } = cells[y * board.width + x];
+      const cellEl = document.createElement('button');
+      cellEl.type = 'button';
+      cellEl.className = 'editor-cell';
+      cellEl.classList.toggle('gap', piece.isGap);
+      cellEl.dataset.x = x;
+      cellEl.dataset.y = y;
+      cellEl.disabled = previewing;
+      const background = getEditorCellBackground(board, homeX, homeY, cellPx);
+      cellEl.style.backgroundImage = background.image;
+      cellEl.style.backgroundSize = background.size;
+      cellEl.style.backgroundPosition = background.position;
+      const parts = [`Row ${y + 1}, column ${x + 1}`];
+      if (piece.isLarge) parts.push(piece.isGap ? 'large gap' : 'large piece');
+      else if (piece.isGap) parts.push('gap');
+      cellEl.setAttribute('aria-label', parts.join(', '));
+      editorGrid.appendChild(cellEl);
+    }
+  }
+  
+  // Outline large pieces and large gaps
+  for (const piece of pieces.filter(p => p.isLarge)) {
+    const outline = document.createElement('div');
+    outline.className = 'editor-large-piece';
+    outline.style.left = `${piece.x * cellPx}px`;
+    outline.style.top = `${piece.y * cellPx}px`;
+    outline.style.width = outline.style.height = `${2 * cellPx}px`;
+    editorGrid.appendChild(outline);
+  }
+}
+
+/**
+ * Validate the edited layout
+ * @returns {boolean} True if the layout can be used; otherwise the editor lists the problems
+ */
+function checkEditorLayout() {
+  const problems = validateBoardConfig(layoutToBoardConfig(editorLayout));
+  if (problems.length > 0) {
+    showBoardProblems(editorMessage, 'This layout can\'t be used yet:', problems);
+    return false;
+  }
+  return true;
+}
+
+// ============================================================================
+// KEY BINDINGS
+// ============================================================================
+
+/**
+ * Create a key cap element for a combo
+ * @param {string} combo - Combo (see bindings.js)
+ * @returns {HTMLElement} Span with the formatted combo
+ */
+function createKeyCap(combo) {
+  const kbd = document.createElement('span');
+  kbd.className = 'kbd';
+  kbd.textContent = formatCombo(combo);
+  return kbd;
+}
+
+/**
+ * Render the live key bindings into the Keyboard section of the Help dialog
+ */
+function renderHelpBindings() {
+  helpKeyboardBindings.innerHTML = '';
+  for (const action of KEY_ACTIONS) {
+    const combos = keyBindings[action.id];
+    if (combos.length === 0) continue;
+    const line = document.createElement('p');
+    combos.forEach((combo, i) => {
+      if (i > 0) line.append(' ');
+      line.appendChild(createKeyCap(combo));
+    });
+    line.append(` ${action.label}`);
+    helpKeyboardBindings.appendChild(line);
+  }
+  
+  // Screen reader instructions of the board
+  const firstKey = action => keyBindings[action][0] ? formatCombo(keyBindings[action][0]) : null;
+  const cursorKey = firstKey('cursorMode');
+  const activateKey = firstKey('activateCell');
+  boardInstructions.textContent = (cursorKey && activateKey
+    ? `Press ${cursorKey} to explore the cells with the slide keys and ${activateKey} to move the piece under the cursor. `
+    : '') + 'Moves are announced.';
+}
+
+/**
+ * Open the key bindings dialog
+ */
+function openKeysDialog() {
+  pauseForModal();
+  keysCaptureAction = null;
+  keysMessage.textContent = '';
+  renderKeysDialog();
+  keysDialog.style.display = 'flex';
+  keysCloseBtn.focus();
+}
+
+/**
+ * Render the bindings table and layout dropdown of the key bindings dialog
+ */
+function renderKeysDialog() {
+  keysTableBody.innerHTML = '';
+  for (const action of KEY_ACTIONS) {
+    const row = document.createElement('tr');
+    const labelCell = document.createElement('td');
+    labelCell.textContent = action.label;
+    const keysCell = document.createElement('td');
+    
+    for (const combo of keyBindings[action.id]) {
+      const chip = document.createElement('span');
+      chip.className = 'key-chip';
+      chip.appendChild(createKeyCap(combo));
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.className = 'key-remove';
+      removeBtn.textContent = '×';
+      removeBtn.title = `Remove ${formatCombo(combo)}`;
+      removeBtn.addEventListener('click', () => {
+        keyBindings[action.id] = keyBindings[action.id].filter(c => c !== combo);
+        keysMessage.textContent = '';
+        keyBindingsChanged();
+      });
+      chip.appendChild(removeBtn);
+      keysCell.appendChild(chip);
+    }
+    
+    const addBtn = document.createElement('button');
+    addBtn.type = 'button';
+    addBtn.className = 'btn key-add';
+    addBtn.dataset.action = action.id;
+    addBtn.textContent = keysCaptureAction === action.id ? 'Press a key…' : 'Add Key';
+    addBtn.classList.toggle('capturing', keysCaptureAction === action.id);
+    addBtn.addEventListener('click', () => {
+      keysCaptureAction = keysCaptureAction === action.id ? null : action.id;
+      keysMessage.textContent = keysCaptureAction ? 'Press the new key, or Escape to cancel.' : '';
+      renderKeysDialog();
+      keysTableBody.querySelector(`.key-add[data-action="${action.id}"]`).focus();
+    });
+    keysCell.appendChild(addBtn);
+    
+    row.appendChild(labelCell);
+    row.appendChild(keysCell);
+    keysTableBody.appendChild(row);
+  }
+  
+  // Show the preset the slide keys match, if any
+  keysLayoutSelect.value = getMatchingLayoutPreset(keyBindings) || '';
+}
+
+/**
+ * Save the key bindings and update the dialogs that show them
+ */
+function keyBindingsChanged() {
+  saveKeyBindings(keyBindings);
+  renderHelpBindings();
+  renderKeysDialog();
+  renderAll(); // Show or hide the gap numbers
+}
+
+/**
+ * Bind a key event to the action waiting in the key bindings dialog
+ * @param {KeyboardEvent} e - Key event
+ */
+function captureKeyBinding(e) {
+  const combo = eventToCombo(e);
+  if (!combo) return; // Wait for the key that goes with the modifiers
+  
+  const action = keysCaptureAction;
+  keysCaptureAction = null;
+  keysCaptureKeyUp = true;
+  const previousAction = bindKey(keyBindings, action, combo);
+  const previous = KEY_ACTIONS.find(a => a.id === previousAction);
+  keysMessage.textContent = previous
+    ? `${formatCombo(combo)} was moved from "${previous.label}".`
+    : '';
+  keyBindingsChanged();
+  keysTableBody.querySelector(`.key-add[data-action="${action}"]`).focus();
+}
+
+// ============================================================================
+// STATE OBJECT FACTORY
+// ============================================================================
+
+/**
+ * Create state object for passing to modules
+ * @returns {Object} State object with all necessary properties and methods
+ */
+function getState() {
+  return {
+    // Configuration
+    boardConfig,
+    tilePx,
+    baseTilePx,
+    currentBoardSlug,
+    selectedGapConfigKey,
+    keyBindings,
+    tileLabels,
+    tileLabelFormat,
+    tileImages: getTileImages(),
+    showGapNumbers: usesGapNumbers(keyBindings),
+    
+    // Data structures
+    pieces,
+    pieceById,
+    grid,
+    
+    // Flags
+    wrapHorizontal,
+    wrapVertical,
+    gameMode,
+    challengeSolved,
+    timerPaused,
+    isShuffling,
+    replayActive: replayData !== null,
+    placedPieceIds,
+    keyboardCursor,
+    
+    // Counters
+    challengeMoveCount,
+    
+    // DOM elements
+    boardEl,
+    
+    // Functions
+    renderAll: () => renderAll(),
+    updatePieceDOMForGapChanges: () => updatePieceDOMForGapChangesImpl(getState()),
+    checkWinCondition: () => checkWinCondition(),
+    handleWin: () => handleWin(),
+    updateMoveCount: () => updateMoveCount(),
+    buildGridFromState: () => buildGridFromState(),
+    calculateLargePieceDestination: (piece, dx, dy) => calculateLargePieceDestination(getState(), piece, dx, dy),
+    routeSelectedGap: (x, y) => routeSelectedGap(x, y),
+    stopSolutionPlayback: () => stopSolutionPlayback(),
+    togglePlacedPiece: (id) => togglePlacedPiece(id),
+    incrementMoveCount: () => countMove(),
+    slidePieces: (gap, dir, count) => slidePieces(gap, dir, count),
+    setKeyboardCursor: (cell) => setKeyboardCursor(cell),
+    announce: (message) => announce(message),
+    announceMove: (move) => announceMove(move),
+    // History functions
+    captureHistorySnapshot: (move) => captureHistorySnapshot(move),
+    recordMove: (move) => challengeMoveLog.push(move),
+    clearHistory: () => clearHistory(),
+    updateUndoRedoButtons: () => updateUndoRedoButtons()
+  };
+}
+
+// ============================================================================
+// WRAPPER FUNCTIONS FOR MODULES
+// ============================================================================
+
+function renderAll() {
+  // A hint only applies to the position it was given for
+  if (hint && getPositionKey() !== hint.positionKey) {
+    clearHint();
+  }
+  renderAllImpl(getState());
+  updateAccessibleBoard();
+}
+
+async function shuffle(steps, seed = null, randomizeGaps = false) {
+  stopSolutionPlayback();
+  cancelSolverRequests(); // The position is about to change
+  placedPieceIds.clear(); // Marks don't carry over to a shuffled board
+  
+  // Disable buttons before shuffle
+  shuffleBtn.disabled = true;
+  resetBtn.disabled = true;
+  challengeBtn.disabled = true;
+  settingsBtn.disabled = true;
+  solveBtn.disabled = true;
+  hintBtn.disabled = true;
+  
+  // In Challenge Mode, disable animations to hide shuffle sequence
+  const isChallenge = gameMode === 'challenge';
+  if (isChallenge) {
+    boardEl.classList.add('no-transitions');
+  }
+  
+  const state = getState();
+  try {
+    await shuffleImpl(state, steps, seed, randomizeGaps);
+  } finally {
+    // Re-enable transitions after shuffle completes
+    if (isChallenge) {
+      boardEl.classList.remove('no-transitions');
+    }
+  }
+  
+  // Update mutable state from state object
+  isShuffling = state.isShuffling;
+  
+  // Calculate and log shuffle quality score
+  const shuffleScore = calculateShuffleScore(state);
+  console.log(`Shuffle complete. Score: ${shuffleScore} (sum of Manhattan distances for large pieces)`);
+  
+  // Update UI after shuffle
+  buildGridFromState();
+  renderAll();
+  
+  // Re-enable buttons after shuffle
+  shuffleBtn.disabled = false;
+  resetBtn.disabled = false;
+  challengeBtn.disabled = false;
+  settingsBtn.disabled = false;
+  updateSolverAvailability(); // Randomized gaps may have changed
+}
+
+// ============================================================================
+// WRAPPING HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Check if any large pieces are currently wrapped in the given direction
+ * @param {boolean} checkHorizontal - Check for horizontal wrapping
+ * @param {boolean} checkVertical - Check for vertical wrapping
+ * @returns {boolean} True if any large piece is wrapped in the specified direction
+ */
+function hasWrappedLargePieces(checkHorizontal, checkVertical) {
+  return hasWrappedLargePiecesImpl(getState(), checkHorizontal, checkVertical);
 }
 
 // ============================================================================
@@ -1529,6 +2917,18 @@ function determineOptimalChallengePosition() {
   return boardAreaAbove > boardAreaRight ? 'above' : 'right';
 }
 
+/**
+ * Apply the tile label mode: the board class decides whether labels replace
+ * the image, sit on top of it or appear on hover (see puzzle.css), and the
+ * labels themselves are added by renderAll()
+ */
+function applyTileLabels() {
+  for (const mode of ['numbers', 'image', 'hover']) {
+    boardEl.classList.toggle(`tile-labels-${mode}`, tileLabels === mode);
+  }
+  if (grid) renderAll();
+}
+
 // Function to apply board size (either auto-fit or manual scale)
 // Uses iterative approach for board size changes to ensure proper sizing
 function applyBoardSize() {
@@ -1698,7 +3098,7 @@ function updateAutoFitScale() {
 resetBtn.addEventListener('click', () => {
   if (gameMode === 'challenge') {
     // In challenge mode, reset recreates the challenge with the same settings
-    startChallenge(challengeSeed, challengeSteps, challengeBoard, selectedGapConfigKey, challengeRandomizeGaps, challengeWrapHorizontal, challengeWrapVertical);
+    startChallenge(challengeSeed, challengeSteps, challengeBoard, selectedGapConfigKey, challengeRandomizeGaps, challengeWrapHorizontal, challengeWrapVertical, challengeSlideCounting);
   } else {
     // In free play mode, reset returns to solved state
     resetState();
@@ -1715,6 +3115,16 @@ redoBtn.addEventListener('click', () => {
   boardEl.focus();
 });
 
+branchPrevBtn.addEventListener('click', () => {
+  switchBranch(-1);
+  boardEl.focus();
+});
+
+branchNextBtn.addEventListener('click', () => {
+  switchBranch(1);
+  boardEl.focus();
+});
+
 shuffleBtn.addEventListener('click', async () => {
   clearHistory();
   await shuffle(250, null, false);
@@ -1723,6 +3133,29 @@ shuffleBtn.addEventListener('click', async () => {
   captureHistorySnapshot();
 });
 
+solveBtn.addEventListener('click', () => {
+  if (solverRunning) {
+    cancelSolverRequests(); // Stop while solving
+  } else {
+    const wasPlayingSolution = playingSolverSolution;
+    stopSolutionPlayback(); // Also stops a route being played
+    if (!wasPlayingSolution) {
+      solveCurrentPosition();
+    }
+  }
+  boardEl.focus();
+});
+
+// Direct input on the board takes over from a solution being played
+['keydown', 'mousedown', 'touchstart'].forEach(type => {
+  boardEl.addEventListener(type, () => stopSolutionPlayback());
+});
+
+hintBtn.addEventListener('click', () => {
+  requestHint();
+  boardEl.focus();
+});
+
 giveUpBtn.addEventListener('click', () => {
   switchToFreePlay();
   boardEl.focus();
@@ -1781,6 +3214,13 @@ settingsBtn.addEventListener('click', () => {
   // Set current wrapping state
   wrapHorizontalCheckbox.checked = wrapHorizontal;
   wrapVerticalCheckbox.checked = wrapVertical;
+  if (boardProblems.size > 0) {
+    showBoardProblems(importBoardMessage, 'Some boards are unavailable because their configuration is invalid:',
+      [...boardProblems].map(([slug, problems]) =>
+        `${settingsBoardSelect.querySelector(`option[value="${slug}"]`)?.textContent || slug}: ${problems.join(' ')}`));
+  } else {
+    importBoardMessage.textContent = '';
+  }
   settingsDialog.style.display = 'flex';
   settingsBoardSelect.focus();
 });
@@ -1807,6 +3247,26 @@ settingsBoardSelect.addEventListener('change', () => {
   }
 });
 
+// Import board button - opens the file picker
+importBoardBtn.addEventListener('click', () => {
+  importBoardInput.value = '';
+  importBoardInput.click();
+});
+
+// Imported board files are switched to right away, like picking a board
+importBoardInput.addEventListener('change', async () => {
+  const file = importBoardInput.files[0];
+  if (!file) return;
+  try {
+    const slug = importBoard(await file.text());
+    settingsBoardSelect.value = slug;
+    settingsBoardSelect.dispatchEvent(new Event('change'));
+    importBoardMessage.textContent = `Imported "${settingsBoardSelect.selectedOptions[0].textContent}".`;
+  } catch (err) {
+    showBoardProblems(importBoardMessage, `Could not import ${file.name}:`, err);
+  }
+});
+
 // Gap config select change handler - applies instantly
 settingsGapConfigSelect.addEventListener('change', () => {
   selectedGapConfigKey = settingsGapConfigSelect.value;
@@ -1874,6 +3334,164 @@ wrapVerticalCheckbox.addEventListener('change', () => {
   renderAll(); // Re-render to show/hide duplicates
 });
 
+// ============================================================================
+// EVENT HANDLERS - BOARD EDITOR DIALOG
+// ============================================================================
+
+editorBtn.addEventListener('click', () => {
+  settingsDialog.style.display = 'none';
+  openEditorDialog();
+});
+
+editorNameInput.addEventListener('input', () => {
+  editorLayout.name = editorNameInput.value;
+});
+
+// Size changes remove the large pieces and gaps that no longer fit
+for (const input of [editorWidthInput, editorHeightInput]) {
+  input.addEventListener('change', () => {
+    resizeLayout(editorLayout, parseInt(editorWidthInput.value) || editorLayout.width,
+      parseInt(editorHeightInput.value) || editorLayout.height);
+    editorWidthInput.value = editorLayout.width;
+    editorHeightInput.value = editorLayout.height;
+    editorMessage.textContent = '';
+    renderEditor();
+  });
+}
+
+editorImageModeSelect.addEventListener('change', () => {
+  editorLayout.imageMode = editorImageModeSelect.value;
+  if (editorLayout.imageMode === 'grid' && !editorLayout.images.grid) {
+    setImageGrid(editorLayout, 2, 2);
+  }
+  renderEditor();
+});
+
+// The board size must be a multiple of the image grid (checked on export)
+for (const input of [editorGridColumnsInput, editorGridRowsInput]) {
+  input.addEventListener('change', () => {
+    setImageGrid(editorLayout, parseInt(editorGridColumnsInput.value) || 1, parseInt(editorGridRowsInput.value) || 1);
+    editorMessage.textContent = '';
+    renderEditor();
+  });
+}
+
+editorGapConfigSelect.addEventListener('change', () => {
+  editorConfigKey = editorGapConfigSelect.value;
+  editorMessage.textContent = '';
+  renderEditor();
+});
+
+editorGapNameInput.addEventListener('input', () => {
+  editorLayout.gapConfigurations[editorConfigKey].name = editorGapNameInput.value;
+  editorGapConfigSelect.selectedOptions[0].textContent = editorGapNameInput.value;
+});
+
+editorDefaultConfigCheckbox.addEventListener('change', () => {
+  editorLayout.defaultGapConfig = editorConfigKey;
+  renderEditor();
+});
+
+editorAddConfigBtn.addEventListener('click', () => {
+  const count = Object.keys(editorLayout.gapConfigurations).length;
+  editorConfigKey = addGapConfiguration(editorLayout, `Gap configuration ${count + 1}`);
+  editorMessage.textContent = 'Click cells with "Mark or unmark gaps" to add gaps.';
+  renderEditor();
+  editorGapNameInput.select();
+});
+
+editorRemoveConfigBtn.addEventListener('click', () => {
+  if (!removeGapConfiguration(editorLayout, editorConfigKey)) {
+    editorMessage.textContent = 'A board needs at least one gap configuration.';
+    return;
+  }
+  editorConfigKey = editorLayout.defaultGapConfig;
+  editorMessage.textContent = '';
+  renderEditor();
+});
+
+// Clicking a cell places/removes a large piece or marks/unmarks a gap
+editorGrid.addEventListener('click', (e) => {
+  const cellEl = e.target.closest('.editor-cell');
+  if (!cellEl || editorPreview) return;
+  const x = parseInt(cellEl.dataset.x);
+  const y = parseInt(cellEl.dataset.y);
+  const tool = editorDialog.querySelector('input[name="editorTool"]:checked').value;
+  if (tool === 'largePiece') {
+    editorMessage.textContent = toggleLargePiece(editorLayout, x, y) || '';
+  } else {
+    toggleGap(editorLayout, editorConfigKey, x, y);
+    editorMessage.textContent = findLargePieceAt(editorLayout, x, y) ? 'Gaps on large pieces are large gaps.' : '';
+  }
+  renderEditor();
+  editorGrid.querySelector(`[data-x="${x}"][data-y="${y}"]`).focus();
+});
+
+// Test shuffle with the headless engine, shown in the editor grid
+editorShuffleBtn.addEventListener('click', () => {
+  if (editorPreview) {
+    editorPreview = null;
+    editorMessage.textContent = '';
+  } else {
+    try {
+      editorPreview = testShuffle(editorLayout, editorConfigKey, 250);
+      editorMessage.textContent = `Shuffled 250 steps with "${editorLayout.gapConfigurations[editorConfigKey].name}".`;
+    } catch (err) {
+      editorMessage.textContent = err.message;
+    }
+  }
+  renderEditor();
+});
+
+// Export the layout as a board definition file (see Custom Boards)
+editorExportBtn.addEventListener('click', () => {
+  if (!checkEditorLayout()) return;
+  const board = layoutToBoardConfig(editorLayout);
+  const json = JSON.stringify(JSON.parse(stringifyBoardDefinition(board)), null, 2);
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+  link.download = `${board.name.replace(/[^A-Za-z0-9_-]+/g, '-').toLowerCase() || 'board'}.json`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+  editorMessage.textContent = `Exported ${link.download}.`;
+});
+
+// Add the layout to the imported boards and play it
+editorUseBtn.addEventListener('click', () => {
+  if (!checkEditorLayout()) return;
+  try {
+    const slug = importBoard(stringifyBoardDefinition(layoutToBoardConfig(editorLayout)));
+    switchBoard(slug);
+    selectedGapConfigKey = editorLayout.gapConfigurations[editorConfigKey] ? editorConfigKey : boardConfig.defaultGapConfig;
+    resetState();
+  } catch (err) {
+    showBoardProblems(editorMessage, 'This layout can\'t be used yet:', err);
+    return;
+  }
+  editorCloseBtn.click();
+});
+
+editorCloseBtn.addEventListener('click', () => {
+  editorDialog.style.display = 'none';
+  editorPreview = null;
+  boardEl.focus();
+});
+
+// Allow Escape to close
+editorDialog.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape') {
+    e.preventDefault();
+    editorCloseBtn.click();
+  }
+});
+
+// Close board editor when clicking outside
+editorDialog.addEventListener('mousedown', (e) => {
+  if (e.target === editorDialog) {
+    editorCloseBtn.click();
+  }
+});
+
 // ============================================================================
 // EVENT HANDLERS - CHALLENGE DIALOG
 // ============================================================================
@@ -1979,14 +3597,203 @@ congratsOkBtn.addEventListener('click', () => {
   boardEl.focus();
 });
 
+watchReplayBtn.addEventListener('click', () => {
+  congratsDialog.style.display = 'none';
+  openReplay();
+});
+
+copySolutionLinkBtn.addEventListener('click', async () => {
+  const gapIds = pieces.filter(p => p.isGap).map(p => p.id);
+  const url = new URL(window.location);
+  url.searchParams.set('solution', encodeSolution(challengeMoveLog, gapIds, challengeFinalTimeMs, challengeHintCount, challengeMoveCount));
+  try {
+    await navigator.clipboard.writeText(url.toString());
+    copySolutionLinkBtn.textContent = 'Copied!';
+  } catch (err) {
+    // Clipboard not available - show the link in the move log box for manual copying
+    congratsMoveLog.value = url.toString();
+    congratsMoveLog.select();
+    copySolutionLinkBtn.textContent = 'Press Ctrl+C';
+  }
+});
+
+copyMoveLogBtn.addEventListener('click', async () => {
+  try {
+    await navigator.clipboard.writeText(congratsMoveLog.value);
+    copyMoveLogBtn.textContent = 'Copied!';
+  } catch (err) {
+    // Clipboard not available (e.g. insecure context) - select text for manual copying
+    congratsMoveLog.select();
+    copyMoveLogBtn.textContent = 'Press Ctrl+C';
+  }
+});
+
 // Allow Enter/Escape to close congrats dialog
+// (Enter on the Copy button or in the move log should not close it)
 congratsDialog.addEventListener('keydown', (e) => {
-  if (e.key === 'Enter' || e.key === 'Escape') {
+  const enterCloses = e.key === 'Enter' && e.target === congratsOkBtn;
+  if (enterCloses || e.key === 'Escape') {
     e.preventDefault();
     congratsOkBtn.click();
   }
 });
 
+// ============================================================================
+// EVENT HANDLERS - REPLAY CONTROLS
+// ============================================================================
+
+replayPlayBtn.addEventListener('click', () => replayPlayer.toggle());
+replayBackBtn.addEventListener('click', () => replayPlayer.step(-1));
+replayForwardBtn.addEventListener('click', () => replayPlayer.step(1));
+
+replayScrubber.addEventListener('input', () => {
+  replayPlayer.seek(parseInt(replayScrubber.value, 10));
+});
+
+replaySpeedSelect.addEventListener('change', () => {
+  replayPlayer.setSpeed(parseFloat(replaySpeedSelect.value));
+});
+
+replayCloseBtn.addEventListener('click', () => {
+  closeReplay();
+  boardEl.focus();
+});
+
+// ============================================================================
+// EVENT HANDLERS - SOLUTION DIALOG
+// ============================================================================
+
+solutionCloseBtn.addEventListener('click', () => {
+  solutionDialog.style.display = 'none';
+  resumeFromModal();
+  boardEl.focus();
+});
+
+solutionReplayBtn.addEventListener('click', () => {
+  solutionDialog.style.display = 'none';
+  pausedByModal = false; // The replay stops the timer instead
+  openReplay(verifiedSolution);
+});
+
+// Allow Escape to close solution dialog
+solutionDialog.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape') {
+    e.preventDefault();
+    solutionCloseBtn.click();
+  }
+});
+
+solutionDialog.addEventListener('mousedown', (e) => {
+  if (e.target === solutionDialog) {
+    solutionCloseBtn.click();
+  }
+});
+
+// ============================================================================
+// EVENT HANDLERS - RECORDS DIALOG
+// ============================================================================
+
+recordsBtn.addEventListener('click', () => {
+  openRecordsDialog();
+});
+
+recordsCloseBtn.addEventListener('click', () => {
+  recordsDialog.style.display = 'none';
+  selectedRecord = null;
+  resumeFromModal();
+  boardEl.focus();
+});
+
+recordsPlayBtn.addEventListener('click', async () => {
+  const c = selectedRecord.challenge;
+  recordsDialog.style.display = 'none';
+  selectedRecord = null;
+  await startChallenge(c.seed, c.steps, c.boardSlug, c.gapConfigKey, c.randomizeGaps, c.wrapHorizontal, c.wrapVertical, c.slideCounting);
+  boardEl.focus();
+});
+
+// Allow Escape to close records dialog
+recordsDialog.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape') {
+    e.preventDefault();
+    recordsCloseBtn.click();
+  }
+});
+
+recordsDialog.addEventListener('mousedown', (e) => {
+  if (e.target === recordsDialog) {
+    recordsCloseBtn.click();
+  }
+});
+
+// ============================================================================
+// EVENT HANDLERS - STATISTICS DIALOG
+// ============================================================================
+
+recordsStatsBtn.addEventListener('click', () => {
+  // Switch dialogs without resuming the timer in between
+  recordsDialog.style.display = 'none';
+  selectedRecord = null;
+  openStatsDialog();
+});
+
+statsGroupSelect.addEventListener('change', () => {
+  showStatsGroup();
+});
+
+statsCloseBtn.addEventListener('click', () => {
+  statsDialog.style.display = 'none';
+  statsGroups = [];
+  resumeFromModal();
+  boardEl.focus();
+});
+
+// Allow Escape to close statistics dialog
+statsDialog.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape') {
+    e.preventDefault();
+    statsCloseBtn.click();
+  }
+});
+
+statsDialog.addEventListener('mousedown', (e) => {
+  if (e.target === statsDialog) {
+    statsCloseBtn.click();
+  }
+});
+
+// ============================================================================
+// EVENT HANDLERS - RESUME DIALOG
+// ============================================================================
+
+resumeBtn.addEventListener('click', async () => {
+  resumeDialog.style.display = 'none';
+  const progress = resumableProgress;
+  resumableProgress = null;
+  await resumeChallenge(progress);
+  boardEl.focus();
+});
+
+resumeDiscardBtn.addEventListener('click', () => {
+  resumeDialog.style.display = 'none';
+  resumableProgress = null;
+  clearChallengeProgress();
+  boardEl.focus();
+  // Start the challenge from the URL (if any) as usual
+  checkURLParams();
+});
+
+// Allow Escape to discard and Enter to resume
+resumeDialog.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape') {
+    e.preventDefault();
+    resumeDiscardBtn.click();
+  } else if (e.key === 'Enter' && e.target === resumeBtn) {
+    e.preventDefault();
+    resumeBtn.click();
+  }
+});
+
 // ============================================================================
 // EVENT HANDLERS - DISPLAY SETTINGS DIALOG
 // ============================================================================
@@ -2001,6 +3808,16 @@ displayBtn.addEventListener('click', () => {
   boardSizeSlider.value = boardSizeScale;
   boardSizeValue.textContent = `${boardSizeScale}%`;
   boardSizeSlider.disabled = autoFitEnabled;
+  routeAvoidPlacedCheckbox.checked = routeAvoidPlaced;
+  // A challenge keeps the counting it started with (it is part of its records)
+  const countingLocked = gameMode === 'challenge' && !challengeSolved;
+  slideCountingSelect.value = countingLocked ? challengeSlideCounting : slideCounting;
+  slideCountingSelect.disabled = countingLocked;
+  slideCountingSelect.title = countingLocked ? 'Fixed for the current challenge' : '';
+  tileLabelsSelect.value = tileLabels;
+  tileLabelFormatSelect.value = tileLabelFormat;
+  tileLabelFormatSelect.disabled = tileLabels === 'off';
+  updateCustomImageControls();
   
   displayDialog.style.display = 'flex';
   themeSelect.focus();
@@ -2082,6 +3899,66 @@ boardSizeSlider.addEventListener('change', () => {
   localStorage.setItem('boardSize', boardSizeScale.toString());
 });
 
+// Tile label dropdown handlers - apply instantly
+tileLabelsSelect.addEventListener('change', () => {
+  tileLabels = tileLabelsSelect.value;
+  localStorage.setItem('tileLabels', tileLabels);
+  tileLabelFormatSelect.disabled = tileLabels === 'off';
+  applyTileLabels();
+});
+
+tileLabelFormatSelect.addEventListener('change', () => {
+  tileLabelFormat = tileLabelFormatSelect.value;
+  localStorage.setItem('tileLabelFormat', tileLabelFormat);
+  applyTileLabels();
+});
+
+// Custom image buttons - open the file pickers
+customImageBtn.addEventListener('click', () => {
+  customImageInput.value = '';
+  customImageInput.click();
+});
+
+customImageSecondBtn.addEventListener('click', () => {
+  customImageSecondInput.value = '';
+  customImageSecondInput.click();
+});
+
+// A new first image replaces both images
+customImageInput.addEventListener('change', () => {
+  const file = customImageInput.files[0];
+  if (!file) return;
+  setCustomImageRecord({ primary: file, secondary: null, fit: customImageFitSelect.value });
+});
+
+customImageSecondInput.addEventListener('change', () => {
+  const file = customImageSecondInput.files[0];
+  if (!file || !customImageRecord) return;
+  setCustomImageRecord({ ...customImageRecord, secondary: file });
+});
+
+// Fit dropdown handler - applies instantly to uploaded images
+customImageFitSelect.addEventListener('change', () => {
+  if (!customImageRecord) return;
+  setCustomImageRecord({ ...customImageRecord, fit: customImageFitSelect.value });
+});
+
+customImageResetBtn.addEventListener('click', () => {
+  setCustomImageRecord(null);
+});
+
+// Multi-tile slide counting dropdown handler - applies from the next challenge
+slideCountingSelect.addEventListener('change', () => {
+  slideCounting = slideCountingSelect.value;
+  localStorage.setItem('slideCounting', slideCounting);
+});
+
+// Click-to-route option handler - applies instantly
+routeAvoidPlacedCheckbox.addEventListener('change', () => {
+  routeAvoidPlaced = routeAvoidPlacedCheckbox.checked;
+  localStorage.setItem('routeAvoidPlaced', routeAvoidPlaced ? 'enabled' : 'disabled');
+});
+
 // Allow Escape to close display dialog
 displayDialog.addEventListener('keydown', (e) => {
   if (e.key === 'Escape') {
@@ -2115,7 +3992,7 @@ helpCloseBtn.addEventListener('click', () => {
 
 // Allow Enter/Escape to close help dialog
 helpDialog.addEventListener('keydown', (e) => {
-  if (e.key === 'Enter' || e.key === 'Escape') {
+  if ((e.key === 'Enter' && e.target !== helpKeysBtn) || e.key === 'Escape') {
     e.preventDefault();
     helpCloseBtn.click();
   }
@@ -2140,6 +4017,80 @@ helpDialog.addEventListener('mousedown', (e) => {
   }
 });
 
+// ============================================================================
+// EVENT HANDLERS - KEY BINDINGS DIALOG
+// ============================================================================
+
+helpKeysBtn.addEventListener('click', () => {
+  // Switch dialogs without resuming the timer in between
+  helpDialog.style.display = 'none';
+  openKeysDialog();
+});
+
+keysLayoutSelect.addEventListener('change', () => {
+  keysCaptureAction = null;
+  keysMessage.textContent = '';
+  if (keysLayoutSelect.value) {
+    applyLayoutPreset(keyBindings, keysLayoutSelect.value);
+  }
+  keyBindingsChanged();
+});
+
+keysResetBtn.addEventListener('click', () => {
+  keyBindings = copyBindings(DEFAULT_BINDINGS);
+  keysCaptureAction = null;
+  keysMessage.textContent = '';
+  keyBindingsChanged();
+});
+
+keysCloseBtn.addEventListener('click', () => {
+  keysDialog.style.display = 'none';
+  keysCaptureAction = null;
+  resumeFromModal();
+  boardEl.focus();
+});
+
+// While waiting for a key, bind it (Escape cancels); otherwise Escape closes
+keysDialog.addEventListener('keydown', (e) => {
+  if (keysCaptureAction) {
+    e.preventDefault();
+    if (e.key === 'Escape') {
+      keysCaptureAction = null;
+      keysMessage.textContent = '';
+      renderKeysDialog();
+    } else {
+      captureKeyBinding(e);
+    }
+  } else if (e.key === 'Escape') {
+    e.preventDefault();
+    keysCloseBtn.click();
+  }
+});
+
+keysDialog.addEventListener('keyup', (e) => {
+  if (keysCaptureKeyUp) {
+    e.preventDefault();
+    keysCaptureKeyUp = false;
+  }
+});
+
+keysDialog.addEventListener('mousedown', (e) => {
+  if (e.target === keysDialog) {
+    keysCloseBtn.click();
+  }
+});
+
+// ============================================================================
+// PAGE VISIBILITY HANDLER
+// ============================================================================
+
+// Save the elapsed time when the page is hidden, since mobile browsers may
+// discard background tabs without further notice
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'hidden') saveProgress();
+});
+window.addEventListener('pagehide', saveProgress);
+
 // ============================================================================
 // WINDOW RESIZE HANDLER
 // ============================================================================
@@ -2163,34 +4114,73 @@ window.addEventListener('resize', () => {
 // ============================================================================
 
 // Parse URL query parameters and auto-start challenge if present
+// (or offer to resume a saved challenge)
 function checkURLParams() {
   const urlParams = new URLSearchParams(window.location.search);
   const seedParam = urlParams.get('seed');
   const stepsParam = urlParams.get('steps');
-  const boardParam = urlParams.get('board');
+  const boardDefParam = urlParams.get('boardDef');
+  let boardParam = urlParams.get('board');
   const gapConfigParam = urlParams.get('gapConfig');
   const randomizeGapsParam = urlParams.get('randomizeGaps');
   const wrapHParam = urlParams.get('wrapH');
   const wrapVParam = urlParams.get('wrapV');
+  const solutionParam = urlParams.get('solution');
+  
+  // Import a board shared in the URL; without a challenge, Free Play switches to it
+  if (boardDefParam) {
+    try {
+      const slug = importBoard(boardDefParam);
+      if (!boardRegistry[boardParam]) boardParam = slug;
+      if (!seedParam || !seedParam.trim() || !stepsParam || !stepsParam.trim()) switchBoard(slug);
+    } catch (err) {
+      // Show why instead of starting a challenge on another board
+      settingsBtn.click();
+      showBoardProblems(importBoardMessage, 'The board in the link could not be loaded:', err);
+      return;
+    }
+  }
+  
+  // A saved challenge is offered unless the URL asks for a different challenge
+  // (verifying a shared solution always starts fresh)
+  const progress = solutionParam ? null : loadChallengeProgress();
   
   // Only auto-start if both seed and steps parameters exist and are non-empty
   if (seedParam !== null && seedParam.trim() !== '' &&
       stepsParam !== null && stepsParam.trim() !== '') {
     const seed = parseInt(seedParam);
     const steps = parseInt(stepsParam) || 250;
-    const boardSlug = boardParam && boardRegistry[boardParam] ? boardParam : 'default';
+    const boardSlug = boardParam && boardRegistry[boardParam] && !boardProblems.has(boardParam) ? boardParam : 'default';
     const gapConfigKey = gapConfigParam || null; // Will use default if invalid
     const randomizeGaps = randomizeGapsParam === 'true';
     const wrapH = wrapHParam === 'true';
     const wrapV = wrapVParam === 'true';
     
+    const board = boardRegistry[boardSlug];
+    const urlChallenge = {
+      seed, steps, boardSlug,
+      gapConfigKey: board.gapConfigurations[gapConfigKey] ? gapConfigKey : board.defaultGapConfig,
+      randomizeGaps, wrapHorizontal: wrapH, wrapVertical: wrapV
+    };
+    if (progress && isSameChallenge(progress.challenge, urlChallenge)) {
+      showResumeDialog(progress);
+      return;
+    }
+    
     console.log(`Auto-starting challenge from URL: seed=${seed}, steps=${steps}, board=${boardSlug}, gapConfig=${gapConfigKey}, randomizeGaps=${randomizeGaps}, wrapH=${wrapH}, wrapV=${wrapV}`);
     
     // Start challenge after initialization
     setTimeout(async () => {
       await startChallenge(seed, steps, boardSlug, gapConfigKey, randomizeGaps, wrapH, wrapV);
       boardEl.focus();
+      
+      // Verify a shared solution for this challenge
+      if (solutionParam) {
+        showSolutionVerification(solutionParam);
+      }
     }, 0);
+  } else if (progress) {
+    showResumeDialog(progress);
   }
 }
 
@@ -2268,10 +4258,43 @@ if (savedBoardSize) {
   boardSizeScale = parseInt(savedBoardSize);
 }
 
+// Load click-to-route preference (default to avoiding placed pieces)
+routeAvoidPlaced = localStorage.getItem('routeAvoidPlaced') !== 'disabled';
+
+// Load tile label preferences (default to no labels)
+const savedTileLabels = localStorage.getItem('tileLabels');
+if (['numbers', 'image', 'hover'].includes(savedTileLabels)) {
+  tileLabels = savedTileLabels;
+}
+tileLabelFormat = localStorage.getItem('tileLabelFormat') === 'coords' ? 'coords' : 'index';
+
+// Load multi-tile slide counting preference (default to one move per tile)
+slideCounting = localStorage.getItem('slideCounting') === 'one' ? 'one' : 'each';
+
+// Load key bindings (defaults for actions without saved keys)
+keyBindings = loadKeyBindings();
+
+// Fill the layout presets of the key bindings dialog and show the live bindings in the Help dialog
+for (const [id, preset] of Object.entries(LAYOUT_PRESETS)) {
+  const option = document.createElement('option');
+  option.value = id;
+  option.textContent = preset.label;
+  keysLayoutSelect.appendChild(option);
+}
+renderHelpBindings();
+
+// Check the built-in boards, then register the imported boards so challenges,
+// records and saved progress can refer to them
+checkBuiltInBoards();
+loadCustomBoards().forEach(addBoardOption);
+
 // Set initial board dimensions
 boardEl.style.width = `calc(${boardConfig.width} * var(--tile))`;
 boardEl.style.height = `calc(${boardConfig.height} * var(--tile))`;
 
+// Show the tile labels before the first render
+applyTileLabels();
+
 // Apply board size after preferences are loaded (handles both auto-fit and manual scaling)
 applyBoardSize();
 
@@ -2284,6 +4307,13 @@ updateUIForMode();
 // Initialize input handlers - pass getState function so handlers always get fresh state
 initializeInputHandlers(getState);
 
+// Show the player's own images once they are loaded from IndexedDB
+loadCustomImage().then(record => {
+  if (!record) return;
+  customImageRecord = record;
+  applyCustomImages(true);
+});
+
 // Focus board for keyboard controls
 boardEl.focus();
 
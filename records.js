@@ -0,0 +1,127 @@
+/**
+ * records.js - Personal challenge records
+ *
+ * Every completed challenge is kept in localStorage, grouped by challenge
+ * configuration (seed, steps, board, gap configuration, gap randomization,
+ * wrapping and slide counting), so replaying a seed shows whether the result
+ * improved. Results
+ * are ranked by move count, then by time; hints used are stored but do not
+ * affect the rank.
+ */
+
+const RECORDS_KEY = 'challengeRecords';
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+/**
+ * Load all records
+ * @returns {Object} Challenge key -> {challenge, results}
+ */
+function loadRecords() {
+  try {
+    const records = JSON.parse(localStorage.getItem(RECORDS_KEY));
+    return records && typeof records === 'object' ? records : {};
+  } catch (err) {
+    return {};
+  }
+}
+
+/**
+ * Save all records
+ * @param {Object} records - Challenge key -> {challenge, results}
+ */
+function saveRecords(records) {
+  try {
+    localStorage.setItem(RECORDS_KEY, JSON.stringify(records));
+  } catch (err) {
+    console.warn('Could not save challenge records:', err);
+  }
+}
+
+// ============================================================================
+// KEYS AND RANKING
+// ============================================================================
+
+/**
+ * Get the key a challenge configuration is stored under
+ * Challenges played with multi-tile slides counted as one move get the flag
+ * 'o', so their move counts are ranked separately.
+ * @param {Object} challenge - Challenge parameters (see getChallengeParams() in puzzle.js)
+ * @returns {string} Key, e.g. 'default/2s/12345/250/rH'
+ */
+export function getChallengeKey(challenge) {
+  const flags = (challenge.randomizeGaps ? 'r' : '') +
+    (challenge.wrapHorizontal ? 'H' : '') +
+    (challenge.wrapVertical ? 'V' : '') +
+    (challenge.slideCounting === 'one' ? 'o' : '');
+  return `${challenge.boardSlug}/${challenge.gapConfigKey}/${challenge.seed}/${challenge.steps}/${flags}`;
+}
+
+/**
+ * Compare two results for ranking (fewer moves first, then faster, then older)
+ * @param {Object} a - Result ({moves, timeMs, hints, date})
+ * @param {Object} b - Result
+ * @returns {number} Negative if a ranks before b
+ */
+export function compareResults(a, b) {
+  return a.moves - b.moves || a.timeMs - b.timeMs || a.date - b.date;
+}
+
+// ============================================================================
+// RECORDS API
+// ============================================================================
+
+/**
+ * Store the result of a completed challenge
+ * @param {Object} challenge - Challenge parameters
+ * @param {Object} result - {moves, timeMs, hints, date}, plus customImage: true
+ *   if the challenge was solved on the player's own image and slideCounting:
+ *   'one' if multi-tile slides counted as one move
+ * @returns {Object} {rank, count, best, previousBest} - rank of the new result
+ *   (1 = personal best) among count results; previousBest is the best result
+ *   before this one (null on the first solve)
+ */
+export function addResult(challenge, result) {
+  const records = loadRecords();
+  const key = getChallengeKey(challenge);
+  const entry = records[key] || { challenge, results: [] };
+
+  const previousBest = entry.results.length > 0 ? entry.results[0] : null;
+  entry.results.push(result);
+  entry.results.sort(compareResults);
+  records[key] = entry;
+  saveRecords(records);
+
+  return {
+    rank: entry.results.indexOf(result) + 1,
+    count: entry.results.length,
+    best: entry.results[0],
+    previousBest
+  };
+}
+
+/**
+ * Get the results of one challenge configuration, best first
+ * @param {Object} challenge - Challenge parameters
+ * @returns {Array} Results ({moves, timeMs, hints, date})
+ */
+export function getResults(challenge) {
+  const entry = loadRecords()[getChallengeKey(challenge)];
+  return entry ? entry.results.slice() : [];
+}
+
+/**
+ * Get all challenge configurations with results, most recently played first
+ * @returns {Array} [{key, challenge, results}] with results sorted best first
+ */
+export function getAllRecords() {
+  const records = loadRecords();
+  const lastPlayed = entry => Math.max(...entry.results.map(r => r.date));
+
+  return Object.entries(records)
+    .filter(([, entry]) => entry && entry.challenge && Array.isArray(entry.results) && entry.results.length > 0)
+    .map(([key, entry]) => ({ key, challenge: entry.challenge, results: entry.results.slice() }))
+    .sort((a, b) => lastPlayed(b) - lastPlayed(a));
+}
@@ -2,50 +2,41 @@
  * render.js - Rendering logic
  * 
  * This module contains functions for updating the DOM to reflect the current game state,
- * including handling wrapped large pieces and gap selection highlighting.
+ * including handling wrapped large pieces, gap selection highlighting and the
+ * tile label overlay.
  */
 
 import { normalizeCoords } from './moves.js';
+import { getImageCell } from './boards.js';
+
+/**
+ * Check if a piece's selection highlight should be shown
+ * Selection is hidden after a challenge is solved, except while a replay is shown.
+ * @param {Object} state - Game state object
+ * @param {Object} piece - Piece object
+ * @returns {boolean} True if the piece should be highlighted as selected
+ */
+function isSelectionVisible(state, piece) {
+  if (!piece.selected) return false;
+  return !(state.gameMode === 'challenge' && state.challengeSolved && !state.replayActive);
+}
 
 /**
  * Get background style for a tile based on its home position
+ * Each image of the board's image matrix covers its share of the board
+ * (see getImageMatrix() in boards.js).
  * @param {Object} state - Game state object
  * @param {number} homeX - Home X coordinate
  * @param {number} homeY - Home Y coordinate
  * @returns {Object} {image, bgSize} for background styling
  */
 function getBackgroundStyleForTile(state, homeX, homeY) {
-  const boardConfig = state.boardConfig;
-  
-  // Determine which image to use
-  let image;
-  if (boardConfig.imageMode === 'single') {
-    image = boardConfig.images.primary;
-  } else if (boardConfig.imageMode === 'horizontal') {
-    const halfWidth = boardConfig.width / 2;
-    image = homeX < halfWidth ? boardConfig.images.primary : boardConfig.images.secondary;
-  } else if (boardConfig.imageMode === 'vertical') {
-    const halfHeight = boardConfig.height / 2;
-    image = homeY < halfHeight ? boardConfig.images.primary : boardConfig.images.secondary;
-  } else {
-    image = boardConfig.images.primary;
-  }
-  
-  // Calculate background size
-  let bgSize;
-  if (boardConfig.imageMode === 'single') {
-    bgSize = `calc(${boardConfig.width} * var(--tile)) calc(${boardConfig.height} * var(--tile))`;
-  } else if (boardConfig.imageMode === 'horizontal') {
-    const halfWidth = boardConfig.width / 2;
-    bgSize = `calc(${halfWidth} * var(--tile)) calc(${boardConfig.height} * var(--tile))`;
-  } else if (boardConfig.imageMode === 'vertical') {
-    const halfHeight = boardConfig.height / 2;
-    bgSize = `calc(${boardConfig.width} * var(--tile)) calc(${halfHeight} * var(--tile))`;
-  } else {
-    bgSize = `calc(${boardConfig.width} * var(--tile)) calc(${boardConfig.height} * var(--tile))`;
-  }
-  
-  return { image, bgSize };
+  // state.tileImages is boardConfig.images or the player's own images
+  const cell = getImageCell(state.boardConfig, state.tileImages, homeX, homeY);
+  return {
+    image: cell.image,
+    bgSize: `calc(${cell.width} * var(--tile)) calc(${cell.height} * var(--tile))`
+  };
 }
 
 /**
@@ -53,35 +44,62 @@ function getBackgroundStyleForTile(state, homeX, homeY) {
  * @param {Object} state - Game state object
  * @param {number} homeX - Home X coordinate
  * @param {number} homeY - Home Y coordinate
- * @returns {string} CSS calc() expression for background-position
+ * @returns {string} CSS calc() expression for background-position, relative
+ *   to the image the cell is cut from
  */
 function getBackgroundPositionCalc(state, homeX, homeY) {
-  const boardConfig = state.boardConfig;
-  
-  if (boardConfig.imageMode === 'single') {
-    return `calc(${-homeX} * var(--tile)) calc(${-homeY} * var(--tile))`;
-  } else if (boardConfig.imageMode === 'horizontal') {
-    const halfWidth = boardConfig.width / 2;
-    let xCalc;
-    if (homeX < halfWidth) {
-      xCalc = `calc(${-homeX} * var(--tile))`;
-    } else {
-      xCalc = `calc(${-(homeX - halfWidth)} * var(--tile))`;
+  const cell = getImageCell(state.boardConfig, state.tileImages, homeX, homeY);
+  return `calc(${-cell.x} * var(--tile)) calc(${-cell.y} * var(--tile))`;
+}
+
+/**
+ * Get the label of a home cell for the tile label overlay
+ * @param {Object} state - Game state object
+ * @param {number} homeX - Home X coordinate
+ * @param {number} homeY - Home Y coordinate
+ * @returns {string} Home index (1-based, row by row) or coordinates (column letter + row number, e.g. 'C5')
+ */
+function getTileLabel(state, homeX, homeY) {
+  if (state.tileLabelFormat === 'coords') {
+    let column = '';
+    for (let n = homeX + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+      column = String.fromCharCode(65 + (n - 1) % 26) + column;
     }
-    const yCalc = `calc(${-homeY} * var(--tile))`;
-    return `${xCalc} ${yCalc}`;
-  } else if (boardConfig.imageMode === 'vertical') {
-    const halfHeight = boardConfig.height / 2;
-    const xCalc = `calc(${-homeX} * var(--tile))`;
-    let yCalc;
-    if (homeY < halfHeight) {
-      yCalc = `calc(${-homeY} * var(--tile))`;
-    } else {
-      yCalc = `calc(${-(homeY - halfHeight)} * var(--tile))`;
+    return `${column}${homeY + 1}`;
+  }
+  return String(homeY * state.boardConfig.width + homeX + 1);
+}
+
+/**
+ * Put tile labels on a piece element or a segment of a wrapped large piece
+ * One label is centered on each cell of the element. Existing labels are kept
+ * if they are still current.
+ * @param {Object} state - Game state object
+ * @param {HTMLElement} el - Tile element
+ * @param {number} homeX - Home X coordinate of the element's top-left cell
+ * @param {number} homeY - Home Y coordinate of the element's top-left cell
+ * @param {number} cols - Width of the element in cells
+ * @param {number} rows - Height of the element in cells
+ */
+function renderTileLabels(state, el, homeX, homeY, cols, rows) {
+  const key = state.tileLabels !== 'off' ? `${state.tileLabelFormat}:${homeX},${homeY}:${cols}x${rows}` : '';
+  if ((el.dataset.labels || '') === key) return;
+  
+  el.querySelectorAll('.tile-label').forEach(label => label.remove());
+  el.dataset.labels = key;
+  if (!key) return;
+  
+  for (let oy = 0; oy < rows; oy++) {
+    for (let ox = 0; ox < cols; ox++) {
+      const label = document.createElement('span');
+      label.className = 'tile-label';
+      label.setAttribute('aria-hidden', 'true');
+      label.style.left = `calc(${ox} * var(--tile))`;
+      label.style.top = `calc(${oy} * var(--tile))`;
+      label.textContent = getTileLabel(state, homeX + ox, homeY + oy);
+      el.appendChild(label);
     }
-    return `${xCalc} ${yCalc}`;
   }
-  return `calc(${-homeX} * var(--tile)) calc(${-homeY} * var(--tile))`;
 }
 
 /**
@@ -92,6 +110,7 @@ export function renderAll(state) {
   const tilePx = state.tilePx;
   const boardEl = state.boardEl;
   const boardConfig = state.boardConfig;
+  const gapPieces = state.pieces.filter(p => p.isGap);
   
   for (const piece of state.pieces) {
     // Remove any existing duplicate elements
@@ -137,7 +156,7 @@ export function renderAll(state) {
             dupWrapper.setAttribute('data-cell-offset', `${offset.ox},${offset.oy}`);
             
             // Apply selection visual for wrapped large gaps
-            const showSelection = piece.selected && !(state.gameMode === 'challenge' && state.challengeSolved);
+            const showSelection = isSelectionVisible(state, piece);
             if (showSelection) {
               dupWrapper.classList.add('selected');
             }
@@ -173,6 +192,7 @@ export function renderAll(state) {
             dup.style.backgroundImage = `url("${image}")`;
             dup.style.backgroundSize = bgSize;
             dup.style.backgroundPosition = getBackgroundPositionCalc(state, piece.homeX + offset.ox, piece.homeY + offset.oy);
+            renderTileLabels(state, dup, piece.homeX + offset.ox, piece.homeY + offset.oy, 1, 1);
             
             boardEl.appendChild(dup);
           }
@@ -189,7 +209,7 @@ export function renderAll(state) {
           leftWrapper.setAttribute('data-strip', 'left');
           
           // Apply selection visual for wrapped large gaps
-          const showSelection = piece.selected && !(state.gameMode === 'challenge' && state.challengeSolved);
+          const showSelection = isSelectionVisible(state, piece);
           if (showSelection) {
             leftWrapper.classList.add('selected');
           }
@@ -252,6 +272,7 @@ export function renderAll(state) {
           leftStrip.style.backgroundImage = `url("${imgLeft}")`;
           leftStrip.style.backgroundSize = bgSizeLeft;
           leftStrip.style.backgroundPosition = getBackgroundPositionCalc(state, piece.homeX, piece.homeY);
+          renderTileLabels(state, leftStrip, piece.homeX, piece.homeY, 1, 2);
           
           boardEl.appendChild(leftStrip);
           
@@ -270,6 +291,7 @@ export function renderAll(state) {
           rightStrip.style.backgroundImage = `url("${imgRight}")`;
           rightStrip.style.backgroundSize = bgSizeRight;
           rightStrip.style.backgroundPosition = getBackgroundPositionCalc(state, piece.homeX + 1, piece.homeY);
+          renderTileLabels(state, rightStrip, piece.homeX + 1, piece.homeY, 1, 2);
           
           boardEl.appendChild(rightStrip);
         }
@@ -285,7 +307,7 @@ export function renderAll(state) {
           topWrapper.setAttribute('data-strip', 'top');
           
           // Apply selection visual for wrapped large gaps
-          const showSelection = piece.selected && !(state.gameMode === 'challenge' && state.challengeSolved);
+          const showSelection = isSelectionVisible(state, piece);
           if (showSelection) {
             topWrapper.classList.add('selected');
           }
@@ -348,6 +370,7 @@ export function renderAll(state) {
           topStrip.style.backgroundImage = `url("${imgTop}")`;
           topStrip.style.backgroundSize = bgSizeTop;
           topStrip.style.backgroundPosition = getBackgroundPositionCalc(state, piece.homeX, piece.homeY);
+          renderTileLabels(state, topStrip, piece.homeX, piece.homeY, 2, 1);
           
           boardEl.appendChild(topStrip);
           
@@ -366,6 +389,7 @@ export function renderAll(state) {
           bottomStrip.style.backgroundImage = `url("${imgBottom}")`;
           bottomStrip.style.backgroundSize = bgSizeBottom;
           bottomStrip.style.backgroundPosition = getBackgroundPositionCalc(state, piece.homeX, piece.homeY + 1);
+          renderTileLabels(state, bottomStrip, piece.homeX, piece.homeY + 1, 2, 1);
           
           boardEl.appendChild(bottomStrip);
         }
@@ -377,7 +401,7 @@ export function renderAll(state) {
         
         // Update selection visual for large gaps
         if (piece.isGap) {
-          const showSelection = piece.selected && !(state.gameMode === 'challenge' && state.challengeSolved);
+          const showSelection = isSelectionVisible(state, piece);
           piece.el.classList.toggle('selected', showSelection);
         }
       }
@@ -388,10 +412,37 @@ export function renderAll(state) {
       
       // Update selection visual (for gaps only)
       if (piece.isGap) {
-        const showSelection = piece.selected && !(state.gameMode === 'challenge' && state.challengeSolved);
+        const showSelection = isSelectionVisible(state, piece);
         piece.el.classList.toggle('selected', showSelection);
       }
     }
+    
+    // Mark pieces the player has marked as placed (including wrapped segments)
+    if (!piece.isGap) {
+      const size = piece.isLarge ? 2 : 1;
+      renderTileLabels(state, piece.el, piece.homeX, piece.homeY, size, size);
+      const placed = !!state.placedPieceIds?.has(piece.id);
+      piece.el.classList.toggle('placed', placed);
+      if (placed) {
+        boardEl.querySelectorAll(`[data-duplicate-of="${piece.id}"]`).forEach(dup => dup.classList.add('placed'));
+      }
+    }
+    
+    // Number the gaps while keys refer to gaps by number (dual-gap control)
+    if (piece.isGap) {
+      let label = piece.el.querySelector('.gap-number');
+      if (state.showGapNumbers && gapPieces.length > 1) {
+        if (!label) {
+          label = document.createElement('span');
+          label.className = 'gap-number';
+          label.setAttribute('aria-hidden', 'true');
+          piece.el.appendChild(label);
+        }
+        label.textContent = gapPieces.indexOf(piece) + 1;
+      } else if (label) {
+        label.remove();
+      }
+    }
   }
 }
 
@@ -0,0 +1,193 @@
+/**
+ * replay.js - Challenge replays
+ *
+ * This module rebuilds a challenge with the headless engine, replays a
+ * recorded move log on it and provides a small playback controller used by
+ * the replay viewer. It has no DOM dependencies; puzzle.js applies the frames
+ * to the board.
+ */
+
+import { createChallengeState } from './engine.js';
+import { applyMoveLog, decodeSolution, MAX_MOVE_LOG_LENGTH } from './notation.js';
+
+// ============================================================================
+// PLAYBACK CONSTANTS
+// ============================================================================
+
+const REPLAY_BASE_INTERVAL = 400; // Milliseconds per move at 1× speed
+
+// ============================================================================
+// FRAME GENERATION
+// ============================================================================
+
+/**
+ * Rebuild a challenge and replay a move log on it.
+ * Frame 0 is the shuffled start position, frame i the position after move i.
+ * @param {Object} challenge - Challenge parameters for createChallengeState()
+ *   ({seed, steps, boardSlug, gapConfigKey, randomizeGaps, wrapHorizontal, wrapVertical})
+ * @param {Array} moves - Array of {gapId, dir} (move descriptors or parsed notation)
+ * @returns {Object} {pieceIds, frames, moves, solved, error}
+ *   frames[i] is an Int16Array of [x0, y0, x1, y1, ...] in pieceIds order
+ */
+export function buildReplay(challenge, moves) {
+  return buildFrames(createChallengeState(challenge), moves);
+}
+
+/**
+ * Replay moves on a shuffled state and record one frame per move
+ * @param {Object} state - Shuffled game state (modified in place)
+ * @param {Array} moves - Array of {gapId, dir}
+ * @returns {Object} {pieceIds, frames, moves, solved, error}
+ */
+function buildFrames(state, moves) {
+  const pieceIds = state.pieces.map(p => p.id);
+  const indexById = new Map(pieceIds.map((id, i) => [id, i]));
+
+  const initial = new Int16Array(pieceIds.length * 2);
+  state.pieces.forEach((p, i) => {
+    initial[i * 2] = p.x;
+    initial[i * 2 + 1] = p.y;
+  });
+
+  // One frame is allocated per move, so logs no real challenge reaches are refused
+  const { descriptors, error } = moves.length > MAX_MOVE_LOG_LENGTH
+    ? { descriptors: [], error: `More than ${MAX_MOVE_LOG_LENGTH} moves` }
+    : applyMoveLog(state, moves);
+
+  // Derive each frame from the previous one using the move descriptors
+  const frames = [initial];
+  for (const move of descriptors) {
+    const frame = new Int16Array(frames[frames.length - 1]);
+    for (const m of move.moved) {
+      const i = indexById.get(m.id);
+      frame[i * 2] = m.toX;
+      frame[i * 2 + 1] = m.toY;
+    }
+    frames.push(frame);
+  }
+
+  const solved = state.pieces.every(p => p.x === p.homeX && p.y === p.homeY);
+
+  return { pieceIds, frames, moves: descriptors, solved, error };
+}
+
+/**
+ * Verify an encoded solution (from the `solution` URL parameter) against a
+ * challenge by regenerating the puzzle and replaying the moves.
+ * @param {Object} challenge - Challenge parameters for createChallengeState()
+ * @param {string} encoded - Encoded solution (see encodeSolution())
+ * @returns {Object} Replay result ({pieceIds, frames, moves, solved, error}) plus
+ *   timeMs, hints and countedMoves
+ */
+export function verifySolution(challenge, encoded) {
+  const state = createChallengeState(challenge);
+  const gapIds = state.pieces.filter(p => p.isGap).map(p => p.id);
+
+  const decoded = decodeSolution(encoded, gapIds);
+  const replay = buildFrames(state, decoded.moves);
+
+  return {
+    ...replay,
+    timeMs: decoded.timeMs,
+    hints: decoded.hints,
+    countedMoves: decoded.countedMoves,
+    // A decoding error takes precedence, since the moves were cut short there
+    error: decoded.error || replay.error
+  };
+}
+
+// ============================================================================
+// PLAYBACK CONTROLLER
+// ============================================================================
+
+/**
+ * Create a playback controller for a list of frames
+ * @param {number} frameCount - Number of frames
+ * @param {Function} showFrame - Called with (index, animate) to display a frame
+ * @param {Function} onChange - Called after the index or playing state changes
+ * @returns {Object} Player with play, pause, toggle, step, seek, setSpeed and stop methods
+ */
+export function createReplayPlayer(frameCount, showFrame, onChange) {
+  const player = {
+    index: 0,
+    playing: false,
+    speed: 1,
+    timer: null
+  };
+
+  const lastIndex = frameCount - 1;
+
+  const schedule = () => {
+    clearTimeout(player.timer);
+    player.timer = setTimeout(() => {
+      if (player.index >= lastIndex) {
+        player.pause();
+        return;
+      }
+      player.index++;
+      showFrame(player.index, true);
+      onChange(player);
+      if (player.index >= lastIndex) {
+        player.pause();
+      } else {
+        schedule();
+      }
+    }, REPLAY_BASE_INTERVAL / player.speed);
+  };
+
+  player.play = () => {
+    if (lastIndex <= 0) return;
+    // Restart from the beginning when playing from the last frame
+    if (player.index >= lastIndex) {
+      player.index = 0;
+      showFrame(0, false);
+    }
+    player.playing = true;
+    schedule();
+    onChange(player);
+  };
+
+  player.pause = () => {
+    clearTimeout(player.timer);
+    player.timer = null;
+    player.playing = false;
+    onChange(player);
+  };
+
+  player.toggle = () => {
+    if (player.playing) {
+      player.pause();
+    } else {
+      player.play();
+    }
+  };
+
+  player.seek = (index) => {
+    const target = Math.max(0, Math.min(lastIndex, index));
+    // Only animate single steps; larger jumps would slide pieces across the board
+    const animate = Math.abs(target - player.index) === 1;
+    player.index = target;
+    showFrame(target, animate);
+    if (player.playing) schedule();
+    onChange(player);
+  };
+
+  player.step = (delta) => {
+    if (player.playing) player.pause();
+    player.seek(player.index + delta);
+  };
+
+  player.setSpeed = (speed) => {
+    player.speed = speed;
+    if (player.playing) schedule();
+    onChange(player);
+  };
+
+  player.stop = () => {
+    clearTimeout(player.timer);
+    player.timer = null;
+    player.playing = false;
+  };
+
+  return player;
+}
@@ -0,0 +1,131 @@
+/**
+ * route.js - Click-to-route path finding
+ *
+ * This module finds the shortest sequence of moves that brings one gap onto a
+ * target cell, optionally without moving pieces the player has marked as
+ * placed. It searches on a headless copy of the game state and has no DOM
+ * dependencies; puzzle.js plays the resulting moves through tryMove().
+ */
+
+import { cloneEngineState } from './engine.js';
+import { normalizeCoords, enumerateValidMoves, invertMove, applyMoveDescriptor } from './moves.js';
+
+// Maximum number of positions to visit before giving up
+const ROUTE_MAX_NODES = 20000;
+
+// ============================================================================
+// SEARCH HELPERS
+// ============================================================================
+
+/**
+ * Check if a gap covers a cell (any of the 4 cells for large gaps)
+ * @param {Object} state - Game state object
+ * @param {Object} gap - Gap piece
+ * @param {number} x - Cell X coordinate
+ * @param {number} y - Cell Y coordinate
+ * @returns {boolean} True if the gap covers the cell
+ */
+function gapCoversCell(state, gap, x, y) {
+  const size = gap.isLarge ? 2 : 1;
+  for (let oy = 0; oy < size; oy++) {
+    for (let ox = 0; ox < size; ox++) {
+      const cell = normalizeCoords(state, gap.x + ox, gap.y + oy);
+      if (cell.x === x && cell.y === y) return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Move the search state from one search node to another along the search tree
+ * @param {Object} state - Search state (modified in place)
+ * @param {Object} from - Node the state currently shows
+ * @param {Object} to - Node to show
+ */
+function moveBetweenNodes(state, from, to) {
+  const down = [];
+  while (from.depth > to.depth) {
+    applyMoveDescriptor(state, invertMove(from.move));
+    from = from.parent;
+  }
+  while (to.depth > from.depth) {
+    down.push(to.move);
+    to = to.parent;
+  }
+  while (from !== to) {
+    applyMoveDescriptor(state, invertMove(from.move));
+    from = from.parent;
+    down.push(to.move);
+    to = to.parent;
+  }
+  for (let i = down.length - 1; i >= 0; i--) {
+    applyMoveDescriptor(state, down[i]);
+  }
+}
+
+// ============================================================================
+// ROUTE SEARCH
+// ============================================================================
+
+/**
+ * Find a shortest route that brings a gap onto a cell.
+ * Only moves of the given gap are used. Positions are told apart by the
+ * positions of the gaps and large pieces, since small pieces are
+ * interchangeable as far as which moves are possible.
+ * @param {Object} state - Game state object (not modified)
+ * @param {string} gapId - ID of the gap to route
+ * @param {number} targetX - Target cell X coordinate
+ * @param {number} targetY - Target cell Y coordinate
+ * @param {Object} options - Options
+ * @param {Set} options.avoidIds - IDs of pieces that must not be moved
+ * @param {number} options.maxNodes - Search limit (default ROUTE_MAX_NODES)
+ * @returns {Array|null} Array of {gapId, dir} (empty if the gap already covers
+ *   the cell), or null if no route was found
+ */
+export function findGapRoute(state, gapId, targetX, targetY, options = {}) {
+  const search = cloneEngineState(state);
+  const gap = search.pieceById.get(gapId);
+  if (!gap || !gap.isGap) return null;
+  if (gapCoversCell(search, gap, targetX, targetY)) return [];
+
+  const avoidIds = options.avoidIds || null;
+  const maxNodes = options.maxNodes || ROUTE_MAX_NODES;
+  const gapPieces = search.pieces.filter(p => p.isGap);
+  const keyPieces = search.pieces.filter(p => p.isGap || p.isLarge);
+  const positionKey = () => keyPieces.map(p => `${p.x},${p.y}`).join(' ');
+
+  const root = { parent: null, move: null, depth: 0 };
+  const visited = new Set([positionKey()]);
+  const queue = [root];
+  let current = root;
+
+  for (let i = 0; i < queue.length && visited.size < maxNodes; i++) {
+    const node = queue[i];
+    moveBetweenNodes(search, current, node);
+    current = node;
+
+    for (const { gap: movedGap, move } of enumerateValidMoves(search, gapPieces)) {
+      if (movedGap !== gap) continue;
+      if (avoidIds && move.moved.some(m => avoidIds.has(m.id))) continue;
+
+      applyMoveDescriptor(search, move);
+      const key = positionKey();
+      const reached = gapCoversCell(search, gap, targetX, targetY);
+      applyMoveDescriptor(search, invertMove(move));
+      if (visited.has(key)) continue;
+
+      visited.add(key);
+      const child = { parent: node, move, depth: node.depth + 1 };
+      if (reached) {
+        const route = [];
+        for (let n = child; n.parent; n = n.parent) {
+          route.push({ gapId: n.move.gapId, dir: n.move.dir });
+        }
+        return route.reverse();
+      }
+      queue.push(child);
+    }
+  }
+
+  return null;
+}
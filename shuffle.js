@@ -264,23 +264,18 @@ export function calculateShuffleScore(state) {
 }
 
 /**
- * Perform intelligent random valid moves with weighted priorities
+ * Perform intelligent random valid moves with weighted priorities.
+ * Implemented as a generator that yields whenever the browser should get a
+ * chance to repaint; use shuffle() or shuffleSync() to drive it.
  * @param {Object} state - Game state object
  * @param {number} steps - Number of shuffle moves to perform
  * @param {number|null} seed - Optional seed for deterministic shuffling
  * @param {boolean} randomizeGaps - Whether to randomize gap positions before shuffling
- * @param {Function} getBackgroundStyleForTile - Function to get background style for a tile
- * @param {Function} getBackgroundPositionCalc - Function to get background position as calc() expression
- * @returns {Promise<void>}
  */
-export async function shuffle(state, steps, seed = null, randomizeGaps = false) {
+function* shuffleSteps(state, steps, seed, randomizeGaps) {
   state.isShuffling = true; // Set flag to prevent move counting
   
-  // In Challenge Mode, disable animations to hide shuffle sequence
   const isChallenge = state.gameMode === 'challenge';
-  if (isChallenge) {
-    state.boardEl.classList.add('no-transitions');
-  }
   
   // Create random number generator (seeded or random)
   // Combine seed, steps, and board to create a unique seed for this shuffle
@@ -300,7 +295,7 @@ export async function shuffle(state, steps, seed = null, randomizeGaps = false)
     performGapRandomization(state, randomInt);
     // CRITICAL: Update DOM to convert tiles to gaps and vice versa
     // This must happen before buildGridFromState() and renderAll()
-    state.updatePieceDOMForGapChanges();
+    if (state.updatePieceDOMForGapChanges) state.updatePieceDOMForGapChanges();
     // CRITICAL: Rebuild grid after gap randomization
     state.buildGridFromState();
   }
@@ -411,15 +406,10 @@ export async function shuffle(state, steps, seed = null, randomizeGaps = false)
       // Only yield to UI in Free Play mode (for animation visibility)
       // In Challenge Mode, run at full speed without delays
       if (!isChallenge && (i < 40 || i % 10 === 0)) {
-        await new Promise(r=>setTimeout(r, 0));
+        yield;
       }
     }
   } finally {
-    // Re-enable transitions after shuffle completes
-    if (isChallenge) {
-      state.boardEl.classList.remove('no-transitions');
-    }
-    
     // Randomly select one of the gaps to hide which was used last
     // Reuse cached gap pieces if available, otherwise filter
     const gapPieces = cachedGapPieces;
@@ -430,9 +420,34 @@ export async function shuffle(state, steps, seed = null, randomizeGaps = false)
     }
     
     state.isShuffling = false; // Clear flag after shuffle completes
-    
-    // Calculate and log shuffle quality score
-    const shuffleScore = calculateShuffleScore(state);
-    console.log(`Shuffle complete. Score: ${shuffleScore} (sum of Manhattan distances for large pieces)`);
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Shuffle the puzzle, yielding to the browser between moves in Free Play
+ * so the shuffle is visible
+ * @param {Object} state - Game state object
+ * @param {number} steps - Number of shuffle moves to perform
+ * @param {number|null} seed - Optional seed for deterministic shuffling
+ * @param {boolean} randomizeGaps - Whether to randomize gap positions before shuffling
+ * @returns {Promise<void>}
+ */
+export async function shuffle(state, steps, seed = null, randomizeGaps = false) {
+  for (const _ of shuffleSteps(state, steps, seed, randomizeGaps)) {
+    await new Promise(r=>setTimeout(r, 0));
+  }
+}
+
+/**
+ * Shuffle the puzzle synchronously (used by the headless engine).
+ * Produces exactly the same result as shuffle() for the same parameters.
+ * @param {Object} state - Game state object
+ * @param {number} steps - Number of shuffle moves to perform
+ * @param {number|null} seed - Optional seed for deterministic shuffling
+ * @param {boolean} randomizeGaps - Whether to randomize gap positions before shuffling
+ */
+export function shuffleSync(state, steps, seed = null, randomizeGaps = false) {
+  for (const _ of shuffleSteps(state, steps, seed, randomizeGaps)) {
+    // Nothing to wait for outside the browser
+  }
+}
@@ -0,0 +1,19 @@
+/**
+ * solver-worker.js - Web Worker that runs the solvers off the UI thread
+ *
+ * Messages in:  {id, position, options} - position from createSolverPosition()
+ * Messages out: {id, result} - result of solve() ({moves, optimal, nodes, error})
+ */
+
+import { solve } from './solver.js';
+
+self.onmessage = (event) => {
+  const { id, position, options } = event.data;
+  let result;
+  try {
+    result = solve(position, options);
+  } catch (error) {
+    result = { moves: null, optimal: false, nodes: 0, error: error.message };
+  }
+  self.postMessage({ id, result });
+};
@@ -0,0 +1,1596 @@
+/**
+ * solver.js - Puzzle solvers
+ *
+ * This module finds move sequences that solve a position. It has no DOM
+ * dependencies, so it runs in Node, inside the browser's solver worker
+ * (solver-worker.js) or directly on the game state object.
+ *
+ * Boards made only of 1×1 pieces (e.g. `classicsmall`, `classic`) are solved
+ * with IDA* using Manhattan distance plus linear conflicts:
+ * - Boards of up to 16 cells are searched optimally
+ * - Larger boards (or searches that exceed the node limit) are reduced line
+ *   by line: rows and columns are solved one piece at a time and then locked,
+ *   and the remaining area is solved in a single search
+ *
+ * Boards with 2×2 pieces are solved in stages with a weighted best-first
+ * search that generates moves with tryMove() itself, so large swaps, chain
+ * moves and large gap moves work exactly as in the game. Large pieces come
+ * home first, then the small pieces one at a time; with large gaps, pieces
+ * are placed from the far side of the board towards the gaps' homes. These
+ * solutions are not optimal, and with large gaps most searches fail, so the
+ * game offers no Solve or Hint for them.
+ *
+ * Every solve gives up after a time limit (20 seconds by default).
+ *
+ * Solutions are arrays of {gapId, dir} in the same form as move logs (see
+ * notation.js), so they can be executed with tryMove() or applyMoveLog().
+ */
+
+import { tryMove, invertMove, applyMoveDescriptor } from './moves.js';
+import { cloneEngineState } from './engine.js';
+
+// ============================================================================
+// SOLVER CONSTANTS
+// ============================================================================
+
+const DIRS = ['up', 'down', 'left', 'right'];
+const DIR_DX = [0, 0, -1, 1];
+const DIR_DY = [-1, 1, 0, 0];
+const OPPOSITE_DIR = [1, 0, 3, 2];
+
+const OPTIMAL_MAX_CELLS = 16;          // Boards up to this size are searched optimally
+const OPTIMAL_NODE_LIMIT = 20000000;   // Nodes before the optimal search gives up and reduces instead
+const DEFAULT_NODE_LIMIT = 50000000;   // Nodes before the whole solve gives up
+const MIXED_NODE_LIMIT = 5000000;      // The same for boards with large pieces (positions expanded)
+const TIME_LIMIT = 20000;              // Milliseconds before a solve gives up
+const DEADLINE_CHECK_MASK = 4095;      // The clock is read every 4096 nodes
+const STAGE_NODE_LIMIT = 150000;       // Positions expanded before placing a piece is put off (large gaps)
+const PUT_OFF_STAGES = 4;              // How many stages later a put-off piece is tried again
+const FINAL_STAGE_MAX_PIECES = 8;      // Unplaced pieces left for the final search after reduction
+const MIXED_FINAL_STAGE_MAX_PIECES = 2; // The same for boards with large pieces, where searches are slower
+const TRANSPOSITION_BITS = 20;         // Transposition table size (2^20 slots) for boards with several gaps
+const ROUTE_MAX_STATES = 1000000;      // Positions visited when routing a single piece
+
+// Heuristic weights while placing single pieces. Moving a piece one cell with
+// the gap behind it takes about five moves, so the plain Manhattan distance
+// underestimates badly; the weighted search is not optimal but fast.
+const PLACEMENT_WEIGHT = 2;
+const TARGET_WEIGHT = 5;
+
+// The same for large pieces, which need two gaps lined up for every step
+const LARGE_PLACEMENT_WEIGHT = 8;
+const LARGE_TARGET_WEIGHT = 16;
+
+// Cost of the moves made so far relative to the heuristic in the best-first search
+// for boards with large pieces. Large gaps move pieces in pairs, so getting a
+// piece home takes long detours; favouring progress over short solutions helps.
+const DEPTH_WEIGHT = 1;
+const LARGE_GAP_DEPTH_WEIGHT = 0.5;
+
+// Search results besides a bound
+const FOUND = -1;
+const ABORTED = -2;
+
+// ============================================================================
+// SEARCH BOARD
+// ============================================================================
+
+/**
+ * Create random keys per piece and cell for hashing positions (fixed seed,
+ * so searches are reproducible)
+ * @param {number} keyCount - Number of pieces × number of cells
+ * @returns {Object} {hashKeysLow, hashKeysHigh} (two 32-bit halves)
+ */
+function createHashKeys(keyCount) {
+  const hashKeysLow = new Int32Array(keyCount);
+  const hashKeysHigh = new Int32Array(keyCount);
+  let seed = 0x9e3779b9;
+  const nextRandom = () => {
+    seed ^= seed << 13;
+    seed ^= seed >>> 17;
+    seed ^= seed << 5;
+    return seed | 0;
+  };
+  for (let i = 0; i < keyCount; i++) {
+    hashKeysLow[i] = nextRandom();
+    hashKeysHigh[i] = nextRandom();
+  }
+  return { hashKeysLow, hashKeysHigh };
+}
+
+/**
+ * Build the compact board representation used by the small-piece searches.
+ * Cells are indexed y * width + x, pieces by their index in the pieces array.
+ * Cells covered by large pieces are locked.
+ * @param {Object} state - Game state object (boardConfig, pieces, wrap flags)
+ * @returns {Object} Search board
+ */
+function createSearchBoard(state) {
+  const { width, height } = state.boardConfig;
+  const cellCount = width * height;
+  const largePieces = state.pieces.filter(p => p.isLarge);
+  const smallPieces = state.pieces.filter(p => !p.isLarge);
+  const pieceCount = smallPieces.length;
+
+  const cells = new Int16Array(cellCount).fill(-1);
+  const pos = new Int16Array(pieceCount);
+  const home = new Int16Array(pieceCount);
+  const isGap = new Uint8Array(pieceCount);
+  const gaps = [];
+
+  smallPieces.forEach((piece, i) => {
+    pos[i] = piece.y * width + piece.x;
+    home[i] = piece.homeY * width + piece.homeX;
+    isGap[i] = piece.isGap ? 1 : 0;
+    cells[pos[i]] = i;
+    if (piece.isGap) gaps.push(i);
+  });
+
+  // Neighbouring cell in each direction (-1 = off the board)
+  const neighbors = new Int16Array(cellCount * 4).fill(-1);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      for (let d = 0; d < 4; d++) {
+        let nx = x + DIR_DX[d];
+        let ny = y + DIR_DY[d];
+        if (state.wrapHorizontal) nx = (nx + width) % width;
+        if (state.wrapVertical) ny = (ny + height) % height;
+        if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+        neighbors[(y * width + x) * 4 + d] = ny * width + nx;
+      }
+    }
+  }
+
+  // Manhattan distances between cells (shortest way around when wrapping)
+  const distance = new Uint8Array(cellCount * cellCount);
+  for (let a = 0; a < cellCount; a++) {
+    for (let b = 0; b < cellCount; b++) {
+      let dx = Math.abs((a % width) - (b % width));
+      let dy = Math.abs(Math.floor(a / width) - Math.floor(b / width));
+      if (state.wrapHorizontal) dx = Math.min(dx, width - dx);
+      if (state.wrapVertical) dy = Math.min(dy, height - dy);
+      distance[a * cellCount + b] = dx + dy;
+    }
+  }
+
+  const { hashKeysLow, hashKeysHigh } = createHashKeys(pieceCount * cellCount);
+
+  const locked = new Uint8Array(cellCount);
+  for (const piece of largePieces) {
+    for (let dy = 0; dy < 2; dy++) {
+      for (let dx = 0; dx < 2; dx++) {
+        locked[((piece.y + dy) % height) * width + (piece.x + dx) % width] = 1;
+      }
+    }
+  }
+
+  const board = {
+    width,
+    height,
+    cellCount,
+    wrapHorizontal: !!state.wrapHorizontal,
+    wrapVertical: !!state.wrapVertical,
+    ids: smallPieces.map(p => p.id),
+    cells,
+    pos,
+    home,
+    isGap,
+    gaps,
+    neighbors,
+    distance,
+    hashKeysLow,
+    hashKeysHigh,
+    locked,
+    deadline: Infinity // Date.now() value after which searches abort (set by the caller)
+  };
+
+  if (largePieces.length > 0) updateDistances(board);
+  return board;
+}
+
+/**
+ * Recompute cell distances as shortest paths through unlocked cells, so
+ * locked lines (which also cut wrapping connections) are walked around
+ * @param {Object} board - Search board
+ */
+function updateDistances(board) {
+  const { cellCount, neighbors, distance, locked } = board;
+  const queue = new Int16Array(cellCount);
+
+  for (let start = 0; start < cellCount; start++) {
+    const row = distance.subarray(start * cellCount, (start + 1) * cellCount);
+    row.fill(255);
+    if (locked[start]) continue;
+
+    row[start] = 0;
+    let head = 0;
+    let tail = 0;
+    queue[tail++] = start;
+    while (head < tail) {
+      const cell = queue[head++];
+      for (let d = 0; d < 4; d++) {
+        const next = neighbors[cell * 4 + d];
+        if (next < 0 || locked[next] || row[next] !== 255) continue;
+        row[next] = row[cell] + 1;
+        queue[tail++] = next;
+      }
+    }
+  }
+}
+
+/**
+ * Execute a search path on the board
+ * @param {Object} board - Search board
+ * @param {Array} path - Array of {gap, dir} (piece indexes and direction indexes)
+ */
+function applyPath(board, path) {
+  const { cells, pos, neighbors } = board;
+  for (const { gap, dir } of path) {
+    const gapCell = pos[gap];
+    const source = neighbors[gapCell * 4 + OPPOSITE_DIR[dir]];
+    const other = cells[source];
+    cells[gapCell] = other;
+    cells[source] = gap;
+    pos[gap] = source;
+    pos[other] = gapCell;
+  }
+}
+
+/**
+ * Remove moves that are directly undone by the next move (this can happen
+ * where one placement stage ends and the next begins)
+ * @param {Array} path - Array of {gap, dir}
+ * @returns {Array} Shortened path
+ */
+function cancelInverseMoves(path) {
+  const result = [];
+  for (const step of path) {
+    const last = result[result.length - 1];
+    if (last && last.gap === step.gap && last.dir === OPPOSITE_DIR[step.dir]) {
+      result.pop();
+    } else {
+      result.push(step);
+    }
+  }
+  return result;
+}
+
+/**
+ * Convert a search path to moves in move log form
+ * @param {Object} board - Search board
+ * @param {Array} path - Array of {gap, dir}
+ * @returns {Array} Array of {gapId, dir}
+ */
+function pathToMoves(board, path) {
+  return path.map(({ gap, dir }) => ({ gapId: board.ids[gap], dir: DIRS[dir] }));
+}
+
+// ============================================================================
+// IDA* SEARCH
+// ============================================================================
+
+/**
+ * Minimum number of moves added by pieces in a line that are in the wrong order:
+ * every piece outside the longest correctly ordered subsequence has to leave
+ * the line and come back (2 extra moves).
+ * @param {Int16Array} order - Home positions along the line, in current order
+ * @param {number} length - Number of entries used in order
+ * @param {Int16Array} longest - Scratch buffer of at least the same length
+ * @returns {number} Extra moves
+ */
+function lineConflictCost(order, length, longest) {
+  if (length < 2) return 0;
+
+  let best = 1;
+  for (let i = 0; i < length; i++) {
+    longest[i] = 1;
+    for (let j = 0; j < i; j++) {
+      if (order[j] < order[i] && longest[j] + 1 > longest[i]) {
+        longest[i] = longest[j] + 1;
+      }
+    }
+    if (longest[i] > best) best = longest[i];
+  }
+
+  return 2 * (length - best);
+}
+
+/**
+ * Find a shortest move sequence (within the heuristic's guarantees) that
+ * brings every goal piece home, moving only through unlocked cells.
+ * The board is left unchanged.
+ * @param {Object} board - Search board
+ * @param {Array} goal - Indexes of the pieces that must end at home
+ * @param {Object} options - Search options
+ * @param {boolean} options.linearConflict - Add linear conflicts (admissible; disabled per axis when wrapping)
+ * @param {number} options.weight - Factor for the Manhattan distance (1 = admissible)
+ * @param {number} options.target - Piece being placed; its weighted distance and the distance of the nearest gap to it guide the search (not admissible)
+ * @param {number} options.targetWeight - Factor for the target's own distance
+ * @param {number} options.maxNodes - Node limit
+ * @returns {Object} {path: Array|null, nodes}
+ */
+function searchGoal(board, goal, options) {
+  const { width, height, cellCount, cells, pos, home, isGap, gaps, neighbors, distance, locked, hashKeysLow, hashKeysHigh } = board;
+  const maxNodes = options.maxNodes;
+  const weight = options.weight ?? 1;
+  // Gaps being placed are already covered by the gap distance bound
+  const target = options.target !== undefined && !board.isGap[options.target] ? options.target : -1;
+  const targetWeight = options.targetWeight ?? weight;
+
+  const inGoal = new Uint8Array(pos.length);
+  goal.forEach(i => { inGoal[i] = 1; });
+  const goalGaps = goal.filter(i => isGap[i]);
+
+  // Linear conflicts are only valid on lines that don't wrap
+  const useRowConflicts = !!options.linearConflict && !board.wrapHorizontal;
+  const useColumnConflicts = !!options.linearConflict && !board.wrapVertical;
+
+  // Home row/column of each piece, or -1 if it doesn't take part in linear conflicts
+  const homeRow = new Int16Array(pos.length).fill(-1);
+  const homeColumn = new Int16Array(pos.length).fill(-1);
+  for (const i of goal) {
+    if (isGap[i]) continue;
+    homeRow[i] = Math.floor(home[i] / width);
+    homeColumn[i] = home[i] % width;
+  }
+
+  const order = new Int16Array(Math.max(width, height));
+  const longest = new Int16Array(order.length);
+
+  const rowConflictCost = (row) => {
+    let length = 0;
+    for (let x = 0; x < width; x++) {
+      const piece = cells[row * width + x];
+      if (piece >= 0 && homeRow[piece] === row) order[length++] = homeColumn[piece];
+    }
+    return lineConflictCost(order, length, longest);
+  };
+
+  const columnConflictCost = (column) => {
+    let length = 0;
+    for (let y = 0; y < height; y++) {
+      const piece = cells[y * width + column];
+      if (piece >= 0 && homeColumn[piece] === column) order[length++] = homeRow[piece];
+    }
+    return lineConflictCost(order, length, longest);
+  };
+
+  // Incrementally maintained heuristic parts
+  let manhattan = 0;
+  let misplaced = 0;
+  for (const i of goal) {
+    if (pos[i] !== home[i]) misplaced++;
+    if (!isGap[i]) manhattan += distance[pos[i] * cellCount + home[i]];
+  }
+
+  const rowConflicts = new Int32Array(height);
+  const columnConflicts = new Int32Array(width);
+  let conflicts = 0;
+  if (useRowConflicts) {
+    for (let y = 0; y < height; y++) {
+      rowConflicts[y] = rowConflictCost(y);
+      conflicts += rowConflicts[y];
+    }
+  }
+  if (useColumnConflicts) {
+    for (let x = 0; x < width; x++) {
+      columnConflicts[x] = columnConflictCost(x);
+      conflicts += columnConflicts[x];
+    }
+  }
+
+  // Position hash (two 32-bit halves)
+  let hashLow = 0;
+  let hashHigh = 0;
+  for (let i = 0; i < pos.length; i++) {
+    hashLow ^= hashKeysLow[i * cellCount + pos[i]];
+    hashHigh ^= hashKeysHigh[i * cellCount + pos[i]];
+  }
+
+  const updateRow = (row) => {
+    const cost = rowConflictCost(row);
+    conflicts += cost - rowConflicts[row];
+    rowConflicts[row] = cost;
+  };
+
+  const updateColumn = (column) => {
+    const cost = columnConflictCost(column);
+    conflicts += cost - columnConflicts[column];
+    columnConflicts[column] = cost;
+  };
+
+  const heuristic = () => {
+    // Each move moves every gap by at most one cell, so the farthest goal gap is a lower bound too
+    let gapDistance = 0;
+    for (const g of goalGaps) {
+      const d = distance[pos[g] * cellCount + home[g]];
+      if (d > gapDistance) gapDistance = d;
+    }
+    let h = Math.max(weight * (manhattan + conflicts), gapDistance);
+
+    if (target >= 0 && pos[target] !== home[target]) {
+      h += (targetWeight - weight) * distance[pos[target] * cellCount + home[target]];
+      let nearest = Infinity;
+      for (const g of gaps) {
+        const d = distance[pos[g] * cellCount + pos[target]];
+        if (d < nearest) nearest = d;
+      }
+      h += nearest - 1;
+    }
+    return h;
+  };
+
+  // Swap a gap with the piece in the source cell, keeping the heuristic up to date
+  const swap = (gap, gapCell, source, dir) => {
+    const other = cells[source];
+    cells[gapCell] = other;
+    cells[source] = gap;
+    pos[gap] = source;
+    pos[other] = gapCell;
+
+    const gapKey = gap * cellCount;
+    const otherKey = other * cellCount;
+    hashLow ^= hashKeysLow[gapKey + gapCell] ^ hashKeysLow[gapKey + source] ^ hashKeysLow[otherKey + source] ^ hashKeysLow[otherKey + gapCell];
+    hashHigh ^= hashKeysHigh[gapKey + gapCell] ^ hashKeysHigh[gapKey + source] ^ hashKeysHigh[otherKey + source] ^ hashKeysHigh[otherKey + gapCell];
+
+    if (inGoal[gap]) {
+      misplaced += (source !== home[gap]) - (gapCell !== home[gap]);
+    }
+    if (inGoal[other]) {
+      misplaced += (gapCell !== home[other]) - (source !== home[other]);
+      if (!isGap[other]) {
+        manhattan += distance[gapCell * cellCount + home[other]] - distance[source * cellCount + home[other]];
+        // Moving along a line keeps the order within it, so only a line the
+        // piece enters or leaves can change, and only if it is the piece's home line
+        if (dir < 2) {
+          if (useRowConflicts) {
+            const row = homeRow[other];
+            if (row === Math.floor(source / width) || row === Math.floor(gapCell / width)) updateRow(row);
+          }
+        } else if (useColumnConflicts) {
+          const column = homeColumn[other];
+          if (column === source % width || column === gapCell % width) updateColumn(column);
+        }
+      }
+    }
+  };
+
+  const pathGaps = [];
+  const pathDirs = [];
+  let nodes = 0;
+
+  let solutionLength = 0;
+
+  // With several gaps many move orders lead to the same position. Remember the
+  // depth at which positions were reached in the current iteration; reaching
+  // one again at the same or a greater depth can't find anything new. Slots
+  // are simply overwritten on collision.
+  const useTable = gaps.length > 1;
+  const tableMask = (1 << TRANSPOSITION_BITS) - 1;
+  const tableLow = useTable ? new Int32Array(tableMask + 1) : null;
+  const tableHigh = useTable ? new Int32Array(tableMask + 1) : null;
+  const tableDepth = useTable ? new Int16Array(tableMask + 1) : null;
+  const tableIteration = useTable ? new Int32Array(tableMask + 1) : null;
+  let iteration = 0;
+
+  const dfs = (depth, bound, lastGapOrder, lastA, lastB) => {
+    const f = depth + heuristic();
+    if (f > bound) return f;
+    if (misplaced === 0) {
+      solutionLength = depth;
+      return FOUND;
+    }
+    if (++nodes > maxNodes) return ABORTED;
+    if ((nodes & DEADLINE_CHECK_MASK) === 0 && Date.now() > board.deadline) return ABORTED;
+
+    if (useTable) {
+      const slot = hashLow & tableMask;
+      if (tableIteration[slot] === iteration && tableLow[slot] === hashLow && tableHigh[slot] === hashHigh) {
+        if (tableDepth[slot] <= depth) return Infinity;
+      }
+      tableIteration[slot] = iteration;
+      tableLow[slot] = hashLow;
+      tableHigh[slot] = hashHigh;
+      tableDepth[slot] = depth;
+    }
+
+    let min = Infinity;
+    for (let order = 0; order < gaps.length; order++) {
+      const gap = gaps[order];
+      const gapCell = pos[gap];
+
+      for (let dir = 0; dir < 4; dir++) {
+        const source = neighbors[gapCell * 4 + OPPOSITE_DIR[dir]];
+        if (source < 0 || locked[source]) continue;
+
+        // Don't undo the previous move
+        if ((source === lastA && gapCell === lastB) || (source === lastB && gapCell === lastA)) continue;
+
+        // A swap of two gaps is only tried from the lower gap
+        const other = cells[source];
+        if (isGap[other] && other < gap) continue;
+
+        // Independent moves of different gaps are only tried in one order
+        if (order < lastGapOrder && source !== lastA && source !== lastB && gapCell !== lastA && gapCell !== lastB) continue;
+
+        swap(gap, gapCell, source, dir);
+        pathGaps[depth] = gap;
+        pathDirs[depth] = dir;
+
+        const result = dfs(depth + 1, bound, order, gapCell, source);
+
+        if (result === FOUND) return FOUND;
+        swap(gap, source, gapCell, OPPOSITE_DIR[dir]);
+
+        if (result === ABORTED) return ABORTED;
+        if (result < min) min = result;
+      }
+    }
+    return min;
+  };
+
+  let bound = heuristic();
+  while (true) {
+    iteration++;
+    const result = dfs(0, bound, -1, -1, -1);
+    if (result === FOUND) {
+      const path = [];
+      for (let i = 0; i < solutionLength; i++) {
+        path.push({ gap: pathGaps[i], dir: pathDirs[i] });
+      }
+      // Leave the board as it was; the caller applies the path
+      for (let i = solutionLength - 1; i >= 0; i--) {
+        const gap = pathGaps[i];
+        const cell = pos[gap];
+        swap(gap, cell, neighbors[cell * 4 + pathDirs[i]], OPPOSITE_DIR[pathDirs[i]]);
+      }
+      return { path, nodes };
+    }
+    if (result === ABORTED || result === Infinity) {
+      return { path: null, nodes };
+    }
+    bound = result;
+  }
+}
+
+// ============================================================================
+// PIECE ROUTING
+// ============================================================================
+
+/**
+ * Find the shortest move sequence that brings one piece home while the given
+ * cells stay untouched. All other pieces are interchangeable here, so a
+ * position is just the cells of the piece and the gaps, and a breadth-first
+ * search over those is exact and cheap even where the free cells form narrow
+ * corridors (which defeat the weighted IDA* placement).
+ * @param {Object} board - Search board (left unchanged)
+ * @param {number} target - Piece to bring home
+ * @param {Uint8Array} fixed - Cells that must not be touched (besides locked cells)
+ * @param {number} maxStates - Limit on visited positions
+ * @returns {Array|null} Path of {gap, dir}, or null if none was found within the limit
+ */
+function routePiece(board, target, fixed, maxStates) {
+  const { cellCount, pos, home, gaps, neighbors, locked } = board;
+  if (pos[target] === home[target]) return [];
+
+  // A position is encoded as target cell followed by the gap cells, base cellCount
+  const encode = (targetCell, gapCells) => gapCells.reduce((code, cell) => code * cellCount + cell, targetCell);
+  const start = encode(pos[target], gaps.map(g => pos[g]));
+
+  const parents = new Map([[start, -1]]);
+  const moves = new Map();
+  const queue = [start];
+  const gapCells = new Array(gaps.length);
+
+  for (let head = 0; head < queue.length; head++) {
+    const code = queue[head];
+    let rest = code;
+    for (let k = gaps.length - 1; k >= 0; k--) {
+      gapCells[k] = rest % cellCount;
+      rest = Math.floor(rest / cellCount);
+    }
+    const targetCell = rest;
+
+    for (let k = 0; k < gaps.length; k++) {
+      const gapCell = gapCells[k];
+      for (let dir = 0; dir < 4; dir++) {
+        const source = neighbors[gapCell * 4 + OPPOSITE_DIR[dir]];
+        if (source < 0 || locked[source] || fixed[source]) continue;
+        // Swapping two gaps changes nothing here
+        if (gapCells.includes(source)) continue;
+
+        const nextTarget = source === targetCell ? gapCell : targetCell;
+        gapCells[k] = source;
+        const next = encode(nextTarget, gapCells);
+        gapCells[k] = gapCell;
+        if (parents.has(next)) continue;
+
+        parents.set(next, code);
+        moves.set(next, { gap: gaps[k], dir });
+        if (nextTarget === home[target]) {
+          const path = [];
+          for (let c = next; c !== start; c = parents.get(c)) path.push(moves.get(c));
+          return path.reverse();
+        }
+        if (parents.size > maxStates) return null;
+        queue.push(next);
+      }
+    }
+  }
+  return null;
+}
+
+// ============================================================================
+// LINE REDUCTION
+// ============================================================================
+
+/**
+ * Choose the next row or column of the unsolved area to solve and lock.
+ * Lines containing a gap's home stay in the area so gaps are never locked.
+ * @param {Object} board - Search board
+ * @param {Object} area - Unsolved area {x0, y0, x1, y1} (inclusive)
+ * @returns {Object|null} {cells, side} or null when the area can't be reduced further
+ */
+function chooseLine(board, area) {
+  const { width } = board;
+  const areaWidth = area.x1 - area.x0 + 1;
+  const areaHeight = area.y1 - area.y0 + 1;
+
+  const row = (y) => {
+    const lineCells = [];
+    for (let x = area.x0; x <= area.x1; x++) lineCells.push(y * width + x);
+    return lineCells;
+  };
+  const column = (x) => {
+    const lineCells = [];
+    for (let y = area.y0; y <= area.y1; y++) lineCells.push(y * width + x);
+    return lineCells;
+  };
+
+  const rows = areaHeight > 3 ? [
+    { cells: row(area.y0), side: 'top' },
+    { cells: row(area.y1), side: 'bottom' }
+  ] : [];
+  const columns = areaWidth > 3 ? [
+    { cells: column(area.x0), side: 'left' },
+    { cells: column(area.x1), side: 'right' }
+  ] : [];
+
+  // Shrink the longer side first so the area stays roughly square
+  const candidates = areaHeight >= areaWidth ? [...rows, ...columns] : [...columns, ...rows];
+
+  const gapHomes = new Set(board.gaps.map(g => board.home[g]));
+  return candidates.find(line => !line.cells.some(cell => gapHomes.has(cell))) || null;
+}
+
+/**
+ * Solve a board by placing pieces one at a time, locking finished lines, then
+ * solve the remaining area with solveByPlacement()
+ * @param {Object} board - Search board (modified: ends solved on success)
+ * @param {number} maxNodes - Node limit
+ * @returns {Object} {path: Array|null, nodes}
+ */
+function solveByReduction(board, maxNodes) {
+  const { width, height, home, locked } = board;
+  const pieceAtHome = new Int16Array(board.cellCount).fill(-1);
+  home.forEach((cell, i) => { pieceAtHome[cell] = i; });
+
+  const fullPath = [];
+  let nodes = 0;
+
+  const place = (goal, target) => {
+    const result = searchGoal(board, goal, {
+      weight: PLACEMENT_WEIGHT,
+      target,
+      targetWeight: TARGET_WEIGHT,
+      maxNodes: maxNodes - nodes
+    });
+    nodes += result.nodes;
+    if (!result.path) return false;
+    applyPath(board, result.path);
+    fullPath.push(...result.path);
+    return true;
+  };
+
+  // Solve and lock rows/columns until only a small area is left
+  const area = { x0: 0, y0: 0, x1: width - 1, y1: height - 1 };
+  let line;
+  while ((line = chooseLine(board, area))) {
+    const goal = [];
+    for (const cell of line.cells) {
+      const piece = pieceAtHome[cell];
+      goal.push(piece);
+      if (!place(goal, piece)) return { path: null, nodes };
+    }
+
+    line.cells.forEach(cell => { locked[cell] = 1; });
+    updateDistances(board);
+
+    if (line.side === 'top') area.y0++;
+    if (line.side === 'bottom') area.y1--;
+    if (line.side === 'left') area.x0++;
+    if (line.side === 'right') area.x1--;
+  }
+
+  const result = solveByPlacement(board, maxNodes - nodes);
+  nodes += result.nodes;
+  if (!result.path) return { path: null, nodes };
+
+  return { path: cancelInverseMoves([...fullPath, ...result.path]), nodes };
+}
+
+/**
+ * Order the unlocked cells for placement. Cells are peeled off the unlocked
+ * area so that the rest doesn't fall apart: dead ends first (farthest from
+ * the gaps' homes first), then cells on loops, which the remaining pieces
+ * need to pass each other. Parts that the gaps can't reach at all (walled
+ * off by large pieces) come first. The gaps' homes (or the given cells) come
+ * last.
+ * @param {Object} board - Search board
+ * @param {Array} reserved - Cells to leave out of the order (default: the gaps' homes)
+ * @returns {Array} Cells in placement order, without the reserved cells
+ */
+function getPlacementOrder(board, reserved = board.gaps.map(g => board.home[g])) {
+  const { cellCount, locked, neighbors } = board;
+  const remaining = new Uint8Array(cellCount);
+  for (let cell = 0; cell < cellCount; cell++) {
+    if (!locked[cell]) remaining[cell] = 1;
+  }
+  const isReserved = new Uint8Array(cellCount);
+  reserved.forEach(cell => { isReserved[cell] = 1; });
+
+  // Breadth-first distances from the reserved cells through the remaining cells
+  const distance = new Int16Array(cellCount);
+  const queue = new Int32Array(cellCount);
+  const measure = () => {
+    distance.fill(-1);
+    let tail = 0;
+    for (const cell of reserved) {
+      distance[cell] = 0;
+      queue[tail++] = cell;
+    }
+    for (let head = 0; head < tail; head++) {
+      const cell = queue[head];
+      for (let d = 0; d < 4; d++) {
+        const next = neighbors[cell * 4 + d];
+        if (next < 0 || !remaining[next] || distance[next] >= 0) continue;
+        distance[next] = distance[cell] + 1;
+        queue[tail++] = next;
+      }
+    }
+    return tail;
+  };
+
+  // Number of separate parts of the remaining area
+  const seen = new Uint8Array(cellCount);
+  const countParts = () => {
+    seen.fill(0);
+    let parts = 0;
+    for (let start = 0; start < cellCount; start++) {
+      if (!remaining[start] || seen[start]) continue;
+      parts++;
+      seen[start] = 1;
+      let tail = 0;
+      queue[tail++] = start;
+      for (let head = 0; head < tail; head++) {
+        const cell = queue[head];
+        for (let d = 0; d < 4; d++) {
+          const next = neighbors[cell * 4 + d];
+          if (next < 0 || !remaining[next] || seen[next]) continue;
+          seen[next] = 1;
+          queue[tail++] = next;
+        }
+      }
+    }
+    return parts;
+  };
+
+  const order = [];
+  let count = remaining.reduce((sum, r) => sum + r, 0);
+  while (count > reserved.length) {
+    measure();
+    const reservedDistance = distance.slice();
+    const parts = countParts();
+    let best = -1;
+    let bestScore = -1;
+    for (let cell = 0; cell < cellCount; cell++) {
+      if (!remaining[cell] || isReserved[cell]) continue;
+
+      // Taking the cell must not cut the remaining area apart
+      remaining[cell] = 0;
+      const split = countParts() > parts;
+      remaining[cell] = 1;
+      if (split) continue;
+
+      let degree = 0;
+      for (let d = 0; d < 4; d++) {
+        const next = neighbors[cell * 4 + d];
+        if (next >= 0 && next !== cell && remaining[next]) degree++;
+      }
+      const unreachable = reservedDistance[cell] < 0 ? 2 * cellCount : 0;
+      const score = unreachable + (degree <= 1 ? cellCount : 0) + reservedDistance[cell];
+      if (score > bestScore) {
+        best = cell;
+        bestScore = score;
+      }
+    }
+    if (best < 0) break;
+    remaining[best] = 0;
+    order.push(best);
+    count--;
+  }
+  return order;
+}
+
+/**
+ * Find the corridor that leads to the gaps' homes, if they lie at the end of
+ * one. Pieces in it can't pass each other, so they have to be in order before
+ * the gaps come home; as the gaps move in, every piece in the corridor moves
+ * out by one cell per gap.
+ * @param {Object} board - Search board of the solved position
+ * @returns {Array|null} Corridor cells from its entrance to the innermost gap home, or null
+ */
+function findGapCorridor(board) {
+  const { cellCount, home, locked, neighbors, gaps } = board;
+  const inside = new Uint8Array(cellCount);
+
+  const neighborsOf = (cell) => {
+    const result = [];
+    for (let d = 0; d < 4; d++) {
+      const next = neighbors[cell * 4 + d];
+      if (next >= 0 && next !== cell && !locked[next] && !result.includes(next)) result.push(next);
+    }
+    return result;
+  };
+
+  // The gaps' homes must form a line with one way out
+  const gapHomes = gaps.map(g => home[g]);
+  gapHomes.forEach(cell => { inside[cell] = 1; });
+  const ends = gapHomes.filter(cell => neighborsOf(cell).filter(next => inside[next]).length <= 1);
+  if (gaps.length > 2 || ends.length !== Math.min(gaps.length, 2)) return null;
+
+  const exitsOf = () => {
+    const exits = new Set();
+    for (let cell = 0; cell < cellCount; cell++) {
+      if (!inside[cell]) continue;
+      for (const next of neighborsOf(cell)) {
+        if (!inside[next]) exits.add(next);
+      }
+    }
+    return [...exits];
+  };
+
+  // Follow the single way out for as long as there is only one
+  const corridor = [];
+  let exits = exitsOf();
+  while (exits.length === 1) {
+    const cell = exits[0];
+    if (neighborsOf(cell).filter(next => inside[next]).length !== 1) break;
+    inside[cell] = 1;
+    corridor.push(cell);
+    exits = exitsOf();
+  }
+  if (corridor.length === 0) return null;
+
+  // The gap home next to the corridor comes first
+  const [first] = corridor;
+  const orderedHomes = [...gapHomes].sort((a, b) =>
+    (neighborsOf(b).includes(first) ? 1 : 0) - (neighborsOf(a).includes(first) ? 1 : 0));
+  if (!neighborsOf(orderedHomes[0]).includes(first)) return null;
+
+  return [...corridor.reverse(), ...orderedHomes];
+}
+
+/**
+ * Solve the unlocked part of a board by placing pieces one at a time (see
+ * getPlacementOrder()) and finishing with a single search once only a few
+ * pieces are left. Works for any shape of unlocked area.
+ * @param {Object} board - Search board (modified: ends solved on success)
+ * @param {number} maxNodes - Node limit
+ * @returns {Object} {path: Array|null, nodes}
+ */
+function solveByPlacement(board, maxNodes) {
+  const { home, locked } = board;
+  const pieceAtHome = new Int16Array(board.cellCount).fill(-1);
+  home.forEach((cell, i) => { pieceAtHome[cell] = i; });
+
+  const unlocked = [];
+  for (let i = 0; i < home.length; i++) {
+    if (!locked[home[i]]) unlocked.push(i);
+  }
+  const remaining = getPlacementOrder(board).map(cell => pieceAtHome[cell]);
+
+  const path = [];
+  let nodes = 0;
+  const goal = [];
+  const placed = new Uint8Array(board.cellCount);
+
+  while (remaining.length > FINAL_STAGE_MAX_PIECES) {
+    const piece = remaining.shift();
+    goal.push(piece);
+
+    // Route the piece around the placed ones; if they are in the way, search
+    // for a sequence that moves them aside and back
+    let stagePath = routePiece(board, piece, placed, ROUTE_MAX_STATES);
+    if (!stagePath) {
+      const result = searchGoal(board, goal, {
+        weight: PLACEMENT_WEIGHT,
+        target: piece,
+        targetWeight: TARGET_WEIGHT,
+        maxNodes: maxNodes - nodes
+      });
+      nodes += result.nodes;
+      if (!result.path) return { path: null, nodes };
+      stagePath = result.path;
+    }
+    applyPath(board, stagePath);
+    path.push(...stagePath);
+    placed[home[piece]] = 1;
+  }
+
+  // Final search for everything left, including the gaps
+  const result = searchGoal(board, unlocked, { linearConflict: true, maxNodes: maxNodes - nodes });
+  nodes += result.nodes;
+  if (!result.path) return { path: null, nodes };
+  applyPath(board, result.path);
+  path.push(...result.path);
+
+  return { path: cancelInverseMoves(path), nodes };
+}
+
+// ============================================================================
+// MIXED BOARDS (LARGE PIECES)
+// ============================================================================
+
+/**
+ * Distance between two positions along one axis (shortest way around when wrapping)
+ * @param {number} a - First coordinate
+ * @param {number} b - Second coordinate
+ * @param {number} size - Board size along the axis
+ * @param {boolean} wrap - Whether the axis wraps
+ * @returns {number} Distance
+ */
+function axisDistance(a, b, size, wrap) {
+  const d = Math.abs(a - b);
+  return wrap ? Math.min(d, size - d) : d;
+}
+
+/**
+ * Create the search context for a board with large pieces. The searches run
+ * on a cloned engine state and generate moves with tryMove() itself, so every
+ * move type (large swaps, large gap moves, chain moves, wrapping) behaves
+ * exactly as in the game.
+ * @param {Object} position - Position from createSolverPosition() or a game state
+ * @returns {Object} Search context
+ */
+function createEngineSearch(position) {
+  const state = cloneEngineState(position);
+  state.gameMode = 'freeplay';
+
+  const { width, height } = state.boardConfig;
+  const cellCount = width * height;
+  const gaps = state.pieces.filter(p => p.isGap);
+
+  return {
+    state,
+    width,
+    height,
+    cellCount,
+    gaps,
+    depthWeight: gaps.some(g => g.isLarge) ? LARGE_GAP_DEPTH_WEIGHT : DEPTH_WEIGHT,
+    deadline: Infinity, // Date.now() value after which searches stop (set by the caller)
+    indexById: new Map(state.pieces.map((p, i) => [p.id, i])),
+    ...createHashKeys(state.pieces.length * cellCount)
+  };
+}
+
+/**
+ * Find a move sequence that brings every goal piece home, using a weighted
+ * best-first search on the engine state. On success the moves are left applied.
+ * @param {Object} search - Search context from createEngineSearch()
+ * @param {Array} goal - Indexes (into state.pieces) of the pieces that must end at home
+ * @param {number} target - Index of the piece being placed (-1 for none)
+ * @param {number} maxNodes - Node limit
+ * @param {Map} destinations - Cells ({x, y}) other than home that goal pieces have to reach, by index
+ * @returns {Object} {moves: Array|null, nodes} - moves are tryMove() descriptors
+ */
+function searchEngineGoal(search, goal, target, maxNodes, destinations = new Map()) {
+  const { state, width, height, cellCount, gaps, depthWeight, indexById, hashKeysLow, hashKeysHigh } = search;
+  const pieces = state.pieces;
+  const wrapH = state.wrapHorizontal;
+  const wrapV = state.wrapVertical;
+
+  const distance = (x1, y1, x2, y2) => axisDistance(x1, x2, width, wrapH) + axisDistance(y1, y2, height, wrapV);
+
+  const inGoal = new Uint8Array(pieces.length);
+  goal.forEach(i => { inGoal[i] = 1; });
+  const goalGaps = goal.filter(i => pieces[i].isGap);
+  const targetPiece = target >= 0 && !pieces[target].isGap ? pieces[target] : null;
+
+  // Where each goal piece has to go (its home unless parked elsewhere for now)
+  const destX = new Int16Array(pieces.length);
+  const destY = new Int16Array(pieces.length);
+  pieces.forEach((piece, i) => {
+    const destination = destinations.get(i);
+    destX[i] = destination ? destination.x : piece.homeX;
+    destY[i] = destination ? destination.y : piece.homeY;
+  });
+
+  // Weighted distance of every goal piece from home; the target counts more
+  const weights = new Float64Array(pieces.length);
+  for (const i of goal) {
+    const piece = pieces[i];
+    if (piece.isGap) continue;
+    if (piece === targetPiece) {
+      weights[i] = piece.isLarge ? LARGE_TARGET_WEIGHT : TARGET_WEIGHT;
+    } else {
+      weights[i] = piece.isLarge ? LARGE_PLACEMENT_WEIGHT : PLACEMENT_WEIGHT;
+    }
+  }
+
+  // Pieces outside the goal only matter by kind, so positions that differ
+  // just in which of them is where count as the same
+  const hashClass = new Int32Array(pieces.length);
+  const representative = new Map();
+  pieces.forEach((piece, i) => {
+    if (inGoal[i]) {
+      hashClass[i] = i;
+      return;
+    }
+    const kind = (piece.isGap ? 2 : 0) + (piece.isLarge ? 1 : 0);
+    if (!representative.has(kind)) representative.set(kind, i);
+    hashClass[i] = representative.get(kind);
+  });
+
+  let weighted = 0;
+  let misplaced = 0;
+  let hashLow = 0;
+  let hashHigh = 0;
+
+  // Compute the heuristic parts and the hash from scratch
+  const recount = () => {
+    weighted = 0;
+    misplaced = 0;
+    hashLow = 0;
+    hashHigh = 0;
+    pieces.forEach((piece, i) => {
+      const key = hashClass[i] * cellCount + piece.y * width + piece.x;
+      hashLow ^= hashKeysLow[key];
+      hashHigh ^= hashKeysHigh[key];
+      if (!inGoal[i]) return;
+      if (piece.x !== destX[i] || piece.y !== destY[i]) misplaced++;
+      weighted += weights[i] * distance(piece.x, piece.y, destX[i], destY[i]);
+    });
+  };
+  recount();
+
+  // Keep the heuristic and hash in sync with a move that was just applied
+  const update = (move) => {
+    for (const m of move.moved) {
+      const i = indexById.get(m.id);
+      const fromKey = hashClass[i] * cellCount + m.fromY * width + m.fromX;
+      const toKey = hashClass[i] * cellCount + m.toY * width + m.toX;
+      hashLow ^= hashKeysLow[fromKey] ^ hashKeysLow[toKey];
+      hashHigh ^= hashKeysHigh[fromKey] ^ hashKeysHigh[toKey];
+      if (!inGoal[i]) continue;
+      const wasThere = m.fromX === destX[i] && m.fromY === destY[i];
+      const isThere = m.toX === destX[i] && m.toY === destY[i];
+      misplaced += (isThere ? 0 : 1) - (wasThere ? 0 : 1);
+      weighted += weights[i] * (distance(m.toX, m.toY, destX[i], destY[i]) - distance(m.fromX, m.fromY, destX[i], destY[i]));
+    }
+  };
+
+  const size = targetPiece && targetPiece.isLarge ? 2 : 1;
+  const smallGaps = gaps.filter(g => !g.isLarge);
+
+  // Steps along an axis that bring a coordinate closer to its destination
+  const stepsTowards = (from, to, length, wrap) => {
+    if (from === to) return [];
+    const forward = (to - from + length) % length;
+    if (!wrap) return [to > from ? 1 : -1];
+    if (forward * 2 === length) return [1, -1];
+    return [forward * 2 < length ? 1 : -1];
+  };
+
+  // Moves needed to bring gaps to the cells in front of the target, in the
+  // cheapest direction that takes it closer to its destination
+  const frontGapDistance = () => {
+    const { x, y } = targetPiece;
+    const directions = [
+      ...stepsTowards(x, destX[target], width, wrapH).map(step => [step, 0]),
+      ...stepsTowards(y, destY[target], height, wrapV).map(step => [0, step])
+    ];
+
+    let best = Infinity;
+    for (const [dx, dy] of directions) {
+      // Top-left cell of the space the target moves into, and the cells it newly covers
+      const fx = (x + (dx > 0 ? size : dx) + width) % width;
+      const fy = (y + (dy > 0 ? size : dy) + height) % height;
+      const sx = dx === 0 ? 1 : 0;
+      const sy = dy === 0 ? 1 : 0;
+
+      for (const gap of gaps) {
+        if (!gap.isLarge) continue;
+        // A large gap swaps with a large piece from exactly in front
+        const lx = targetPiece.isLarge ? fx : fx - (dx === 0 ? 1 : 0);
+        const ly = targetPiece.isLarge ? fy : fy - (dy === 0 ? 1 : 0);
+        best = Math.min(best, Math.min(distance(gap.x, gap.y, fx, fy), distance(gap.x, gap.y, lx, ly)));
+      }
+
+      if (size === 1) {
+        for (const gap of smallGaps) {
+          best = Math.min(best, distance(gap.x, gap.y, fx, fy));
+        }
+      } else if (smallGaps.length >= 2) {
+        const x2 = (fx + sx) % width;
+        const y2 = (fy + sy) % height;
+        for (let a = 0; a < smallGaps.length; a++) {
+          for (let b = 0; b < smallGaps.length; b++) {
+            if (a === b) continue;
+            best = Math.min(best, distance(smallGaps[a].x, smallGaps[a].y, fx, fy) + distance(smallGaps[b].x, smallGaps[b].y, x2, y2));
+          }
+        }
+      }
+    }
+    return best === Infinity ? 0 : best;
+  };
+
+  const heuristic = () => {
+    let gapDistance = 0;
+    for (const i of goalGaps) {
+      gapDistance = Math.max(gapDistance, distance(pieces[i].x, pieces[i].y, destX[i], destY[i]));
+    }
+    let h = Math.max(weighted, gapDistance);
+
+    if (targetPiece && (targetPiece.x !== destX[target] || targetPiece.y !== destY[target])) {
+      h += frontGapDistance();
+    }
+    return h;
+  };
+
+  // Weighted best-first search. Each stored position keeps its piece cells,
+  // so any position can be restored to expand it; positions seen before are
+  // only revisited when reached in fewer moves.
+  const pieceCount = pieces.length;
+  let capacity = 1024;
+  let cellsOf = new Uint16Array(capacity * pieceCount);
+  let parentOf = new Int32Array(capacity);
+  let gapOf = new Uint8Array(capacity);
+  let dirOf = new Uint8Array(capacity);
+  let depthOf = new Int32Array(capacity);
+  let stored = 0;
+
+  const grow = () => {
+    capacity *= 2;
+    const grown = (array) => {
+      const next = new array.constructor(array.length * 2);
+      next.set(array);
+      return next;
+    };
+    cellsOf = grown(cellsOf);
+    parentOf = grown(parentOf);
+    gapOf = grown(gapOf);
+    dirOf = grown(dirOf);
+    depthOf = grown(depthOf);
+  };
+
+  const store = (parent, gapIndex, dirIndex, depth) => {
+    if (stored === capacity) grow();
+    const node = stored++;
+    const offset = node * pieceCount;
+    pieces.forEach((piece, i) => { cellsOf[offset + i] = piece.y * width + piece.x; });
+    parentOf[node] = parent;
+    gapOf[node] = gapIndex;
+    dirOf[node] = dirIndex;
+    depthOf[node] = depth;
+    return node;
+  };
+
+  const restore = (node) => {
+    const offset = node * pieceCount;
+    pieces.forEach((piece, i) => {
+      const cell = cellsOf[offset + i];
+      piece.x = cell % width;
+      piece.y = Math.floor(cell / width);
+    });
+    state.buildGridFromState();
+    recount();
+  };
+
+  // Binary heap of nodes by priority
+  const heapNodes = [];
+  const heapPriority = [];
+  const push = (node, priority) => {
+    let k = heapNodes.length;
+    heapNodes.push(node);
+    heapPriority.push(priority);
+    while (k > 0) {
+      const up = (k - 1) >> 1;
+      if (heapPriority[up] <= priority) break;
+      heapNodes[k] = heapNodes[up];
+      heapPriority[k] = heapPriority[up];
+      k = up;
+    }
+    heapNodes[k] = node;
+    heapPriority[k] = priority;
+  };
+  const pop = () => {
+    const top = heapNodes[0];
+    const lastNode = heapNodes.pop();
+    const lastPriority = heapPriority.pop();
+    if (heapNodes.length > 0) {
+      let k = 0;
+      while (true) {
+        let child = 2 * k + 1;
+        if (child >= heapNodes.length) break;
+        if (child + 1 < heapNodes.length && heapPriority[child + 1] < heapPriority[child]) child++;
+        if (heapPriority[child] >= lastPriority) break;
+        heapNodes[k] = heapNodes[child];
+        heapPriority[k] = heapPriority[child];
+        k = child;
+      }
+      heapNodes[k] = lastNode;
+      heapPriority[k] = lastPriority;
+    }
+    return top;
+  };
+
+  const positionKey = () => (hashHigh & 0x1fffff) * 0x100000000 + (hashLow >>> 0);
+  const bestDepth = new Map([[positionKey(), 0]]);
+
+  const finish = (node) => {
+    restore(node);
+    const moves = [];
+    for (let n = node; parentOf[n] >= 0; n = parentOf[n]) {
+      moves.push({ gapId: gaps[gapOf[n]].id, dir: DIRS[dirOf[n]] });
+    }
+    return moves.reverse();
+  };
+
+  if (misplaced === 0) return { moves: [], nodes: 0 };
+  const root = store(-1, 0, 0, 0);
+  push(root, heuristic());
+  let nodes = 0;
+
+  while (heapNodes.length > 0) {
+    const node = pop();
+    restore(node);
+    const depth = depthOf[node];
+    if (bestDepth.get(positionKey()) < depth) continue;
+    if (++nodes > maxNodes) break;
+    if ((nodes & DEADLINE_CHECK_MASK) === 0 && Date.now() > search.deadline) break;
+
+    for (let g = 0; g < gaps.length; g++) {
+      for (let d = 0; d < 4; d++) {
+        const move = tryMove(state, DIRS[d], gaps[g], gaps);
+        if (!move) continue;
+        update(move);
+
+        const key = positionKey();
+        const known = bestDepth.get(key);
+        if (known === undefined || known > depth + 1) {
+          bestDepth.set(key, depth + 1);
+          const child = store(node, g, d, depth + 1);
+          if (misplaced === 0) return { moves: finish(child), nodes };
+          push(child, (depth + 1) * depthWeight + heuristic());
+        }
+
+        const inverse = invertMove(move);
+        applyMoveDescriptor(state, inverse);
+        update(inverse);
+      }
+    }
+  }
+
+  restore(root);
+  return { moves: null, nodes };
+}
+
+/**
+ * Order the pieces for placement on a board with large gaps. Large gaps can
+ * only move small pieces in pairs and need a 2×2 space to do so, so pieces
+ * are peeled off farthest from the gaps' homes first while the unplaced area
+ * stays two cells thick everywhere. Where that needs it, two neighbouring
+ * small pieces are placed together. Small pieces next to the home of a large
+ * piece wait for it, so its home can still be entered from that side.
+ * @param {Object} state - Engine state
+ * @returns {Array} Groups of piece indexes (one or two pieces) in placement order
+ */
+function getPairedPlacementOrder(state) {
+  const { width, height } = state.boardConfig;
+  const pieces = state.pieces;
+  const cellCount = width * height;
+
+  // Neighbouring cell in a direction, or -1 off the board
+  const step = (cell, dx, dy) => {
+    let x = cell % width + dx;
+    let y = Math.floor(cell / width) + dy;
+    if (state.wrapHorizontal) x = (x + width) % width;
+    if (state.wrapVertical) y = (y + height) % height;
+    if (x < 0 || y < 0 || x >= width || y >= height) return -1;
+    return y * width + x;
+  };
+  const homeCells = (piece) => {
+    const cell = piece.homeY * width + piece.homeX;
+    return piece.isLarge ? [cell, step(cell, 1, 0), step(cell, 0, 1), step(cell, 1, 1)] : [cell];
+  };
+
+  // Breadth-first distances from the gaps' homes over the whole board
+  const distance = new Int16Array(cellCount).fill(-1);
+  const queue = [];
+  pieces.filter(p => p.isGap).forEach(gap => homeCells(gap).forEach(cell => {
+    distance[cell] = 0;
+    queue.push(cell);
+  }));
+  for (let head = 0; head < queue.length; head++) {
+    for (let d = 0; d < 4; d++) {
+      const next = step(queue[head], DIR_DX[d], DIR_DY[d]);
+      if (next < 0 || distance[next] >= 0) continue;
+      distance[next] = distance[queue[head]] + 1;
+      queue.push(next);
+    }
+  }
+
+  const pieceAtHome = new Int32Array(cellCount).fill(-1);
+  const unplaced = new Set();
+  pieces.forEach((piece, i) => {
+    if (piece.isGap) return;
+    homeCells(piece).forEach(cell => { pieceAtHome[cell] = i; });
+    unplaced.add(i);
+  });
+  const remaining = new Uint8Array(cellCount).fill(1);
+
+  // Every remaining cell must be part of a 2×2 block of remaining cells
+  const isThick = () => {
+    for (let cell = 0; cell < cellCount; cell++) {
+      if (!remaining[cell]) continue;
+      const thick = [[0, 0], [-1, 0], [0, -1], [-1, -1]].some(([dx, dy]) => {
+        const corner = step(cell, dx, dy);
+        if (corner < 0) return false;
+        const block = [corner, step(corner, 1, 0), step(corner, 0, 1), step(corner, 1, 1)];
+        return block.every(c => c >= 0 && remaining[c]);
+      });
+      if (!thick) return false;
+    }
+    return true;
+  };
+  const staysThick = (group) => {
+    const cells = group.flatMap(i => homeCells(pieces[i]));
+    cells.forEach(cell => { remaining[cell] = 0; });
+    const thick = isThick();
+    cells.forEach(cell => { remaining[cell] = 1; });
+    return thick;
+  };
+
+  const nextToLargeHome = (group) => group.some(i => !pieces[i].isLarge && [0, 1, 2, 3].some(d => {
+    const next = pieceAtHome[step(homeCells(pieces[i])[0], DIR_DX[d], DIR_DY[d])];
+    return next >= 0 && unplaced.has(next) && pieces[next].isLarge;
+  }));
+  const farthest = (group) => Math.min(...group.flatMap(i => homeCells(pieces[i]).map(cell => distance[cell])));
+
+  const order = [];
+  while (unplaced.size > 0) {
+    const candidates = [];
+    for (const i of unplaced) {
+      candidates.push([i]);
+      if (pieces[i].isLarge) continue;
+      for (const [dx, dy] of [[1, 0], [0, 1]]) {
+        const j = pieceAtHome[step(homeCells(pieces[i])[0], dx, dy)];
+        if (j >= 0 && unplaced.has(j) && !pieces[j].isLarge) candidates.push([i, j]);
+      }
+    }
+    candidates.sort((a, b) => (nextToLargeHome(a) - nextToLargeHome(b)) ||
+      (farthest(b) - farthest(a)) || (a.length - b.length));
+
+    const group = candidates.find(staysThick) || candidates[0];
+    group.forEach(i => {
+      unplaced.delete(i);
+      homeCells(pieces[i]).forEach(cell => { remaining[cell] = 0; });
+    });
+    order.push(group);
+  }
+  return order;
+}
+
+/**
+ * Solve a board with large pieces. With small gaps, the large pieces are
+ * brought home first, while there is room to move them; then the small
+ * pieces are placed one at a time, dead ends between the large pieces first
+ * (see getPlacementOrder()). With large gaps, pieces are placed from the far
+ * side of the board towards the gaps' homes (see getPairedPlacementOrder()).
+ * A final search brings the last few pieces and the gaps home. Pieces placed
+ * earlier may move during a later stage but have to be back at the end.
+ * @param {Object} position - Position from createSolverPosition() or a game state
+ * @param {number} maxNodes - Node limit
+ * @param {number} deadline - Date.now() value after which the solve gives up
+ * @returns {Object} {moves: Array|null, nodes}
+ */
+function solveMixedBoard(position, maxNodes, deadline) {
+  const search = createEngineSearch(position);
+  search.deadline = deadline;
+  const { state, width } = search;
+  const pieces = state.pieces;
+  const moves = [];
+  let nodes = 0;
+
+  const place = (goal, target, destinations, limit) => {
+    const result = searchEngineGoal(search, goal, target, Math.min(limit, maxNodes - nodes), destinations);
+    nodes += result.nodes;
+    if (!result.moves) return false;
+    moves.push(...result.moves);
+    return true;
+  };
+
+  const largeGaps = search.gaps.some(g => g.isLarge);
+  const destinations = new Map();
+  let stages;
+  if (largeGaps) {
+    stages = getPairedPlacementOrder(state);
+  } else {
+    // Large pieces in reading order of their homes
+    const order = pieces
+      .map((piece, i) => i)
+      .filter(i => pieces[i].isLarge && !pieces[i].isGap)
+      .sort((a, b) => (pieces[a].homeY - pieces[b].homeY) || (pieces[a].homeX - pieces[b].homeX));
+
+    // The small pieces' cells with the large pieces at home
+    const solved = createSearchBoard({ ...state, pieces: pieces.map(p => ({ ...p, x: p.homeX, y: p.homeY })) });
+    const pieceAtHome = new Map(pieces.map((p, i) => [p.homeY * width + p.homeX, i]));
+
+    // Pieces of a corridor leading to the gaps' homes are parked deeper in it,
+    // where the gaps push them home at the very end (see findGapCorridor())
+    const corridor = findGapCorridor(solved);
+    if (corridor) {
+      const shift = search.gaps.length;
+      for (let k = corridor.length - shift - 1; k >= 0; k--) {
+        const i = pieceAtHome.get(corridor[k]);
+        const cell = corridor[k + shift];
+        destinations.set(i, { x: cell % width, y: Math.floor(cell / width) });
+        order.push(i);
+      }
+    }
+    order.push(...getPlacementOrder(solved, corridor || undefined).map(cell => pieceAtHome.get(cell)));
+    stages = order.map(i => [i]);
+  }
+
+  // With large gaps, a stage that takes too long is put off once, as the
+  // pieces placed in the meantime often open up a way
+  const stageLimit = largeGaps ? STAGE_NODE_LIMIT : Infinity;
+  const goal = [];
+  const putOff = new Set();
+  let unplaced = stages.reduce((sum, group) => sum + group.length, 0);
+  while (unplaced > MIXED_FINAL_STAGE_MAX_PIECES) {
+    const group = stages.shift();
+    goal.push(...group);
+    const retry = putOff.has(group);
+    if (place(goal, group[0], destinations, retry ? Infinity : stageLimit)) {
+      unplaced -= group.length;
+      continue;
+    }
+    if (retry || nodes >= maxNodes || Date.now() > deadline) return { moves: null, nodes };
+    goal.length -= group.length;
+    putOff.add(group);
+    stages.splice(Math.min(stages.length, PUT_OFF_STAGES), 0, group);
+  }
+  if (!place(pieces.map((piece, i) => i), -1, new Map(), Infinity)) return { moves: null, nodes };
+
+  return { moves: moves.map(m => ({ gapId: m.gapId, dir: m.dir })), nodes };
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Create a plain copy of the data the solvers need, e.g. to post it to the
+ * solver worker (browser pieces hold DOM elements that can't be cloned)
+ * @param {Object} state - Game state object
+ * @returns {Object} Position with boardConfig, wrap flags and pieces
+ */
+export function createSolverPosition(state) {
+  return {
+    boardConfig: state.boardConfig,
+    wrapHorizontal: state.wrapHorizontal,
+    wrapVertical: state.wrapVertical,
+    pieces: state.pieces.map(p => ({
+      id: p.id,
+      isGap: p.isGap,
+      isLarge: p.isLarge,
+      x: p.x,
+      y: p.y,
+      homeX: p.homeX,
+      homeY: p.homeY
+    }))
+  };
+}
+
+/**
+ * Check if a board consists only of 1×1 pieces and small gaps
+ * @param {Object} boardConfig - Board configuration
+ * @returns {boolean} True if solveSmallPieceBoard() can solve the board
+ */
+export function isSmallPieceBoard(boardConfig) {
+  return boardConfig.largePieces.length === 0;
+}
+
+/**
+ * Error message for a solve that ended without a solution.
+ * @param {number} deadline - Date.now() value the solve was given
+ * @param {number} timeLimit - Time limit in milliseconds
+ * @returns {string} Message naming the limit that was reached
+ */
+function searchLimitError(deadline, timeLimit) {
+  return Date.now() > deadline
+    ? `No solution found within ${Math.round(timeLimit / 1000)} seconds`
+    : 'No solution found within the search limit';
+}
+
+/**
+ * Solve a position on a board made only of 1×1 pieces (one or more gaps,
+ * with or without wrapping). The state is not modified.
+ * @param {Object} state - Game state object (boardConfig, pieces, wrapHorizontal, wrapVertical)
+ * @param {Object} options - Solver options
+ * @param {number} options.maxNodes - Node limit for the whole solve
+ * @param {number} options.optimalNodes - Node limit for the optimal search
+ * @param {number} options.timeLimit - Milliseconds before the solve gives up
+ * @returns {Object} {moves: Array|null, optimal: boolean, nodes: number, error: string|null}
+ */
+export function solveSmallPieceBoard(state, options = {}) {
+  if (!isSmallPieceBoard(state.boardConfig)) {
+    return { moves: null, optimal: false, nodes: 0, error: 'Board contains large pieces' };
+  }
+
+  if (state.pieces.every(p => p.x === p.homeX && p.y === p.homeY)) {
+    return { moves: [], optimal: true, nodes: 0, error: null };
+  }
+
+  const maxNodes = options.maxNodes ?? DEFAULT_NODE_LIMIT;
+  const timeLimit = options.timeLimit ?? TIME_LIMIT;
+  const board = createSearchBoard(state);
+  board.deadline = Date.now() + timeLimit;
+  const allPieces = board.ids.map((id, i) => i);
+  let nodes = 0;
+
+  if (board.cellCount <= OPTIMAL_MAX_CELLS) {
+    const optimalNodes = Math.min(maxNodes, options.optimalNodes ?? OPTIMAL_NODE_LIMIT);
+    const result = searchGoal(board, allPieces, { linearConflict: true, maxNodes: optimalNodes });
+    nodes += result.nodes;
+    if (result.path) {
+      return { moves: pathToMoves(board, result.path), optimal: true, nodes, error: null };
+    }
+  }
+
+  const result = solveByReduction(board, maxNodes - nodes);
+  nodes += result.nodes;
+  if (!result.path) {
+    return { moves: null, optimal: false, nodes, error: searchLimitError(board.deadline, timeLimit) };
+  }
+
+  return { moves: pathToMoves(board, result.path), optimal: false, nodes, error: null };
+}
+
+/**
+ * Solve the current position of any board. On boards with large pieces the
+ * node limit counts expanded positions (5 million by default). Either solver
+ * gives up after 20 seconds by default (options.timeLimit).
+ * @param {Object} state - Game state object (boardConfig, pieces, wrapHorizontal, wrapVertical)
+ * @param {Object} options - Solver options (see solveSmallPieceBoard())
+ * @returns {Object} {moves: Array|null, optimal: boolean, nodes: number, error: string|null}
+ */
+export function solve(state, options = {}) {
+  if (isSmallPieceBoard(state.boardConfig)) {
+    return solveSmallPieceBoard(state, options);
+  }
+
+  if (state.pieces.every(p => p.x === p.homeX && p.y === p.homeY)) {
+    return { moves: [], optimal: true, nodes: 0, error: null };
+  }
+
+  const timeLimit = options.timeLimit ?? TIME_LIMIT;
+  const deadline = Date.now() + timeLimit;
+  const result = solveMixedBoard(state, options.maxNodes ?? MIXED_NODE_LIMIT, deadline);
+  if (!result.moves) {
+    return { moves: null, optimal: false, nodes: result.nodes, error: searchLimitError(deadline, timeLimit) };
+  }
+  return { moves: result.moves, optimal: false, nodes: result.nodes, error: null };
+}
@@ -0,0 +1,109 @@
+/**
+ * stats.js - Solve statistics
+ *
+ * This module computes the numbers shown in the Statistics dialog from the
+ * stored challenge results (see records.js). Results are grouped by board,
+ * gap configuration and slide counting across all seeds; rolling averages use
+ * the most recent solves. It has no DOM dependencies; puzzle.js renders the table and chart.
+ */
+
+// Sizes of the rolling averages
+export const ROLLING_AVERAGE_SIZES = [5, 12];
+
+// ============================================================================
+// BASIC STATISTICS
+// ============================================================================
+
+/**
+ * Best (lowest), mean and median of a list of numbers
+ * @param {Array<number>} values - Values (at least one)
+ * @returns {Object} {best, mean, median}
+ */
+export function summarize(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return {
+    best: sorted[0],
+    mean: sorted.reduce((sum, v) => sum + v, 0) / sorted.length,
+    median: sorted.length % 2 === 1 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2
+  };
+}
+
+/**
+ * Mean of the last n values
+ * @param {Array<number>} values - Values in chronological order
+ * @param {number} n - Window size
+ * @returns {number|null} Average, or null if there are fewer than n values
+ */
+export function rollingAverage(values, n) {
+  if (values.length < n) return null;
+  return values.slice(-n).reduce((sum, v) => sum + v, 0) / n;
+}
+
+// ============================================================================
+// RESULT GROUPS
+// ============================================================================
+
+/**
+ * Get the key of the result group a challenge belongs to
+ * Move counts with multi-tile slides counted as one move are not comparable
+ * to counts per tile, so they get their own groups.
+ * @param {Object} challenge - Challenge parameters (see getChallengeParams() in puzzle.js)
+ * @returns {string} Key, e.g. 'default/2s' or 'default/2s/o'
+ */
+export function getStatsGroupKey(challenge) {
+  const key = `${challenge.boardSlug}/${challenge.gapConfigKey}`;
+  return challenge.slideCounting === 'one' ? `${key}/o` : key;
+}
+
+/**
+ * Group the results of all challenges by board, gap configuration and slide counting
+ * @param {Array} records - Return value of getAllRecords()
+ * @returns {Array} [{key, boardSlug, gapConfigKey, slideCounting, results}]
+ *   with results ({moves, timeMs, hints, date, challenge}) in chronological
+ *   order, groups with the most recent solve first
+ */
+export function groupResults(records) {
+  const groups = new Map();
+
+  for (const { challenge, results } of records) {
+    const key = getStatsGroupKey(challenge);
+    if (!groups.has(key)) {
+      groups.set(key, {
+        key,
+        boardSlug: challenge.boardSlug,
+        gapConfigKey: challenge.gapConfigKey,
+        slideCounting: challenge.slideCounting === 'one' ? 'one' : 'each',
+        results: []
+      });
+    }
+    for (const result of results) {
+      groups.get(key).results.push({ ...result, challenge });
+    }
+  }
+
+  const list = [...groups.values()];
+  for (const group of list) {
+    group.results.sort((a, b) => a.date - b.date);
+  }
+  return list.sort((a, b) => b.results[b.results.length - 1].date - a.results[a.results.length - 1].date);
+}
+
+/**
+ * Compute the statistics of a group of results
+ * @param {Array} results - Results in chronological order (at least one)
+ * @returns {Object} {count, time, moves} where time and moves are
+ *   {best, mean, median, rolling: {5: avg|null, 12: avg|null}}
+ */
+export function computeStats(results) {
+  const describe = values => ({
+    ...summarize(values),
+    rolling: Object.fromEntries(ROLLING_AVERAGE_SIZES.map(n => [n, rollingAverage(values, n)]))
+  });
+
+  return {
+    count: results.length,
+    time: describe(results.map(r => r.timeMs)),
+    moves: describe(results.map(r => r.moves))
+  };
+}
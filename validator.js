@@ -0,0 +1,218 @@
+/**
+ * validator.js - Board configuration validation
+ *
+ * createPieces() and buildGrid() assume a well-formed board: large pieces on
+ * the board and apart from each other, gaps on free cells or on the top-left
+ * corner of a large piece, and images that fit the board size; rendering
+ * also needs every large piece to lie within one image. This module checks
+ * these assumptions, and that every gap configuration has a legal move, and
+ * describes each problem in a sentence a board author can act on.
+ * Positions are given as in board definitions (0-based x and y). It has no
+ * DOM dependencies.
+ */
+
+import { createEngineState } from './engine.js';
+import { enumerateValidMoves } from './moves.js';
+import { getImageCell } from './boards.js';
+
+/**
+ * Format a position for error messages
+ * @param {Object} pos - Position {x, y}
+ * @returns {string} E.g. '(x: 3, y: 0)'
+ */
+function formatPos(pos) {
+  return `(x: ${pos.x}, y: ${pos.y})`;
+}
+
+/**
+ * Check the images against the board size
+ * @param {Object} board - Board configuration
+ * @param {Array<string>} errors - Problems found (appended to)
+ */
+function checkImages(board, errors) {
+  const images = board.images || {};
+  if (board.imageMode === 'grid') {
+    checkImageGrid(board, errors);
+    return;
+  }
+  if (!images.primary) {
+    errors.push('The board needs a primary image.');
+  }
+  if (board.imageMode === 'horizontal') {
+    if (board.width % 2 !== 0) {
+      errors.push(`Image mode "horizontal" splits the board into a left and a right half, so the width must be even (it is ${board.width}).`);
+    }
+    if (!images.secondary) {
+      errors.push('Image mode "horizontal" needs a secondary image for the right half.');
+    }
+  } else if (board.imageMode === 'vertical') {
+    if (board.height % 2 !== 0) {
+      errors.push(`Image mode "vertical" splits the board into a top and a bottom half, so the height must be even (it is ${board.height}).`);
+    }
+    if (!images.secondary) {
+      errors.push('Image mode "vertical" needs a secondary image for the bottom half.');
+    }
+  } else if (board.imageMode !== 'single') {
+    errors.push(`Unknown image mode "${board.imageMode}" (use "single", "horizontal", "vertical" or "grid").`);
+  }
+}
+
+/**
+ * Check the image matrix of a 'grid' board
+ * @param {Object} board - Board configuration
+ * @param {Array<string>} errors - Problems found (appended to)
+ */
+function checkImageGrid(board, errors) {
+  const grid = (board.images || {}).grid;
+  if (!Array.isArray(grid) || grid.length === 0 || !grid.every(row => Array.isArray(row) && row.length > 0)) {
+    errors.push('Image mode "grid" needs "images.grid": a list of rows, each a list of images.');
+    return;
+  }
+  const columns = grid[0].length;
+  if (grid.some(row => row.length !== columns)) {
+    errors.push(`Every row of "images.grid" must have the same number of images (the first row has ${columns}).`);
+  }
+  if (grid.some(row => row.some(image => typeof image !== 'string' || image === ''))) {
+    errors.push('Every entry of "images.grid" must be an image.');
+  }
+  if (board.width % columns !== 0) {
+    errors.push(`"images.grid" has ${columns} columns of images, so the width must be a multiple of ${columns} (it is ${board.width}).`);
+  }
+  if (board.height % grid.length !== 0) {
+    errors.push(`"images.grid" has ${grid.length} rows of images, so the height must be a multiple of ${grid.length} (it is ${board.height}).`);
+  }
+}
+
+/**
+ * Check that no large piece is cut from two images (a piece shows a single
+ * image); only meaningful once the images and large pieces are valid
+ * @param {Object} board - Board configuration
+ * @param {Array<string>} errors - Problems found (appended to)
+ */
+function checkLargePieceImages(board, errors) {
+  for (const piece of board.largePieces) {
+    const corner = getImageCell(board, board.images, piece.x, piece.y);
+    if (corner.x + 2 > corner.width || corner.y + 2 > corner.height) {
+      errors.push(`The large piece at ${formatPos(piece)} crosses the edge between two images of the board.`);
+    }
+  }
+}
+
+/**
+ * Check that large pieces are on the board and don't overlap
+ * @param {Object} board - Board configuration
+ * @param {Array<string>} errors - Problems found (appended to)
+ * @returns {Array<Array>} Cell -> top-left corner of the large piece covering it (or null)
+ */
+function checkLargePieces(board, errors) {
+  const { width, height } = board;
+  const owner = [...Array(height)].map(() => Array(width).fill(null));
+  const reported = new Set();
+
+  for (const piece of board.largePieces) {
+    if (piece.x < 0 || piece.y < 0 || piece.x + 2 > width || piece.y + 2 > height) {
+      errors.push(`The large piece at ${formatPos(piece)} sticks out of the ${width}×${height} board (large pieces cover 2×2 cells from their top-left corner).`);
+      continue;
+    }
+    for (let dy = 0; dy < 2; dy++) {
+      for (let dx = 0; dx < 2; dx++) {
+        const other = owner[piece.y + dy][piece.x + dx];
+        if (other) {
+          const pair = `${formatPos(other)} and ${formatPos(piece)}`;
+          if (!reported.has(pair)) {
+            reported.add(pair);
+            errors.push(other.x === piece.x && other.y === piece.y
+              ? `The large piece at ${formatPos(piece)} is listed twice.`
+              : `The large pieces at ${pair} overlap.`);
+          }
+        } else {
+          owner[piece.y + dy][piece.x + dx] = piece;
+        }
+      }
+    }
+  }
+  return owner;
+}
+
+/**
+ * Check the gap positions of every gap configuration
+ * @param {Object} board - Board configuration
+ * @param {Array<Array>} owner - Large piece covering each cell (see checkLargePieces())
+ * @param {Array<string>} errors - Problems found (appended to)
+ */
+function checkGapConfigurations(board, owner, errors) {
+  const configs = Object.entries(board.gapConfigurations || {});
+  if (configs.length === 0) {
+    errors.push('The board needs at least one gap configuration.');
+    return;
+  }
+  // Own keys only: inherited names like "constructor" are not gap configurations
+  if (typeof board.defaultGapConfig !== 'string' || !Object.hasOwn(board.gapConfigurations, board.defaultGapConfig)) {
+    errors.push(`The default gap configuration "${board.defaultGapConfig}" does not exist.`);
+  }
+
+  for (const [key, config] of configs) {
+    const label = `Gap configuration "${config.name || key}"`;
+    if (config.gaps.length === 0) {
+      errors.push(`${label} has no gaps.`);
+      continue;
+    }
+    const seen = new Set();
+    for (const gap of config.gaps) {
+      if (gap.x < 0 || gap.y < 0 || gap.x >= board.width || gap.y >= board.height) {
+        errors.push(`${label}: the gap at ${formatPos(gap)} is off the board.`);
+        continue;
+      }
+      const cellKey = `${gap.x},${gap.y}`;
+      if (seen.has(cellKey)) {
+        errors.push(`${label} lists the gap at ${formatPos(gap)} twice.`);
+        continue;
+      }
+      seen.add(cellKey);
+      const piece = owner[gap.y][gap.x];
+      if (piece && (piece.x !== gap.x || piece.y !== gap.y)) {
+        errors.push(`${label}: the gap at ${formatPos(gap)} is inside the large piece at ${formatPos(piece)}; a large gap must be placed at the piece's top-left corner.`);
+      }
+    }
+  }
+}
+
+/**
+ * Check that every gap configuration has at least one legal move in the
+ * solved position (only meaningful once the layout itself is valid)
+ * @param {Object} board - Board configuration
+ * @param {Array<string>} errors - Problems found (appended to)
+ */
+function checkLegalMoves(board, errors) {
+  for (const [key, config] of Object.entries(board.gapConfigurations)) {
+    const state = createEngineState({ boardConfig: board, gapConfigKey: key });
+    if (enumerateValidMoves(state, state.pieces.filter(p => p.isGap)).length === 0) {
+      errors.push(`Gap configuration "${config.name || key}" has no legal move: no piece can slide into any of its gaps.`);
+    }
+  }
+}
+
+/**
+ * Validate a board configuration
+ * @param {Object} board - Board configuration (see boards.js)
+ * @returns {Array<string>} Problems found, one sentence each (empty if the board is valid)
+ */
+export function validateBoardConfig(board) {
+  if (!Number.isInteger(board.width) || !Number.isInteger(board.height) || board.width < 1 || board.height < 1) {
+    return ['The board width and height must be whole numbers of tiles.'];
+  }
+
+  const errors = [];
+  checkImages(board, errors);
+  const owner = checkLargePieces(board, errors);
+  if (errors.length === 0) {
+    checkLargePieceImages(board, errors);
+  }
+  checkGapConfigurations(board, owner, errors);
+
+  // Building pieces for a broken layout fails, so moves are checked last
+  if (errors.length === 0) {
+    checkLegalMoves(board, errors);
+  }
+  return errors;
+}